@@ -5,7 +5,8 @@
 
 /**
  * Calculate the bounding box for a single geometry
- * @param {Array} coordinates - Array of [lon, lat] pairs or nested arrays for multipolygons
+ * A point gives a zero-size box (width and height 0).
+ * @param {Array} coordinates - A [lon, lat] pair, an array of pairs, or nested arrays for multipolygons
  * @returns {Object} Bounding box with minLat, maxLat, minLon, maxLon, width, height
  */
 export function calculateBounds(coordinates) {
@@ -35,7 +36,7 @@ export function calculateBounds(coordinates) {
         }
     }
 
-    coordinates.forEach(processCoordinate);
+    processCoordinate(coordinates);
 
     return {
         minLat,
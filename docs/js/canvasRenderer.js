@@ -121,7 +121,7 @@ function projectToCanvas(lon, lat, bounds, canvasWidth, canvasHeight, padding =
 }
 
 /**
- * Create a path from coordinates (handles Polygon, MultiPolygon, LineString, MultiLineString)
+ * Create a path from coordinates (handles Polygon, MultiPolygon, LineString, MultiLineString; points are drawn as markers)
  * @param {string} geomType - 'Polygon', 'MultiPolygon', 'LineString', or 'MultiLineString'
  * @param {Array} coordinates - Coordinate array
  * @param {Function} projectFn - Function to project [lon, lat] to {x, y}
@@ -190,9 +190,66 @@ function createPath(geomType, coordinates, projectFn) {
 }
 
 /**
- * Render geometry in relative size mode
+ * Marker symbols for points, as offered in the display options
  */
-function renderRelativeSize(ctx, geomType, coordinates, bounds, width, height, padding, maxDimension, fillColor = '#3388ff') {
+export const MARKER_SYMBOLS = ['circle', 'square', 'diamond', 'pin'];
+
+/**
+ * Marker radius in pixels (half the width of a circle or square marker)
+ */
+const MARKER_RADIUS = 6;
+
+/**
+ * Get the outline of a point marker
+ * Markers are polygons rather than arcs so that the canvas, SVG and PDF output look the same.
+ * A pin's tip is on the point; the other symbols are centred on it.
+ * @param {string} symbol - One of MARKER_SYMBOLS (unknown symbols are drawn as circles)
+ * @param {number} x - Point x
+ * @param {number} y - Point y
+ * @param {number} radius - Marker radius
+ * @returns {Array<Array>} Array of [x, y] vertices
+ */
+export function getMarkerOutline(symbol, x, y, radius = MARKER_RADIUS) {
+    switch (symbol) {
+        case 'square':
+            return [[x - radius, y - radius], [x + radius, y - radius], [x + radius, y + radius], [x - radius, y + radius]];
+        case 'diamond': {
+            const r = radius * Math.SQRT2;
+            return [[x, y - r], [x + r, y], [x, y + r], [x - r, y]];
+        }
+        case 'pin': {
+            // Round head above the point, with its sides tangent to lines from the tip
+            const centreY = y - 2 * radius;
+            const outline = [];
+            for (let i = 0; i <= 16; i++) {
+                const angle = (5 * Math.PI / 6) + (i / 16) * (4 * Math.PI / 3);
+                outline.push([x + radius * Math.cos(angle), centreY + radius * Math.sin(angle)]);
+            }
+            outline.push([x, y]);
+            return outline;
+        }
+        default: {
+            const outline = [];
+            for (let i = 0; i < 24; i++) {
+                const angle = (i / 24) * 2 * Math.PI;
+                outline.push([x + radius * Math.cos(angle), y + radius * Math.sin(angle)]);
+            }
+            return outline;
+        }
+    }
+}
+
+/**
+ * Calculate where a geometry is drawn in relative size mode
+ * The largest geometry in the result set fills the cell; everything else is scaled to match
+ * @param {Object} bounds - Reprojected bounding box
+ * @param {number} width - Output width
+ * @param {number} height - Output height
+ * @param {number} padding - Padding
+ * @param {number} maxDimension - Largest reprojected dimension across all geometries
+ * @returns {Object} {renderWidth, renderHeight, offsetX, offsetY}
+ */
+function calculateRelativeSizeLayout(bounds, width, height, padding, maxDimension) {
     const usableWidth = width - (2 * padding);
     const usableHeight = height - (2 * padding);
 
@@ -236,56 +293,18 @@ function renderRelativeSize(ctx, geomType, coordinates, bounds, width, height, p
     const offsetX = (width - renderWidth) / 2;
     const offsetY = (height - renderHeight) / 2;
 
-    // Create projection function that handles degenerate bounds
-    const projectFn = (lon, lat) => {
-        let normX, normY;
-        if (bounds.width === 0) {
-            normX = 0.5; // Center horizontally
-        } else {
-            normX = (lon - bounds.minLon) / bounds.width;
-        }
-        if (bounds.height === 0) {
-            normY = 0.5; // Center vertically
-        } else {
-            normY = (bounds.maxLat - lat) / bounds.height; // Flip Y
-        }
-        return {
-            x: offsetX + (normX * renderWidth),
-            y: offsetY + (normY * renderHeight)
-        };
-    };
-
-    // Create and render path(s)
-    const paths = createPath(geomType, coordinates, projectFn);
-
-    // Determine rendering style based on geometry type
-    const isPolygon = geomType === 'Polygon' || geomType === 'MultiPolygon';
-    const isLinestring = geomType === 'LineString' || geomType === 'MultiLineString';
-
-    if (isPolygon) {
-        ctx.fillStyle = fillColor;
-        ctx.strokeStyle = darkenColor(fillColor, 20);
-        ctx.lineWidth = 2;
-
-        // Handle both single path and array of paths
-        const pathArray = Array.isArray(paths) ? paths : [paths];
-        pathArray.forEach(path => {
-            ctx.fill(path, 'evenodd'); // Use even-odd for holes
-            ctx.stroke(path);
-        });
-    } else if (isLinestring) {
-        ctx.strokeStyle = fillColor;
-        ctx.lineWidth = 4; // Thicker for visibility
-        ctx.lineCap = 'round';
-        ctx.lineJoin = 'round';
-        ctx.stroke(paths); // LineString always returns single path
-    }
+    return { renderWidth, renderHeight, offsetX, offsetY };
 }
 
 /**
- * Render geometry in fit-to-cell mode (with aspect ratio preserved)
+ * Calculate where a geometry is drawn in fit-to-cell mode (with aspect ratio preserved)
+ * @param {Object} bounds - Reprojected bounding box
+ * @param {number} width - Output width
+ * @param {number} height - Output height
+ * @param {number} padding - Padding
+ * @returns {Object} {renderWidth, renderHeight, offsetX, offsetY}
  */
-function renderFitToCell(ctx, geomType, coordinates, bounds, width, height, padding, fillColor = '#3388ff') {
+function calculateFitToCellLayout(bounds, width, height, padding) {
     const usableWidth = width - (2 * padding);
     const usableHeight = height - (2 * padding);
 
@@ -322,8 +341,19 @@ function renderFitToCell(ctx, geomType, coordinates, bounds, width, height, padd
     const offsetX = padding + (usableWidth - renderWidth) / 2;
     const offsetY = padding + (usableHeight - renderHeight) / 2;
 
-    // Create projection function that preserves aspect ratio and handles degenerate bounds
-    const projectFn = (lon, lat) => {
+    return { renderWidth, renderHeight, offsetX, offsetY };
+}
+
+/**
+ * Create a projection function for a layout that handles degenerate bounds
+ * @param {Object} bounds - Reprojected bounding box
+ * @param {Object} layout - {renderWidth, renderHeight, offsetX, offsetY}
+ * @returns {Function} Function projecting (lon, lat) to {x, y}
+ */
+function createProjectFn(bounds, layout) {
+    const { renderWidth, renderHeight, offsetX, offsetY } = layout;
+
+    return (lon, lat) => {
         let normX, normY;
         if (bounds.width === 0) {
             normX = 0.5; // Center horizontally
@@ -340,79 +370,130 @@ function renderFitToCell(ctx, geomType, coordinates, bounds, width, height, padd
             y: offsetY + (normY * renderHeight)
         };
     };
+}
 
-    // Create and render path(s)
-    const paths = createPath(geomType, coordinates, projectFn);
+/**
+ * Work out everything needed to draw a geometry into a width x height area:
+ * colours, reprojected coordinates and the projection function.
+ * Shared by the canvas renderer and the vector (SVG) renderer so both produce the same picture.
+ * @param {Object} geometry - GeometryObject to render
+ * @param {number} width - Output width
+ * @param {number} height - Output height
+ * @param {Object} options - Rendering options {maintainRelativeSize, maxDimension, fillColor, respectOsmColors, markerSymbol}
+ * @returns {Object} {geomType, coordinates, projectFn, isPoint, isPolygon, isLinestring, markers, markerSymbol, markerRadius,
+ *   fillColor, strokeColor, backgroundColor} - markers lists the {x, y} of each point to draw a marker at, or is null
+ */
+export function prepareGeometryRender(geometry, width, height, options = {}) {
+    const padding = 10;
+    const bounds = reprojectBounds(geometry.bounds);
 
-    // Determine rendering style based on geometry type
-    const isPolygon = geomType === 'Polygon' || geomType === 'MultiPolygon';
-    const isLinestring = geomType === 'LineString' || geomType === 'MultiLineString';
+    // Determine fill color: respect OSM color if enabled and present, otherwise use global
+    const fillColor = (options.respectOsmColors && geometry.color)
+        ? geometry.color
+        : (options.fillColor || '#3388ff');
 
-    if (isPolygon) {
-        ctx.fillStyle = fillColor;
-        ctx.strokeStyle = darkenColor(fillColor, 20);
-        ctx.lineWidth = 2;
+    // If geometry has a color (from OSM), use contrast-aware background
+    // Otherwise, keep transparent background to show CSS theme
+    const backgroundColor = (options.respectOsmColors && geometry.color)
+        ? getContrastBackground(geometry.color)
+        : null;
 
-        // Handle both single path and array of paths
-        const pathArray = Array.isArray(paths) ? paths : [paths];
-        pathArray.forEach(path => {
-            ctx.fill(path, 'evenodd'); // Use even-odd for holes
-            ctx.stroke(path);
-        });
-    } else if (isLinestring) {
-        ctx.strokeStyle = fillColor;
-        ctx.lineWidth = 4; // Thicker for visibility
-        ctx.lineCap = 'round';
-        ctx.lineJoin = 'round';
-        ctx.stroke(paths); // LineString always returns single path
+    const layout = (options.maintainRelativeSize && options.maxDimension)
+        // Relative size mode: scale based on the largest geometry
+        ? calculateRelativeSizeLayout(bounds, width, height, padding, options.maxDimension)
+        // Fit to cell mode: each geometry fills its canvas
+        : calculateFitToCellLayout(bounds, width, height, padding);
+
+    const geomType = geometry.geometry.type;
+    const coordinates = reprojectGeometry(geometry.geometry.coordinates);
+    const projectFn = createProjectFn(bounds, layout);
+    // Degenerate point (zero width AND height) - but not degenerate lines
+    const isPoint = bounds.width === 0 && bounds.height === 0;
+
+    let markers = null;
+    if (isPoint) {
+        markers = [{ x: width / 2, y: height / 2 }];
+    } else if (geomType === 'MultiPoint') {
+        markers = coordinates.map(([lon, lat]) => projectFn(lon, lat));
     }
+
+    return {
+        geomType,
+        coordinates,
+        projectFn,
+        isPoint,
+        isPolygon: geomType === 'Polygon' || geomType === 'MultiPolygon',
+        isLinestring: geomType === 'LineString' || geomType === 'MultiLineString',
+        markers,
+        markerSymbol: options.markerSymbol || 'circle',
+        markerRadius: MARKER_RADIUS,
+        fillColor,
+        strokeColor: darkenColor(fillColor, 20),
+        backgroundColor
+    };
 }
 
 /**
  * Render a geometry on a canvas
  * @param {HTMLCanvasElement} canvas - The canvas element
  * @param {Object} geometry - GeometryObject to render
- * @param {Object} options - Rendering options {maintainRelativeSize, maxDimension, fillColor, respectOsmColors}
+ * @param {Object} options - Rendering options {maintainRelativeSize, maxDimension, fillColor, respectOsmColors, markerSymbol}
  */
 export function renderGeometry(canvas, geometry, options = {}) {
     const ctx = canvas.getContext('2d');
     const width = canvas.width;
     const height = canvas.height;
-    const padding = 10;
 
     // Clear canvas first
     ctx.clearRect(0, 0, width, height);
 
-    const bounds = reprojectBounds(geometry.bounds);
+    const render = prepareGeometryRender(geometry, width, height, options);
 
-    // Determine fill color: respect OSM color if enabled and present, otherwise use global
-    const fillColor = (options.respectOsmColors && geometry.color)
-        ? geometry.color
-        : (options.fillColor || '#3388ff');
-
-    // If geometry has a color (from OSM), use contrast-aware background
-    // Otherwise, keep transparent background to show CSS theme
-    if (options.respectOsmColors && geometry.color) {
-        const bgColor = getContrastBackground(geometry.color);
-        ctx.fillStyle = bgColor;
+    if (render.backgroundColor) {
+        ctx.fillStyle = render.backgroundColor;
         ctx.fillRect(0, 0, width, height);
     }
 
-    const geomType = geometry.geometry.type;
-    const coordinates = reprojectGeometry(geometry.geometry.coordinates);
-
-    // Handle degenerate point (zero width AND height) - but not degenerate lines
-    if (bounds.width === 0 && bounds.height === 0) {
-        ctx.fillStyle = fillColor;
-        ctx.fillRect(width / 2 - 5, height / 2 - 5, 10, 10);
+    if (render.markers) {
+        ctx.fillStyle = render.fillColor;
+        ctx.strokeStyle = render.strokeColor;
+        ctx.lineWidth = 1.5;
+        ctx.lineJoin = 'round';
+        render.markers.forEach(({x, y}) => {
+            const path = new Path2D();
+            getMarkerOutline(render.markerSymbol, x, y, render.markerRadius).forEach(([px, py], i) => {
+                if (i === 0) {
+                    path.moveTo(px, py);
+                } else {
+                    path.lineTo(px, py);
+                }
+            });
+            path.closePath();
+            ctx.fill(path);
+            ctx.stroke(path);
+        });
         return;
     }
 
-    if (options.maintainRelativeSize && options.maxDimension) {
-        // Relative size mode: scale based on the largest geometry
-        renderRelativeSize(ctx, geomType, coordinates, bounds, width, height, padding, options.maxDimension, fillColor);
-    } else {
-        // Fit to cell mode: each geometry fills its canvas
-        renderFitToCell(ctx, geomType, coordinates, bounds, width, height, padding, fillColor);
+    // Create and render path(s)
+    const paths = createPath(render.geomType, render.coordinates, render.projectFn);
+
+    if (render.isPolygon) {
+        ctx.fillStyle = render.fillColor;
+        ctx.strokeStyle = render.strokeColor;
+        ctx.lineWidth = 2;
+
+        // Handle both single path and array of paths
+        const pathArray = Array.isArray(paths) ? paths : [paths];
+        pathArray.forEach(path => {
+            ctx.fill(path, 'evenodd'); // Use even-odd for holes
+            ctx.stroke(path);
+        });
+    } else if (render.isLinestring) {
+        ctx.strokeStyle = render.fillColor;
+        ctx.lineWidth = 4; // Thicker for visibility
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        ctx.stroke(paths); // LineString always returns single path
     }
 }
@@ -0,0 +1,85 @@
+/**
+ * csvExporter.js
+ * Flattens parsed geometries into a table (one row per geometry) for spreadsheets
+ */
+
+import { calculateCentroid, sortTagKeys } from './gridLayout.js';
+import { calculateArea, calculateLength } from './geoMetrics.js';
+import { formatDelimited } from './exportUtils.js';
+
+/**
+ * Fixed columns that precede the tag columns
+ */
+const METRIC_COLUMNS = [
+    'osm_type', 'osm_id', 'source_way_ids', 'geometry_type', 'node_count',
+    'min_lat', 'min_lon', 'max_lat', 'max_lon', 'centroid_lat', 'centroid_lon',
+    'area_m2', 'length_m'
+];
+
+/**
+ * Round a number to a fixed number of decimals, dropping trailing zeros
+ * @param {number|null} value - Number to round
+ * @param {number} decimals - Decimal places
+ * @returns {number|null} Rounded number (null stays null)
+ */
+function round(value, decimals) {
+    if (value === null || value === undefined) return null;
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * Build table rows for geometries: a header row, then one row per geometry
+ * Every OSM tag key present in the result set gets its own column (internal _ tags are skipped).
+ * @param {Array} geometries - Array of GeometryObject
+ * @returns {Array<Array>} Header row followed by data rows
+ */
+export function geometriesToRows(geometries) {
+    const tagKeys = new Set();
+    geometries.forEach(geom => {
+        Object.keys(geom.tags || {}).forEach(key => {
+            if (!key.startsWith('_')) {
+                tagKeys.add(key);
+            }
+        });
+    });
+    const sortedKeys = sortTagKeys([...tagKeys]);
+
+    const rows = geometries.map(geom => {
+        const { minLat, minLon, maxLat, maxLon } = geom.bounds;
+        const centroid = calculateCentroid(geom.bounds);
+
+        return [
+            geom.type,
+            geom.id,
+            geom.type === 'component' ? geom.sourceWayIds.join(';') : '',
+            geom.geometry.type,
+            geom.nodeCount,
+            round(minLat, 7),
+            round(minLon, 7),
+            round(maxLat, 7),
+            round(maxLon, 7),
+            round(centroid.lat, 7),
+            round(centroid.lon, 7),
+            round(calculateArea(geom.geometry), 1),
+            round(calculateLength(geom.geometry), 1),
+            ...sortedKeys.map(key => (geom.tags || {})[key])
+        ];
+    });
+
+    return [[...METRIC_COLUMNS, ...sortedKeys], ...rows];
+}
+
+/**
+ * Export geometries as CSV or TSV text
+ * @param {Array} geometries - Array of GeometryObject, in the order the rows should appear
+ * @param {string} format - 'csv' or 'tsv'
+ * @returns {string} File contents (with a UTF-8 byte order mark for spreadsheet apps)
+ */
+export function geometriesToDelimited(geometries, format = 'csv') {
+    if (!geometries || geometries.length === 0) {
+        throw new Error('Nothing to export: there are no geometries');
+    }
+    const delimiter = format === 'tsv' ? '\t' : ',';
+    return '\uFEFF' + formatDelimited(geometriesToRows(geometries), delimiter);
+}
@@ -0,0 +1,213 @@
+/**
+ * exportUtils.js
+ * Shared helpers for exporting results as downloadable files
+ */
+
+/**
+ * Attribution text required when publishing OpenStreetMap data
+ */
+export const OSM_ATTRIBUTION = '© OpenStreetMap contributors (openstreetmap.org/copyright)';
+
+/**
+ * Trigger a browser download for a Blob
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Suggested file name
+ */
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Give the browser a moment to start the download before releasing the URL
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Convert a canvas to a Blob
+ * @param {HTMLCanvasElement} canvas - Canvas to encode
+ * @param {string} type - MIME type (defaults to PNG)
+ * @returns {Promise<Blob>} Encoded image
+ */
+export function canvasToBlob(canvas, type = 'image/png') {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => {
+            if (blob) {
+                resolve(blob);
+            } else {
+                reject(new Error('Failed to encode image (the canvas may be too large)'));
+            }
+        }, type);
+    });
+}
+
+/**
+ * Shorten text with an ellipsis until it fits the given width
+ * @param {CanvasRenderingContext2D} ctx - Context with the font already set
+ * @param {string} text - Text to fit
+ * @param {number} maxWidth - Available width in pixels
+ * @returns {string} Text that fits
+ */
+export function fitText(ctx, text, maxWidth) {
+    if (ctx.measureText(text).width <= maxWidth) {
+        return text;
+    }
+    let truncated = text;
+    while (truncated.length > 0 && ctx.measureText(truncated + '…').width > maxWidth) {
+        truncated = truncated.slice(0, -1);
+    }
+    return truncated + '…';
+}
+
+/**
+ * Turn a title into a safe file name stem
+ * @param {string} title - Human readable title (e.g. "Named Parks of Seattle, WA")
+ * @param {string} fallback - Stem to use when the title has no usable characters
+ * @returns {string} File name stem (e.g. "named-parks-of-seattle-wa")
+ */
+export function slugifyFilename(title, fallback = 'xofy-export') {
+    const slug = (title || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+    return slug || fallback;
+}
+
+/**
+ * Get a short human readable label for a geometry
+ * Prefers the name tag, then falls back to the OSM type and ID
+ * @param {Object} geom - GeometryObject
+ * @returns {string} Label text
+ */
+export function getGeometryLabel(geom) {
+    if (geom.tags && geom.tags.name) {
+        return geom.tags.name;
+    }
+    return getGeometryIdLabel(geom);
+}
+
+/**
+ * Get a label identifying a geometry by its OSM type and ID
+ * @param {Object} geom - GeometryObject
+ * @returns {string} e.g. "Way 123456" or "3 Connected Ways"
+ */
+export function getGeometryIdLabel(geom) {
+    if (geom.type === 'component') {
+        return `${geom.sourceWayIds.length} Connected Ways`;
+    }
+    const displayType = geom.type.charAt(0).toUpperCase() + geom.type.slice(1);
+    return `${displayType} ${geom.id}`;
+}
+
+/**
+ * Get a name for a route-like geometry, as shown on GPS units and in Google Earth
+ * @param {Object} geom - GeometryObject
+ * @returns {string} The name tag, else the ref tag, else the OSM type and ID
+ */
+export function getRouteName(geom) {
+    const tags = geom.tags || {};
+    return tags.name || tags.ref || getGeometryIdLabel(geom);
+}
+
+/**
+ * Get the openstreetmap.org page of a geometry
+ * @param {Object} geom - GeometryObject
+ * @param {boolean} isImported - True if the geometry came from an imported file, whose IDs are made up
+ * @returns {string|null} URL, or null for imported geometries, merged components (which have no single
+ *   OSM object) and IDs that are not OSM IDs
+ */
+export function getOsmUrl(geom, isImported = false) {
+    if (isImported || geom.type === 'component' || !isOsmId(geom.id)) {
+        return null;
+    }
+    return `https://www.openstreetmap.org/${geom.type}/${geom.id}`;
+}
+
+/**
+ * Check whether an ID is a real OSM ID (a positive integer)
+ * Imported GeoJSON can have IDs such as "1000000_0" or "way/123".
+ * @param {*} id - Element ID
+ * @returns {boolean} True for positive integers
+ */
+export function isOsmId(id) {
+    return Number.isInteger(id) && id > 0;
+}
+
+/**
+ * Get a file name stem identifying a geometry
+ * Merged components are named after their smallest way ID and way count, as their component ID lists
+ * every way and can exceed file name length limits. Only letters, digits, "_" and "-" are kept.
+ * @param {Object} geom - GeometryObject
+ * @param {number} index - Position in the results, used when the IDs cannot name the file
+ * @returns {string} "way-123456", "relation-42", "component-123456-30" for merged ways, or
+ *   "component-item-5-30" for merged imported ways without OSM IDs
+ */
+export function getGeometryFileStem(geom, index = 0) {
+    let stem;
+    if (geom.type === 'component') {
+        const count = geom.sourceWayIds.length;
+        stem = geom.sourceWayIds.every(isOsmId)
+            ? `component-${Math.min(...geom.sourceWayIds)}-${count}`
+            : `component-item-${index + 1}-${count}`;
+    } else {
+        // Features re-imported from a GeoJSON export have IDs such as "way/123"
+        const id = String(geom.id).replace(/^(node|way|relation)\//, '');
+        stem = id ? `${geom.type}-${id}` : `${geom.type}-item-${index + 1}`;
+    }
+    return stem.replace(/[^A-Za-z0-9_-]/g, '_');
+}
+
+/**
+ * Make a file name unique among names already used, by adding "-2", "-3", ... before the extension
+ * @param {string} name - File name, e.g. "way-123.png"
+ * @param {Set<string>} usedNames - Names already used; the returned name is added to it
+ * @returns {string} The name, or a numbered variant if it was taken
+ */
+export function makeUniqueFileName(name, usedNames) {
+    const dot = name.lastIndexOf('.');
+    const stem = dot > 0 ? name.slice(0, dot) : name;
+    const extension = dot > 0 ? name.slice(dot) : '';
+    let unique = name;
+    for (let n = 2; usedNames.has(unique); n++) {
+        unique = `${stem}-${n}${extension}`;
+    }
+    usedNames.add(unique);
+    return unique;
+}
+
+/**
+ * Format rows as delimiter-separated text (CSV by default)
+ * Fields containing the delimiter, quotes or line breaks are quoted as per RFC 4180.
+ * @param {Array<Array>} rows - Rows of field values (null/undefined become empty fields)
+ * @param {string} delimiter - Field delimiter (',' for CSV, '\t' for TSV)
+ * @returns {string} Text with CRLF line endings
+ */
+export function formatDelimited(rows, delimiter = ',') {
+    const formatField = (value) => {
+        const text = (value === null || value === undefined) ? '' : String(value);
+        if (text.includes(delimiter) || /["\r\n]/.test(text)) {
+            return `"${text.replace(/"/g, '""')}"`;
+        }
+        return text;
+    };
+    return rows.map(row => row.map(formatField).join(delimiter)).join('\r\n') + '\r\n';
+}
+
+/**
+ * Escape text for use in XML/SVG content and attribute values
+ * @param {*} value - Value to escape (converted to string)
+ * @returns {string} Escaped text
+ */
+export function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
@@ -0,0 +1,193 @@
+/**
+ * flipbookExporter.js
+ * Steps through the results one geometry per frame and encodes them as an animated GIF or WebM video
+ */
+
+import { renderGeometry } from './canvasRenderer.js';
+import { createGifEncoder } from './gifWriter.js';
+import { getGeometryIdLabel, fitText } from './exportUtils.js';
+
+/**
+ * Flipbook colours - fixed light palette so exports look the same regardless of the UI theme
+ */
+const FLIPBOOK_COLORS = {
+    background: '#ffffff',
+    caption: '#333333',
+    secondary: '#7f8c8d'
+};
+
+/**
+ * WebM codecs to try, best first
+ */
+const WEBM_MIME_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+/**
+ * Get the caption lines for a frame
+ * @param {Object} geom - GeometryObject
+ * @param {Object} caption - {showName, showId}
+ * @returns {Array<Object>} Array of {text, secondary}
+ */
+function getCaptionLines(geom, caption) {
+    const lines = [];
+    if (caption.showName && geom.tags && geom.tags.name) {
+        lines.push({ text: geom.tags.name, secondary: false });
+    }
+    if (caption.showId) {
+        lines.push({ text: getGeometryIdLabel(geom), secondary: lines.length > 0 });
+    }
+    return lines;
+}
+
+/**
+ * Create a frame renderer for a given frame size
+ * The geometry fills the frame above an optional caption band.
+ * @param {number} size - Frame width and height in pixels
+ * @param {Object} options - {showName, showId, renderOptions}
+ * @returns {Object} {canvas, ctx, drawFrame(geom)}
+ */
+function createFrameRenderer(size, options) {
+    const { showName = true, showId = true, renderOptions = {} } = options;
+    const fontSize = Math.max(10, Math.round(size / 24));
+    const lineHeight = Math.round(fontSize * 1.4);
+    const captionLineCount = (showName ? 1 : 0) + (showId ? 1 : 0);
+    const captionHeight = captionLineCount > 0 ? captionLineCount * lineHeight + fontSize : 0;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+    // Frames are read back for GIF encoding
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+
+    const geometryCanvas = document.createElement('canvas');
+    geometryCanvas.width = size;
+    geometryCanvas.height = size - captionHeight;
+
+    const drawFrame = (geom) => {
+        ctx.fillStyle = FLIPBOOK_COLORS.background;
+        ctx.fillRect(0, 0, size, size);
+
+        renderGeometry(geometryCanvas, geom, renderOptions);
+        ctx.drawImage(geometryCanvas, 0, 0);
+
+        const lines = getCaptionLines(geom, { showName, showId });
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        lines.forEach((line, i) => {
+            ctx.font = `${line.secondary ? '' : 'bold '}${fontSize}px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif`;
+            ctx.fillStyle = line.secondary ? FLIPBOOK_COLORS.secondary : FLIPBOOK_COLORS.caption;
+            const y = size - captionHeight + fontSize / 2 + (i + 0.5) * lineHeight;
+            ctx.fillText(fitText(ctx, line.text, size - 2 * fontSize), size / 2, y);
+        });
+    };
+
+    return { canvas, ctx, drawFrame };
+}
+
+/**
+ * Yield to the browser so the page stays responsive and progress can paint
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise} Resolves after the delay
+ */
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Check whether this browser can record WebM video from a canvas
+ * @returns {boolean} True if WebM recording is available
+ */
+export function isWebmSupported() {
+    return typeof MediaRecorder !== 'undefined' &&
+        typeof HTMLCanvasElement.prototype.captureStream === 'function' &&
+        WEBM_MIME_TYPES.some(type => MediaRecorder.isTypeSupported(type));
+}
+
+/**
+ * Build an animated GIF with one frame per geometry
+ * @param {Array} geometries - Array of GeometryObject, in frame order
+ * @param {Object} options - Flipbook options
+ * @param {number} options.size - Frame width and height in pixels (default 400)
+ * @param {number} options.frameDuration - Milliseconds per frame (default 500)
+ * @param {boolean} options.showName - Caption with the name tag (default true)
+ * @param {boolean} options.showId - Caption with the OSM ID (default true)
+ * @param {Object} options.renderOptions - Options as for renderGeometry
+ * @param {Function} options.onProgress - Called with (frameCount, totalCount)
+ * @returns {Promise<Blob>} The GIF file
+ */
+export async function buildFlipbookGif(geometries, options = {}) {
+    if (!geometries || geometries.length === 0) {
+        throw new Error('Nothing to export: there are no geometries');
+    }
+
+    const { size = 400, frameDuration = 500, onProgress = null } = options;
+    const { ctx, drawFrame } = createFrameRenderer(size, options);
+    const encoder = createGifEncoder(size, size);
+
+    for (let i = 0; i < geometries.length; i++) {
+        drawFrame(geometries[i]);
+        encoder.addFrame(ctx.getImageData(0, 0, size, size), frameDuration);
+
+        if (onProgress) {
+            onProgress(i + 1, geometries.length);
+        }
+        await wait(0);
+    }
+
+    return encoder.toBlob();
+}
+
+/**
+ * Record a WebM video with one frame per geometry using MediaRecorder
+ * Recording happens in real time, so this takes (frame count × frame duration).
+ * @param {Array} geometries - Array of GeometryObject, in frame order
+ * @param {Object} options - Same options as buildFlipbookGif
+ * @returns {Promise<Blob>} The WebM file
+ */
+export async function recordFlipbookWebm(geometries, options = {}) {
+    if (!geometries || geometries.length === 0) {
+        throw new Error('Nothing to export: there are no geometries');
+    }
+    if (!isWebmSupported()) {
+        throw new Error('This browser cannot record WebM video. Try the GIF format instead.');
+    }
+
+    const { size = 400, frameDuration = 500, onProgress = null } = options;
+    const { canvas, drawFrame } = createFrameRenderer(size, options);
+    const mimeType = WEBM_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+
+    // Frame rate 0: frames are only captured when requested
+    const stream = canvas.captureStream(0);
+    const track = stream.getVideoTracks()[0];
+    const recorder = new MediaRecorder(stream, { mimeType });
+    const chunks = [];
+
+    recorder.ondataavailable = (event) => {
+        if (event.data.size > 0) {
+            chunks.push(event.data);
+        }
+    };
+    const stopped = new Promise((resolve, reject) => {
+        recorder.onstop = resolve;
+        recorder.onerror = (event) => reject(event.error || new Error('Video recording failed'));
+    });
+
+    recorder.start();
+
+    try {
+        for (let i = 0; i < geometries.length; i++) {
+            drawFrame(geometries[i]);
+            track.requestFrame();
+
+            if (onProgress) {
+                onProgress(i + 1, geometries.length);
+            }
+            await wait(frameDuration);
+        }
+    } finally {
+        recorder.stop();
+        track.stop();
+    }
+
+    await stopped;
+    return new Blob(chunks, { type: 'video/webm' });
+}
@@ -0,0 +1,115 @@
+/**
+ * geoMetrics.js
+ * Real-world measurements of geometries on a spherical Earth
+ */
+
+/**
+ * Earth radius in metres (WGS 84 semi-major axis, as used by EPSG:3857)
+ */
+const EARTH_RADIUS = 6378137;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+/**
+ * Great-circle distance between two coordinates (haversine formula)
+ * @param {Array} a - [lon, lat]
+ * @param {Array} b - [lon, lat]
+ * @returns {number} Distance in metres
+ */
+export function haversineDistance(a, b) {
+    const dLat = toRadians(b[1] - a[1]);
+    const dLon = toRadians(b[0] - a[0]);
+    const h = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(a[1])) * Math.cos(toRadians(b[1])) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * Length of a line
+ * @param {Array<Array>} coords - Array of [lon, lat] coordinates
+ * @returns {number} Length in metres
+ */
+function lineLength(coords) {
+    let length = 0;
+    for (let i = 1; i < coords.length; i++) {
+        length += haversineDistance(coords[i - 1], coords[i]);
+    }
+    return length;
+}
+
+/**
+ * Perimeter of a ring, closing it if needed
+ * @param {Array<Array>} ring - Array of [lon, lat] coordinates
+ * @returns {number} Perimeter in metres
+ */
+function ringPerimeter(ring) {
+    if (ring.length < 2) return 0;
+    return lineLength(ring) + haversineDistance(ring[ring.length - 1], ring[0]);
+}
+
+/**
+ * Unsigned area of a ring on a sphere
+ * Chamberlain & Duquette, "Some Algorithms for Polygons on a Sphere" (2007)
+ * @param {Array<Array>} ring - Array of [lon, lat] coordinates (open or closed)
+ * @returns {number} Area in square metres
+ */
+function ringArea(ring) {
+    const n = ring.length;
+    if (n < 3) return 0;
+
+    let total = 0;
+    for (let i = 0; i < n; i++) {
+        const prev = ring[(i + n - 1) % n];
+        const next = ring[(i + 1) % n];
+        total += (toRadians(next[0]) - toRadians(prev[0])) * Math.sin(toRadians(ring[i][1]));
+    }
+    return Math.abs(total * EARTH_RADIUS * EARTH_RADIUS / 2);
+}
+
+/**
+ * Area of a polygon given as [outer, inner1, ...]: outer ring minus holes
+ * @param {Array<Array<Array>>} polygon - Array of rings
+ * @returns {number} Area in square metres
+ */
+function polygonArea(polygon) {
+    return polygon.reduce((area, ring, index) => area + (index === 0 ? ringArea(ring) : -ringArea(ring)), 0);
+}
+
+/**
+ * Calculate the real-world area of a geometry
+ * Note: internally a 'Polygon' stores a single ring, not an array of rings
+ * @param {Object} geometry - {type, coordinates}
+ * @returns {number|null} Area in square metres, or null for non-areal geometries
+ */
+export function calculateArea(geometry) {
+    switch (geometry.type) {
+        case 'Polygon':
+            return ringArea(geometry.coordinates);
+        case 'MultiPolygon':
+            return geometry.coordinates.reduce((sum, polygon) => sum + polygonArea(polygon), 0);
+        default:
+            return null;
+    }
+}
+
+/**
+ * Calculate the real-world length of a geometry
+ * Lines report their length; polygons report their perimeter (all rings, including holes)
+ * @param {Object} geometry - {type, coordinates}
+ * @returns {number} Length in metres
+ */
+export function calculateLength(geometry) {
+    switch (geometry.type) {
+        case 'LineString':
+            return lineLength(geometry.coordinates);
+        case 'MultiLineString':
+            return geometry.coordinates.reduce((sum, line) => sum + lineLength(line), 0);
+        case 'Polygon':
+            return ringPerimeter(geometry.coordinates);
+        case 'MultiPolygon':
+            return geometry.coordinates.reduce((sum, polygon) =>
+                sum + polygon.reduce((ringSum, ring) => ringSum + ringPerimeter(ring), 0), 0);
+        default:
+            return 0;
+    }
+}
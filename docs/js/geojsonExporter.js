@@ -0,0 +1,128 @@
+/**
+ * geojsonExporter.js
+ * Serialises parsed geometries as an RFC 7946 GeoJSON FeatureCollection
+ */
+
+/**
+ * Calculate the signed area of a ring using the shoelace formula
+ * Positive means counterclockwise (with x = lon, y = lat)
+ * @param {Array<Array>} ring - Array of [lon, lat] coordinates
+ * @returns {number} Signed area in square degrees
+ */
+function signedRingArea(ring) {
+    let area = 0;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        area += (ring[j][0] * ring[i][1]) - (ring[i][0] * ring[j][1]);
+    }
+    return area / 2;
+}
+
+/**
+ * Return a closed copy of a ring wound in the requested direction
+ * RFC 7946: exterior rings are counterclockwise, holes are clockwise
+ * @param {Array<Array>} ring - Array of [lon, lat] coordinates
+ * @param {boolean} counterclockwise - Desired winding
+ * @returns {Array<Array>} Closed, correctly wound ring
+ */
+function orientRing(ring, counterclockwise) {
+    const closed = [...ring];
+    const first = closed[0];
+    const last = closed[closed.length - 1];
+    if (first[0] !== last[0] || first[1] !== last[1]) {
+        closed.push([first[0], first[1]]);
+    }
+
+    const isCounterclockwise = signedRingArea(closed) > 0;
+    return isCounterclockwise === counterclockwise ? closed : closed.reverse();
+}
+
+/**
+ * Convert a polygon ([outer, inner1, ...]) to RFC 7946 winding
+ * @param {Array<Array<Array>>} polygon - Array of rings
+ * @returns {Array<Array<Array>>} Correctly wound rings
+ */
+function orientPolygon(polygon) {
+    return polygon.map((ring, index) => orientRing(ring, index === 0));
+}
+
+/**
+ * Convert an internal geometry to a GeoJSON geometry
+ * Note: internally a 'Polygon' stores a single ring, not an array of rings
+ * @param {Object} geometry - {type, coordinates}
+ * @returns {Object|null} GeoJSON geometry or null if unsupported
+ */
+function toGeoJsonGeometry(geometry) {
+    switch (geometry.type) {
+        case 'Polygon':
+            return { type: 'Polygon', coordinates: orientPolygon([geometry.coordinates]) };
+        case 'MultiPolygon':
+            return { type: 'MultiPolygon', coordinates: geometry.coordinates.map(orientPolygon) };
+        case 'Point':
+        case 'MultiPoint':
+        case 'LineString':
+        case 'MultiLineString':
+            return { type: geometry.type, coordinates: geometry.coordinates };
+        default:
+            return null;
+    }
+}
+
+/**
+ * Build the properties object for a feature
+ * OSM tags are kept as-is; metadata uses '@' prefixed keys so it cannot clash with tags.
+ * Internal _component_* tags are dropped in favour of @sourceWayIds.
+ * @param {Object} geom - GeometryObject
+ * @returns {Object} Feature properties
+ */
+function buildProperties(geom) {
+    const properties = {};
+
+    Object.keys(geom.tags || {}).forEach(key => {
+        if (!key.startsWith('_')) {
+            properties[key] = geom.tags[key];
+        }
+    });
+
+    properties['@id'] = geom.type === 'component' ? geom.id : `${geom.type}/${geom.id}`;
+    properties['@type'] = geom.type;
+    properties['@nodeCount'] = geom.nodeCount;
+    if (geom.color) {
+        properties['@color'] = geom.color;
+    }
+    if (geom.type === 'component') {
+        properties['@componentId'] = geom.id;
+        properties['@sourceWayIds'] = geom.sourceWayIds;
+    }
+
+    return properties;
+}
+
+/**
+ * Convert parsed geometries to a GeoJSON FeatureCollection
+ * @param {Array} geometries - Array of GeometryObject
+ * @returns {Object} GeoJSON FeatureCollection
+ */
+export function geometriesToFeatureCollection(geometries) {
+    const features = [];
+
+    geometries.forEach(geom => {
+        const geometry = toGeoJsonGeometry(geom.geometry);
+        if (!geometry) {
+            return;
+        }
+
+        const { minLon, minLat, maxLon, maxLat } = geom.bounds;
+        features.push({
+            type: 'Feature',
+            id: geom.type === 'component' ? geom.id : `${geom.type}/${geom.id}`,
+            bbox: [minLon, minLat, maxLon, maxLat],
+            geometry,
+            properties: buildProperties(geom)
+        });
+    });
+
+    return {
+        type: 'FeatureCollection',
+        features
+    };
+}
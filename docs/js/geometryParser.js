@@ -1,10 +1,32 @@
 /**
  * geometryParser.js
  * Parses Overpass API results into normalized geometry objects
- * Supports closed ways and multipolygon relations
+ * Supports tagged nodes, ways, and multipolygon, boundary, route, site and building relations
  */
 
 import { calculateBounds } from './boundingBox.js';
+import { haversineDistance } from './geoMetrics.js';
+
+/**
+ * Relation types whose outer and inner ways are assembled into rings, like multipolygons
+ */
+const AREA_RELATION_TYPES = ['multipolygon', 'boundary'];
+
+/**
+ * Relation types drawn by combining the geometries of their members
+ */
+const FLATTENED_RELATION_TYPES = ['site', 'building'];
+
+/**
+ * Relation types drawn as lines: routes, and the relations grouping them
+ * (route_master: the directions of one line, superroute: the stages of a long route)
+ */
+const ROUTE_RELATION_TYPES = ['route', 'route_master', 'superroute'];
+
+/**
+ * How deep relation members of relations are followed
+ */
+const MAX_RELATION_DEPTH = 5;
 
 /**
  * Canvas element for color validation (created once, reused)
@@ -81,8 +103,12 @@ function countNodes(geometry) {
     const coords = geometry.coordinates;
 
     switch (geometry.type) {
+        case 'Point':
+            return 1;
+
         case 'LineString':
         case 'Polygon':
+        case 'MultiPoint':
             // Simple array of coordinates
             return coords.length;
 
@@ -124,7 +150,7 @@ function isClosed(geometry) {
  * @param {Object} tags - OSM tags object
  * @returns {boolean} True if the way should be rendered as a filled area
  */
-function isArea(tags) {
+export function isArea(tags) {
     if (!tags || Object.keys(tags).length === 0) {
         return false;
     }
@@ -287,94 +313,103 @@ function aggregateTagsForComponent(ways) {
 }
 
 /**
- * Try to merge a collection of ways into closed rings
- * @param {Array<Array>} ways - Array of coordinate arrays, each in [lon, lat] format
- * @returns {Array<Array>} Array of closed rings (may be fewer than input if ways were merged)
+ * Find the way that continues a chain of ways
+ * @param {Array<Array>} current - The chain so far, as [lon, lat] coordinates
+ * @param {Array<Object>} remaining - Unused ways as {coords, index}
+ * @param {number} gapTolerance - 0 to only accept ways sharing an end node with the chain, otherwise the
+ *   largest distance in metres between the chain's end and the nearest way end
+ * @returns {Object|null} {position (in remaining), joined (the extended chain)}, or null if no way fits
  */
-function mergeWaysIntoRings(ways) {
-    if (ways.length === 0) {
-        return [];
-    }
+function findRingContinuation(current, remaining, gapTolerance) {
+    const start = current[0];
+    const end = current[current.length - 1];
+    // Shared end nodes are not repeated; across a gap both ends are kept
+    const skip = gapTolerance === 0 ? 1 : 0;
+    const touches = (a, b) => gapTolerance === 0 ? coordsEqual(a, b) : haversineDistance(a, b);
+
+    let best = null;
+    remaining.forEach(({ coords }, position) => {
+        const first = coords[0];
+        const last = coords[coords.length - 1];
+        const options = [
+            [touches(end, first), () => [...current, ...coords.slice(skip)]],
+            [touches(end, last), () => [...current, ...coords.slice(0, coords.length - skip).reverse()]],
+            [touches(start, last), () => [...coords.slice(0, coords.length - skip), ...current]],
+            [touches(start, first), () => [...coords.slice(skip).reverse(), ...current]]
+        ];
+        options.forEach(([distance, join]) => {
+            // Exact matching gives true/false; with a tolerance, the nearest way end within it wins
+            const fits = gapTolerance === 0 ? distance === true : distance <= gapTolerance;
+            const gap = gapTolerance === 0 ? 0 : distance;
+            if (fits && (!best || gap < best.gap)) {
+                best = { position, gap, join };
+            }
+        });
+    });
 
-    // If only one way, check if it's already closed
-    if (ways.length === 1) {
-        const way = ways[0];
-        if (coordsEqual(way[0], way[way.length - 1])) {
-            return [way];
-        }
-        return [];
-    }
+    return best && { position: best.position, joined: best.join() };
+}
 
-    // Copy the ways array to avoid modifying the original
-    const remaining = ways.map(w => [...w]);
+/**
+ * Merge a collection of ways into closed rings, keeping every ring that closes
+ * Ways are joined where they share an end node. With a gap tolerance, a chain that cannot be continued
+ * that way is closed if its own ends are within the tolerance, or else joined to the nearest way end
+ * within it. Ways left in chains that still do not close are reported as dangling.
+ * @param {Array<Array>} ways - Array of coordinate arrays, each in [lon, lat] format
+ * @param {Object} options - {gapTolerance} - largest gap to close, in metres (default 0: no gaps are closed)
+ * @returns {Object} {rings, dangling, closedGaps} - closed rings, indexes into ways of the dangling ways,
+ *   and the number of gaps closed
+ */
+function mergeWaysIntoRings(ways, options = {}) {
+    const gapTolerance = options.gapTolerance || 0;
     const rings = [];
+    const dangling = [];
+    let closedGaps = 0;
+
+    // Copy the ways array to avoid modifying the original
+    const remaining = ways.map((coords, index) => ({ coords, index }));
+    const isRingClosed = (coords) => coordsEqual(coords[0], coords[coords.length - 1]);
 
     while (remaining.length > 0) {
         // Start a new ring with the first remaining way
-        let current = remaining.shift();
-        let merged = true;
-
-        // Keep trying to extend the current ring
-        while (merged && remaining.length > 0) {
-            merged = false;
-
-            // Check if current ring is already closed
-            if (coordsEqual(current[0], current[current.length - 1])) {
-                rings.push(current);
-                current = null;
+        const first = remaining.shift();
+        let current = [...first.coords];
+        const indexes = [first.index];
+
+        while (!isRingClosed(current)) {
+            const exact = findRingContinuation(current, remaining, 0);
+            if (exact) {
+                current = exact.joined;
+                indexes.push(remaining.splice(exact.position, 1)[0].index);
+                continue;
+            }
+            if (gapTolerance === 0) {
                 break;
             }
 
-            // Try to find a way that connects to either end of current
-            for (let i = 0; i < remaining.length; i++) {
-                const candidate = remaining[i];
-                const currentStart = current[0];
-                const currentEnd = current[current.length - 1];
-                const candidateStart = candidate[0];
-                const candidateEnd = candidate[candidate.length - 1];
-
-                // Check if candidate connects to end of current
-                if (coordsEqual(currentEnd, candidateStart)) {
-                    // Append candidate to current (skip first point to avoid duplicate)
-                    current = [...current, ...candidate.slice(1)];
-                    remaining.splice(i, 1);
-                    merged = true;
-                    break;
-                } else if (coordsEqual(currentEnd, candidateEnd)) {
-                    // Append reversed candidate to current
-                    current = [...current, ...candidate.slice(0, -1).reverse()];
-                    remaining.splice(i, 1);
-                    merged = true;
-                    break;
-                } else if (coordsEqual(currentStart, candidateEnd)) {
-                    // Prepend candidate to current (skip last point to avoid duplicate)
-                    current = [...candidate.slice(0, -1), ...current];
-                    remaining.splice(i, 1);
-                    merged = true;
-                    break;
-                } else if (coordsEqual(currentStart, candidateStart)) {
-                    // Prepend reversed candidate to current
-                    current = [...candidate.slice(1).reverse(), ...current];
-                    remaining.splice(i, 1);
-                    merged = true;
-                    break;
-                }
+            // Close small gaps: the chain's own ends first, then the nearest other way
+            if (current.length > 2 && haversineDistance(current[0], current[current.length - 1]) <= gapTolerance) {
+                current = [...current, current[0]];
+                closedGaps++;
+                break;
             }
+            const near = findRingContinuation(current, remaining, gapTolerance);
+            if (!near) {
+                break;
+            }
+            current = near.joined;
+            indexes.push(remaining.splice(near.position, 1)[0].index);
+            closedGaps++;
         }
 
-        // If we exited the loop, check if current ring is closed
-        if (current !== null) {
-            if (coordsEqual(current[0], current[current.length - 1])) {
-                rings.push(current);
-            } else {
-                // Ring is not closed and can't be extended further
-                // This means we have an open linestring that can't be closed
-                return [];
-            }
+        if (isRingClosed(current)) {
+            rings.push(current);
+        } else {
+            dangling.push(...indexes);
         }
     }
 
-    return rings;
+    return { rings, dangling, closedGaps };
 }
 
 /**
@@ -1001,15 +1036,88 @@ function coalesceOpenWays(openWays, options = {}) {
     return { geometries, warnings };
 }
 
+/**
+ * Maximum number of gap locations listed in a route's warning
+ */
+const MAX_LISTED_GAPS = 5;
+
+/**
+ * Check whether a route member is a stop or platform rather than part of the line
+ * @param {Object} member - Relation member
+ * @returns {boolean} True for roles such as stop, stop_entry_only or platform
+ */
+function isStopOrPlatform(member) {
+    return /^(stop|platform)/.test(member.role || '');
+}
+
+/**
+ * Chain route ways into continuous lines, in member order
+ * Each way is turned around when needed to continue the line so far (the first way of a line can
+ * be turned around too); a way that connects to neither end starts a new line.
+ * @param {Array} members - Way members with geometry, in relation order
+ * @returns {Object} {lines, gaps} - lines as arrays of [lon, lat]; gaps as {afterWayId, nextWayId, coord}
+ *   where coord is the end of the line before the gap
+ */
+function chainRouteWays(members) {
+    const lines = [];
+    const gaps = [];
+    let current = null;
+    let currentWayCount = 0;
+    let lastWayId = null;
+
+    members.forEach(member => {
+        const coords = member.geometry.map(coord => [coord.lon, coord.lat]);
+
+        if (current) {
+            const start = current[0];
+            const end = current[current.length - 1];
+            const first = coords[0];
+            const last = coords[coords.length - 1];
+
+            if (coordsEqual(end, first)) {
+                current.push(...coords.slice(1));
+            } else if (coordsEqual(end, last)) {
+                current.push(...coords.slice(0, -1).reverse());
+            } else if (currentWayCount === 1 && (coordsEqual(start, first) || coordsEqual(start, last))) {
+                current.reverse();
+                current.push(...(coordsEqual(start, first) ? coords.slice(1) : coords.slice(0, -1).reverse()));
+            } else {
+                gaps.push({ afterWayId: lastWayId, nextWayId: member.ref, coord: end });
+                lines.push(current);
+                current = null;
+            }
+        }
+
+        if (!current) {
+            current = coords.slice();
+            currentWayCount = 0;
+        }
+        currentWayCount++;
+        lastWayId = member.ref;
+    });
+
+    if (current) {
+        lines.push(current);
+    }
+
+    return { lines, gaps };
+}
+
 /**
  * Parse a route relation into a MultiLineString
+ * Member ways are chained in order into continuous lines, split where they do not connect.
+ * Ways with the backward role (the return branch of a route that splits, e.g. along a one-way pair)
+ * are chained separately from the rest, and stops and platforms are left out. The routes of a
+ * route_master or superroute (members marked with memberOf) are each chained on their own.
  * @param {Object} element - Route relation element
  * @param {Array} warnings - Warnings array to append to
  * @returns {Object|null} Geometry object or null if invalid
  */
 function parseRouteRelation(element, warnings) {
     // Extract way members in order
-    const wayMembers = element.members?.filter(m => m.type === 'way' && m.geometry && m.geometry.length > 0) || [];
+    const wayMembers = element.members?.filter(m =>
+        m.type === 'way' && m.geometry && m.geometry.length > 0 && !isStopOrPlatform(m)
+    ) || [];
 
     if (wayMembers.length === 0) {
         warnings.push({
@@ -1030,32 +1138,37 @@ function parseRouteRelation(element, warnings) {
         });
     }
 
-    // Convert members to coordinate arrays, preserving order
-    const linestrings = wayMembers.map(member =>
-        member.geometry.map(coord => [coord.lon, coord.lat])
-    );
-
-    // Check for gaps between consecutive ways
-    let hasGaps = false;
-    for (let i = 0; i < linestrings.length - 1; i++) {
-        const currentEnd = linestrings[i][linestrings[i].length - 1];
-        const nextStart = linestrings[i + 1][0];
-        const nextEnd = linestrings[i + 1][linestrings[i + 1].length - 1];
-
-        // Check if they connect (forward or reverse)
-        if (!coordsEqual(currentEnd, nextStart) && !coordsEqual(currentEnd, nextEnd)) {
-            hasGaps = true;
-            break;
+    // Group the ways by the route they belong to
+    const routes = new Map();
+    wayMembers.forEach(member => {
+        const routeId = member.memberOf === undefined ? element.id : member.memberOf;
+        if (!routes.has(routeId)) {
+            routes.set(routeId, []);
         }
-    }
+        routes.get(routeId).push(member);
+    });
 
-    if (hasGaps) {
-        warnings.push({
-            message: `Route relation ${element.id} has gaps between members`,
-            osmType: 'relation',
-            osmId: element.id
-        });
-    }
+    const linestrings = [];
+    routes.forEach((members, routeId) => {
+        const main = chainRouteWays(members.filter(m => m.role !== 'backward'));
+        const backward = chainRouteWays(members.filter(m => m.role === 'backward'));
+        linestrings.push(...main.lines, ...backward.lines);
+
+        // Separate backward branches are expected; only breaks in the main line are gaps
+        if (main.gaps.length > 0) {
+            const listed = main.gaps.slice(0, MAX_LISTED_GAPS).map(gap =>
+                `after way ${gap.afterWayId} at ${gap.coord[1].toFixed(5)}, ${gap.coord[0].toFixed(5)} (next: way ${gap.nextWayId})`
+            );
+            if (main.gaps.length > MAX_LISTED_GAPS) {
+                listed.push(`${main.gaps.length - MAX_LISTED_GAPS} more`);
+            }
+            warnings.push({
+                message: `Route relation ${routeId} has ${main.gaps.length} gap(s) between members: ${listed.join('; ')}`,
+                osmType: 'relation',
+                osmId: routeId
+            });
+        }
+    });
 
     // Calculate bounds across all coordinates
     const allCoords = linestrings.flat();
@@ -1077,10 +1190,250 @@ function parseRouteRelation(element, warnings) {
     };
 }
 
+/**
+ * Collect the coordinates of every way vertex in a response (ways and relation member ways)
+ * Used to tell the untagged nodes fetched by a recursion such as (._;>;) apart from standalone points.
+ * @param {Array} elements - Array of OSM elements
+ * @returns {Set<string>} Coordinate keys
+ */
+function collectWayVertexKeys(elements) {
+    const keys = new Set();
+    const addGeometry = (geometry) => {
+        (geometry || []).forEach(coord => keys.add(coordinateToKey([coord.lon, coord.lat])));
+    };
+
+    elements.forEach(element => {
+        if (element.type === 'way') {
+            addGeometry(element.geometry);
+        } else if (element.type === 'relation') {
+            (element.members || []).forEach(member => {
+                if (member.type === 'way') {
+                    addGeometry(member.geometry);
+                }
+            });
+        }
+    });
+
+    return keys;
+}
+
+/**
+ * Parse a node into a Point
+ * @param {Object} element - Node element with lat and lon
+ * @returns {Object} Geometry object
+ */
+function parseNode(element) {
+    const coordinates = [element.lon, element.lat];
+    const geometry = {
+        type: 'Point',
+        coordinates: coordinates
+    };
+
+    return {
+        id: element.id,
+        type: 'node',
+        tags: element.tags || {},
+        color: validateAndConvertColor(element.tags?.colour),
+        geometry: geometry,
+        bounds: calculateBounds(coordinates),
+        nodeCount: countNodes(geometry)
+    };
+}
+
+/**
+ * Parse a relation made only of nodes (e.g. an imported MultiPoint) into a MultiPoint
+ * @param {Object} element - Relation element
+ * @param {Array} nodeMembers - Its node members with lat and lon
+ * @returns {Object} Geometry object
+ */
+function parseNodeRelation(element, nodeMembers) {
+    const coordinates = nodeMembers.map(member => [member.lon, member.lat]);
+    const geometry = {
+        type: 'MultiPoint',
+        coordinates: coordinates
+    };
+
+    return {
+        id: element.id,
+        type: 'relation',
+        tags: element.tags || {},
+        color: validateAndConvertColor(element.tags?.colour),
+        geometry: geometry,
+        bounds: calculateBounds(coordinates),
+        nodeCount: countNodes(geometry)
+    };
+}
+
+/**
+ * Parse a site or building relation by combining its members' geometries
+ * Closed ways (and open ways that join into rings) become the polygons of a MultiPolygon; without any,
+ * ways become a MultiLineString, and without ways, nodes become a MultiPoint. Members of a lower
+ * dimension than the result are left out with a warning.
+ * @param {Object} element - Relation element
+ * @param {Array} warnings - Warnings array to append to
+ * @param {Object} ringOptions - Options for mergeWaysIntoRings
+ * @returns {Object|null} Geometry object or null if no member has geometry
+ */
+function parseFlattenedRelation(element, warnings, ringOptions) {
+    const members = element.members || [];
+    const relationType = element.tags.type;
+
+    const closedWays = [];
+    const openWays = [];
+    members.forEach(member => {
+        if (member.type !== 'way' || !member.geometry || member.geometry.length === 0) {
+            return;
+        }
+        const coords = member.geometry.map(coord => [coord.lon, coord.lat]);
+        if (isClosed(member.geometry)) {
+            closedWays.push(coords);
+        } else {
+            openWays.push(coords);
+        }
+    });
+    const points = members
+        .filter(member => member.type === 'node' && typeof member.lat === 'number' && typeof member.lon === 'number')
+        .map(member => [member.lon, member.lat]);
+
+    // Open ways that together close into rings count as areas (e.g. an outline split into several ways)
+    const merged = mergeWaysIntoRings(openWays, ringOptions);
+    const rings = [...closedWays, ...merged.rings];
+    const lines = merged.dangling.map(index => openWays[index]);
+
+    let geometry;
+    let leftOut = [];
+    if (rings.length > 0) {
+        geometry = { type: 'MultiPolygon', coordinates: rings.map(ring => [ring]) };
+        leftOut = [[lines.length, 'line'], [points.length, 'point']];
+    } else if (lines.length > 0) {
+        geometry = { type: 'MultiLineString', coordinates: lines };
+        leftOut = [[points.length, 'point']];
+    } else if (points.length > 0) {
+        geometry = { type: 'MultiPoint', coordinates: points };
+    } else {
+        warnings.push({
+            message: `Skipped ${relationType} relation ${element.id}: No members with geometry`,
+            osmType: 'relation',
+            osmId: element.id
+        });
+        return null;
+    }
+
+    const notShown = leftOut.filter(([count]) => count > 0).map(([count, kind]) => `${count} ${kind}`);
+    if (notShown.length > 0) {
+        warnings.push({
+            message: `${relationType.charAt(0).toUpperCase() + relationType.slice(1)} relation ${element.id}: ${notShown.join(' and ')} member(s) not shown`,
+            osmType: 'relation',
+            osmId: element.id
+        });
+    }
+
+    return {
+        id: element.id,
+        type: 'relation',
+        tags: element.tags,
+        color: validateAndConvertColor(element.tags.colour),
+        geometry: geometry,
+        bounds: calculateBounds(geometry.coordinates),
+        nodeCount: countNodes(geometry)
+    };
+}
+
+/**
+ * Replace relation members of relations with their own members, taken from the same response
+ * Relations drawn as part of another relation in the response (e.g. the routes of a route_master)
+ * are not drawn on their own. Sub-areas of boundaries are not followed: they are areas of their own.
+ * Members taken from a nested relation are marked with memberOf, the ID of the relation listing them.
+ * @param {Array} elements - Array of OSM elements
+ * @param {Array} warnings - Warnings array to append to
+ * @returns {Array} Elements with nested relations resolved
+ */
+function resolveNestedRelations(elements, warnings) {
+    const isNested = (member) => member.type === 'relation' && member.role !== 'subarea';
+    const drawnTypes = [...AREA_RELATION_TYPES, ...FLATTENED_RELATION_TYPES, ...ROUTE_RELATION_TYPES];
+
+    const relations = new Map(elements.filter(element => element.type === 'relation').map(element => [element.id, element]));
+    const parents = [...relations.values()].filter(relation =>
+        drawnTypes.includes(relation.tags?.type) && relation.members?.some(isNested)
+    );
+    if (parents.length === 0) {
+        return elements;
+    }
+
+    // Relations that a parent in the response will draw
+    const childIds = new Set();
+    parents.forEach(parent => parent.members.forEach(member => {
+        if (isNested(member) && member.ref !== parent.id && relations.has(member.ref)) {
+            childIds.add(member.ref);
+        }
+    }));
+
+    const warned = new Set();
+    const warn = (key, relationId, message) => {
+        if (!warned.has(key)) {
+            warned.add(key);
+            warnings.push({ message, osmType: 'relation', osmId: relationId });
+        }
+    };
+
+    const consumed = new Set();
+    const resolve = (relation, path) => {
+        const missing = [];
+        const members = relation.members.flatMap(member => {
+            if (!isNested(member)) {
+                return [member];
+            }
+            if (path.includes(member.ref)) {
+                warn(`cycle-${relation.id}-${member.ref}`, relation.id,
+                    `Relation ${relation.id}: member relation ${member.ref} contains it again (cycle), not followed`);
+                return [];
+            }
+            const child = relations.get(member.ref);
+            if (!child) {
+                missing.push(member.ref);
+                return [];
+            }
+            if (path.length > MAX_RELATION_DEPTH) {
+                warn(`depth-${relation.id}`, relation.id,
+                    `Relation ${relation.id}: relations nested more than ${MAX_RELATION_DEPTH} deep are not followed`);
+                return [];
+            }
+            consumed.add(child.id);
+            return resolve(child, [...path, child.id]).map(childMember =>
+                childMember.memberOf === undefined ? { ...childMember, memberOf: child.id } : childMember
+            );
+        });
+
+        if (missing.length > 0) {
+            warn(`missing-${relation.id}`, relation.id,
+                `Relation ${relation.id}: ${missing.length} member relation(s) not in the response (${missing.join(', ')}); add rel(r) to the query to fetch them`);
+        }
+        return members;
+    };
+
+    const resolved = new Map();
+    parents.filter(parent => !childIds.has(parent.id)).forEach(parent => {
+        resolved.set(parent.id, resolve(parent, [parent.id]));
+    });
+    // Relations that only contain each other have no outermost parent: draw each of them
+    parents.filter(parent => childIds.has(parent.id)).forEach(parent => {
+        if (!consumed.has(parent.id)) {
+            resolved.set(parent.id, resolve(parent, [parent.id]));
+        }
+    });
+
+    return elements
+        .filter(element => element.type !== 'relation' || !consumed.has(element.id) || resolved.has(element.id))
+        .map(element => element.type === 'relation' && resolved.has(element.id)
+            ? { ...element, members: resolved.get(element.id) }
+            : element);
+}
+
 /**
  * Parse elements from Overpass API response
  * @param {Array} elements - Array of OSM elements from Overpass response
- * @param {Object} options - Parsing options: {groupByEnabled, groupByTag}
+ * @param {Object} options - Parsing options: {groupByEnabled, groupByTag, ringGapTolerance}
+ *   (ringGapTolerance: largest gap in metres closed when assembling multipolygon rings, default 0)
  * @returns {Object} Object with geometries array and warnings array
  */
 export function parseElements(elements, options = {}) {
@@ -1091,28 +1444,67 @@ export function parseElements(elements, options = {}) {
     // Extract grouping options
     const groupByEnabled = options.groupByEnabled || false;
     const groupByTag = options.groupByTag || 'name';
+    const ringOptions = { gapTolerance: options.ringGapTolerance || 0 };
 
     if (!elements || elements.length === 0) {
         return { geometries, warnings };
     }
 
-    elements.forEach(element => {
-        // Skip nodes
+    // Resolve relation members that are relations themselves (route_master, super-relations)
+    const resolvedElements = resolveNestedRelations(elements, warnings);
+
+    // Built on first use: only needed when the response has untagged nodes
+    let wayVertexKeys = null;
+
+    resolvedElements.forEach(element => {
+        // Process nodes
         if (element.type === 'node') {
-            const warning = {
-                message: `Skipped node ${element.id}: Nodes are not supported (only closed ways)`,
-                osmType: 'node',
-                osmId: element.id
-            };
-            console.log('[geometryParser] Adding node warning:', warning);
-            warnings.push(warning);
+            if (typeof element.lat !== 'number' || typeof element.lon !== 'number') {
+                const warning = {
+                    message: `Skipped node ${element.id}: No coordinates`,
+                    osmType: 'node',
+                    osmId: element.id
+                };
+                console.log('[geometryParser] Adding node-coordinates warning:', warning);
+                warnings.push(warning);
+                return;
+            }
+
+            // Untagged nodes on a way are just its vertices, not features of their own
+            if (!element.tags || Object.keys(element.tags).length === 0) {
+                if (!wayVertexKeys) {
+                    wayVertexKeys = collectWayVertexKeys(resolvedElements);
+                }
+                if (wayVertexKeys.has(coordinateToKey([element.lon, element.lat]))) {
+                    const warning = {
+                        message: `Skipped node ${element.id}: Untagged node of a way`,
+                        osmType: 'node',
+                        osmId: element.id
+                    };
+                    console.log('[geometryParser] Adding way-node warning:', warning);
+                    warnings.push(warning);
+                    return;
+                }
+            }
+
+            geometries.push(parseNode(element));
             return;
         }
 
         // Process relations
         if (element.type === 'relation') {
-            // Check for route relations
-            if (element.tags?.type === 'route') {
+            // Relations made only of nodes (no member ways with geometry) become a MultiPoint
+            const nodeMembers = element.members?.filter(m =>
+                m.type === 'node' && typeof m.lat === 'number' && typeof m.lon === 'number'
+            ) || [];
+            const hasWayMembers = element.members?.some(m => m.type === 'way' && m.geometry && m.geometry.length > 0);
+            if (nodeMembers.length > 0 && !hasWayMembers) {
+                geometries.push(parseNodeRelation(element, nodeMembers));
+                return;
+            }
+
+            // Check for route relations (and route_master and superroute relations of routes)
+            if (ROUTE_RELATION_TYPES.includes(element.tags?.type)) {
                 const routeGeom = parseRouteRelation(element, warnings);
                 if (routeGeom) {
                     geometries.push(routeGeom);
@@ -1120,10 +1512,19 @@ export function parseElements(elements, options = {}) {
                 return;
             }
 
-            // Process multipolygon relations
-            if (element.tags?.type !== 'multipolygon') {
+            // Site and building relations: combine the members' geometries
+            if (FLATTENED_RELATION_TYPES.includes(element.tags?.type)) {
+                const flattenedGeom = parseFlattenedRelation(element, warnings, ringOptions);
+                if (flattenedGeom) {
+                    geometries.push(flattenedGeom);
+                }
+                return;
+            }
+
+            // Process multipolygon and boundary relations
+            if (!AREA_RELATION_TYPES.includes(element.tags?.type)) {
                 const warning = {
-                    message: `Skipped relation ${element.id}: Not a multipolygon or route (type="${element.tags?.type || 'undefined'}")`,
+                    message: `Skipped relation ${element.id}: Not a multipolygon, boundary, route, site or building relation (type="${element.tags?.type || 'undefined'}")`,
                     osmType: 'relation',
                     osmId: element.id
                 };
@@ -1149,6 +1550,7 @@ export function parseElements(elements, options = {}) {
             const hasPolygonGroups = element.members.some(m => typeof m.polygonGroup === 'number');
 
             let polygons;
+            let danglingWayIds = [];
 
             if (hasPolygonGroups) {
                 // GeoJSON import path: use explicit polygon groupings
@@ -1192,13 +1594,13 @@ export function parseElements(elements, options = {}) {
                 polygons = [];
                 for (const [groupId, group] of polygonGroups) {
                     // Merge outer ways for this group
-                    const mergedOuters = mergeWaysIntoRings(group.outers);
+                    const mergedOuters = mergeWaysIntoRings(group.outers, ringOptions).rings;
                     if (mergedOuters.length === 0) {
                         continue; // Skip invalid groups
                     }
 
                     // Merge inner ways for this group
-                    const mergedInners = group.inners.length > 0 ? mergeWaysIntoRings(group.inners) : [];
+                    const mergedInners = mergeWaysIntoRings(group.inners, ringOptions).rings;
 
                     // Each outer in this group gets all the inners from this group
                     // (For GeoJSON imports, there's typically one outer per group)
@@ -1222,6 +1624,10 @@ export function parseElements(elements, options = {}) {
                 // Extract outer and inner ways (convert to [lon, lat] format)
                 const outerWays = [];
                 const innerWays = [];
+                const outerWayIds = [];
+                const innerWayIds = [];
+                // Older boundary relations often leave the role of their outer ways empty
+                const emptyRoleIsOuter = element.tags.type === 'boundary';
 
                 element.members.forEach(member => {
                     // Only process way members with geometry
@@ -1232,10 +1638,12 @@ export function parseElements(elements, options = {}) {
                     // Convert to [lon, lat] format
                     const coords = member.geometry.map(coord => [coord.lon, coord.lat]);
 
-                    if (member.role === 'outer') {
+                    if (member.role === 'outer' || (member.role === '' && emptyRoleIsOuter)) {
                         outerWays.push(coords);
+                        outerWayIds.push(member.ref);
                     } else if (member.role === 'inner') {
                         innerWays.push(coords);
+                        innerWayIds.push(member.ref);
                     }
                 });
 
@@ -1252,10 +1660,11 @@ export function parseElements(elements, options = {}) {
                 }
 
                 // Try to merge outer ways into closed rings
-                const mergedOuterRings = mergeWaysIntoRings(outerWays);
-                if (mergedOuterRings.length === 0) {
+                const mergedOuters = mergeWaysIntoRings(outerWays, ringOptions);
+                const danglingOuterIds = mergedOuters.dangling.map(index => outerWayIds[index]);
+                if (mergedOuters.rings.length === 0) {
                     const warning = {
-                        message: `Skipped relation ${element.id}: Outer ways cannot be merged into closed rings`,
+                        message: `Skipped relation ${element.id}: Outer ways cannot be merged into closed rings (dangling ways: ${danglingOuterIds.join(', ')})`,
                         osmType: 'relation',
                         osmId: element.id
                     };
@@ -1263,10 +1672,38 @@ export function parseElements(elements, options = {}) {
                     warnings.push(warning);
                     return;
                 }
+                const mergedOuterRings = mergedOuters.rings;
 
                 // Try to merge inner ways into closed rings
-                const mergedInnerRings = innerWays.length > 0 ? mergeWaysIntoRings(innerWays) : [];
-                // Note: If inner ways can't be merged, we'll just ignore them (some relations may have invalid inner ways)
+                const mergedInners = mergeWaysIntoRings(innerWays, ringOptions);
+                const danglingInnerIds = mergedInners.dangling.map(index => innerWayIds[index]);
+                const mergedInnerRings = mergedInners.rings;
+
+                // Rings that do not close are left out, and the shape is marked as incomplete
+                if (danglingOuterIds.length > 0 || danglingInnerIds.length > 0) {
+                    danglingWayIds = [...danglingOuterIds, ...danglingInnerIds];
+                    const parts = [];
+                    if (danglingOuterIds.length > 0) parts.push(`outer way(s) ${danglingOuterIds.join(', ')}`);
+                    if (danglingInnerIds.length > 0) parts.push(`inner way(s) ${danglingInnerIds.join(', ')}`);
+                    const warning = {
+                        message: `Relation ${element.id} is incomplete: ${parts.join(' and ')} could not be joined into closed rings and are not drawn`,
+                        osmType: 'relation',
+                        osmId: element.id
+                    };
+                    console.log('[geometryParser] Adding dangling-ways warning:', warning);
+                    warnings.push(warning);
+                }
+
+                const closedGaps = mergedOuters.closedGaps + mergedInners.closedGaps;
+                if (closedGaps > 0) {
+                    const warning = {
+                        message: `Relation ${element.id}: closed ${closedGaps} gap(s) of up to ${ringOptions.gapTolerance} m between ring ways`,
+                        osmType: 'relation',
+                        osmId: element.id
+                    };
+                    console.log('[geometryParser] Adding closed-gaps warning:', warning);
+                    warnings.push(warning);
+                }
 
                 // Build MultiPolygon structure
                 // Assign each inner ring to the outer ring that contains it
@@ -1299,6 +1736,10 @@ export function parseElements(elements, options = {}) {
                 bounds: bounds,
                 nodeCount: countNodes(geometry)
             };
+            if (danglingWayIds.length > 0) {
+                // Drawn from the rings that close; the dangling member ways are listed on the card
+                geometryObject.incomplete = { danglingWayIds };
+            }
 
             geometries.push(geometryObject);
             return;
@@ -0,0 +1,229 @@
+/**
+ * gifWriter.js
+ * Minimal client-side animated GIF encoder
+ * Each frame gets its own 256 colour palette picked from its most common colours
+ */
+
+/**
+ * Colours are grouped into buckets of 5 bits per channel before picking a palette
+ */
+const BUCKET_BITS = 5;
+const BUCKET_COUNT = 1 << (BUCKET_BITS * 3);
+const PALETTE_SIZE = 256;
+
+/**
+ * GIF LZW codes are at most 12 bits
+ */
+const MAX_LZW_CODES = 4096;
+
+/**
+ * Get the colour bucket of a pixel
+ * @param {Uint8ClampedArray} rgba - Pixel data
+ * @param {number} offset - Offset of the pixel's red component
+ * @returns {number} Bucket index
+ */
+function bucketOf(rgba, offset) {
+    const shift = 8 - BUCKET_BITS;
+    return ((rgba[offset] >> shift) << (BUCKET_BITS * 2)) |
+        ((rgba[offset + 1] >> shift) << BUCKET_BITS) |
+        (rgba[offset + 2] >> shift);
+}
+
+/**
+ * Reduce a frame to at most 256 colours
+ * Frames are opaque; alpha is ignored.
+ * @param {Uint8ClampedArray} rgba - RGBA pixel data
+ * @returns {Object} {palette: Uint8Array(768), indices: Uint8Array}
+ */
+function quantize(rgba) {
+    const pixelCount = rgba.length / 4;
+    const counts = new Uint32Array(BUCKET_COUNT);
+    const sums = new Float64Array(BUCKET_COUNT * 3);
+
+    for (let p = 0; p < pixelCount; p++) {
+        const offset = p * 4;
+        const bucket = bucketOf(rgba, offset);
+        counts[bucket]++;
+        sums[bucket * 3] += rgba[offset];
+        sums[bucket * 3 + 1] += rgba[offset + 1];
+        sums[bucket * 3 + 2] += rgba[offset + 2];
+    }
+
+    // The most common buckets become the palette, using their average colour
+    const usedBuckets = [];
+    for (let b = 0; b < BUCKET_COUNT; b++) {
+        if (counts[b] > 0) usedBuckets.push(b);
+    }
+    usedBuckets.sort((a, b) => counts[b] - counts[a]);
+
+    const paletteBuckets = usedBuckets.slice(0, PALETTE_SIZE);
+    const palette = new Uint8Array(PALETTE_SIZE * 3);
+    const bucketToIndex = new Int16Array(BUCKET_COUNT).fill(-1);
+
+    paletteBuckets.forEach((bucket, index) => {
+        palette[index * 3] = Math.round(sums[bucket * 3] / counts[bucket]);
+        palette[index * 3 + 1] = Math.round(sums[bucket * 3 + 1] / counts[bucket]);
+        palette[index * 3 + 2] = Math.round(sums[bucket * 3 + 2] / counts[bucket]);
+        bucketToIndex[bucket] = index;
+    });
+
+    // Map the remaining (rare) buckets to the nearest palette colour
+    usedBuckets.slice(PALETTE_SIZE).forEach(bucket => {
+        const r = sums[bucket * 3] / counts[bucket];
+        const g = sums[bucket * 3 + 1] / counts[bucket];
+        const b = sums[bucket * 3 + 2] / counts[bucket];
+        let best = 0;
+        let bestDistance = Infinity;
+        for (let i = 0; i < paletteBuckets.length; i++) {
+            const dr = palette[i * 3] - r;
+            const dg = palette[i * 3 + 1] - g;
+            const db = palette[i * 3 + 2] - b;
+            const distance = dr * dr + dg * dg + db * db;
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                best = i;
+            }
+        }
+        bucketToIndex[bucket] = best;
+    });
+
+    const indices = new Uint8Array(pixelCount);
+    for (let p = 0; p < pixelCount; p++) {
+        indices[p] = bucketToIndex[bucketOf(rgba, p * 4)];
+    }
+
+    return { palette, indices };
+}
+
+/**
+ * Compress palette indices with GIF-flavoured LZW
+ * @param {Uint8Array} indices - Palette index per pixel
+ * @param {number} minCodeSize - LZW minimum code size (8 for a 256 colour palette)
+ * @returns {Uint8Array} Compressed data, split into sub-blocks and terminated
+ */
+function lzwEncode(indices, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const bytes = [];
+    let bitBuffer = 0;
+    let bitCount = 0;
+    let codeSize = minCodeSize + 1;
+
+    const emit = (code) => {
+        bitBuffer |= code << bitCount;
+        bitCount += codeSize;
+        while (bitCount >= 8) {
+            bytes.push(bitBuffer & 0xFF);
+            bitBuffer >>>= 8;
+            bitCount -= 8;
+        }
+    };
+
+    let table = new Map();
+    let nextCode = endCode + 1;
+    emit(clearCode);
+
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const k = indices[i];
+        const key = (prefix << 8) | k;
+        const existing = table.get(key);
+
+        if (existing !== undefined) {
+            prefix = existing;
+            continue;
+        }
+
+        emit(prefix);
+        if (nextCode === MAX_LZW_CODES) {
+            // Table full: start over
+            emit(clearCode);
+            table = new Map();
+            nextCode = endCode + 1;
+            codeSize = minCodeSize + 1;
+        } else {
+            if (nextCode >= (1 << codeSize)) {
+                codeSize++;
+            }
+            table.set(key, nextCode++);
+        }
+        prefix = k;
+    }
+
+    emit(prefix);
+    emit(endCode);
+    if (bitCount > 0) {
+        bytes.push(bitBuffer & 0xFF);
+    }
+
+    // Split into sub-blocks of at most 255 bytes, each prefixed with its length
+    const blockCount = Math.ceil(bytes.length / 255);
+    const output = new Uint8Array(bytes.length + blockCount + 1);
+    let offset = 0;
+    for (let start = 0; start < bytes.length; start += 255) {
+        const block = bytes.slice(start, start + 255);
+        output[offset++] = block.length;
+        output.set(block, offset);
+        offset += block.length;
+    }
+    output[offset] = 0; // Block terminator
+
+    return output;
+}
+
+/**
+ * Create an animated GIF that loops forever
+ * @param {number} width - Frame width in pixels
+ * @param {number} height - Frame height in pixels
+ * @returns {Object} Encoder with addFrame() and toBlob()
+ */
+export function createGifEncoder(width, height) {
+    const chunks = [];
+
+    const header = new Uint8Array(13);
+    const view = new DataView(header.buffer);
+    header.set([0x47, 0x49, 0x46, 0x38, 0x39, 0x61]); // "GIF89a"
+    view.setUint16(6, width, true);
+    view.setUint16(8, height, true);
+    // Packed fields, background colour and aspect ratio: no global colour table
+    chunks.push(header);
+
+    // NETSCAPE2.0 application extension: loop forever
+    chunks.push(new Uint8Array([
+        0x21, 0xFF, 0x0B,
+        0x4E, 0x45, 0x54, 0x53, 0x43, 0x41, 0x50, 0x45, 0x32, 0x2E, 0x30,
+        0x03, 0x01, 0x00, 0x00, 0x00
+    ]));
+
+    return {
+        /**
+         * Add a frame
+         * @param {ImageData} imageData - Frame pixels (width x height)
+         * @param {number} delayMs - How long to show the frame, in milliseconds
+         */
+        addFrame(imageData, delayMs) {
+            const { palette, indices } = quantize(imageData.data);
+            // GIF delays are in hundredths of a second; browsers treat < 2 as "as fast as possible"
+            const delay = Math.max(2, Math.round(delayMs / 10));
+
+            const control = new Uint8Array([0x21, 0xF9, 0x04, 0x04, delay & 0xFF, delay >> 8, 0x00, 0x00]);
+
+            const descriptor = new Uint8Array(10);
+            const descriptorView = new DataView(descriptor.buffer);
+            descriptor[0] = 0x2C;
+            descriptorView.setUint16(5, width, true);
+            descriptorView.setUint16(7, height, true);
+            descriptor[9] = 0x87; // Local colour table of 2^(7+1) = 256 entries
+
+            chunks.push(control, descriptor, palette, new Uint8Array([8]), lzwEncode(indices, 8));
+        },
+
+        /**
+         * Finish the animation
+         * @returns {Blob} The GIF file
+         */
+        toBlob() {
+            return new Blob([...chunks, new Uint8Array([0x3B])], { type: 'image/gif' });
+        }
+    };
+}
@@ -0,0 +1,110 @@
+/**
+ * gpxExporter.js
+ * Serialises parsed geometries as GPX tracks (and points as waypoints) for GPS units
+ */
+
+import { escapeXml, getRouteName, getOsmUrl } from './exportUtils.js';
+
+/**
+ * Get the track segments of a geometry: one per linestring part (or ring, for areas)
+ * Note: internally a 'Polygon' stores a single ring, not an array of rings
+ * @param {Object} geometry - {type, coordinates}
+ * @returns {Array<Array<Array>>} Array of coordinate arrays
+ */
+function getSegments(geometry) {
+    switch (geometry.type) {
+        case 'LineString':
+            return [geometry.coordinates];
+        case 'MultiLineString':
+            return geometry.coordinates;
+        case 'Polygon':
+            return [geometry.coordinates];
+        case 'MultiPolygon':
+            return geometry.coordinates.flat();
+        default:
+            return [];
+    }
+}
+
+/**
+ * Get the waypoints of a geometry
+ * @param {Object} geometry - {type, coordinates}
+ * @returns {Array<Array>} Array of [lon, lat] coordinates (empty for lines and areas)
+ */
+function getWaypoints(geometry) {
+    switch (geometry.type) {
+        case 'Point':
+            return [geometry.coordinates];
+        case 'MultiPoint':
+            return geometry.coordinates;
+        default:
+            return [];
+    }
+}
+
+/**
+ * Convert parsed geometries to a GPX 1.1 document with one track per geometry
+ * Points become waypoints instead, named like tracks.
+ * @param {Array} geometries - Array of GeometryObject
+ * @param {Object} options - {title, attribution, isImported} (any attribution adds the OSM copyright and licence to
+ *   the metadata; isImported leaves out links to openstreetmap.org, as imported IDs are made up)
+ * @returns {string} GPX document
+ */
+export function geometriesToGpx(geometries, options = {}) {
+    if (!geometries || geometries.length === 0) {
+        throw new Error('Nothing to export: there are no geometries');
+    }
+
+    const { title = '', attribution = '', isImported = false } = options;
+    const waypoints = [];
+    const tracks = [];
+
+    geometries.forEach(geom => {
+        getWaypoints(geom.geometry).forEach(([lon, lat]) => {
+            const url = getOsmUrl(geom, isImported);
+            waypoints.push([
+                `  <wpt lat="${lat}" lon="${lon}">`,
+                `    <name>${escapeXml(getRouteName(geom))}</name>`,
+                ...(url ? [`    <link href="${escapeXml(url)}"/>`] : []),
+                '  </wpt>'
+            ].join('\n'));
+        });
+
+        const segments = getSegments(geom.geometry);
+        if (segments.length === 0) {
+            return;
+        }
+
+        const lines = ['  <trk>', `    <name>${escapeXml(getRouteName(geom))}</name>`];
+        const url = getOsmUrl(geom, isImported);
+        if (url) {
+            lines.push(`    <link href="${escapeXml(url)}"/>`);
+        }
+        const kind = geom.tags?.route || geom.tags?.highway || geom.tags?.railway || geom.tags?.waterway;
+        if (kind) {
+            lines.push(`    <type>${escapeXml(kind)}</type>`);
+        }
+
+        segments.forEach(segment => {
+            lines.push('    <trkseg>');
+            segment.forEach(([lon, lat]) => lines.push(`      <trkpt lat="${lat}" lon="${lon}"/>`));
+            lines.push('    </trkseg>');
+        });
+        lines.push('  </trk>');
+        tracks.push(lines.join('\n'));
+    });
+
+    const metadata = [];
+    if (title) {
+        metadata.push(`    <name>${escapeXml(title)}</name>`);
+    }
+    if (attribution) {
+        metadata.push(`    <copyright author="OpenStreetMap contributors"><license>https://opendatacommons.org/licenses/odbl/</license></copyright>`);
+    }
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="XofY OSM Geometry Viewer" xmlns="http://www.topografix.com/GPX/1/1">
+${metadata.length > 0 ? `  <metadata>\n${metadata.join('\n')}\n  </metadata>\n` : ''}${[...waypoints, ...tracks].join('\n')}
+</gpx>
+`;
+}
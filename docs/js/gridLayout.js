@@ -34,7 +34,7 @@ const MAX_TAG_VALUE_LENGTH = 40;
  * @param {Object} bounds - Bounding box {minLat, maxLat, minLon, maxLon}
  * @returns {Object} {lat, lon} centroid coordinates
  */
-function calculateCentroid(bounds) {
+export function calculateCentroid(bounds) {
     return {
         lat: (bounds.minLat + bounds.maxLat) / 2,
         lon: (bounds.minLon + bounds.maxLon) / 2
@@ -73,7 +73,7 @@ function calculateZoomLevel(bounds) {
  * @param {Object} tags - OSM tags object
  * @returns {Array<{key: string, value: string}>} Array of tag objects to display
  */
-function selectTagsToDisplay(tags) {
+export function selectTagsToDisplay(tags) {
     const selectedTags = [];
 
     // Always add 'name' first if present
@@ -190,6 +190,16 @@ function createGeometryItem(geom, index, options = {}) {
     });
     canvasWrapper.appendChild(zoomBtn);
 
+    // Multipolygons drawn without the member ways that did not form closed rings
+    if (geom.incomplete) {
+        item.classList.add('incomplete');
+        const badge = document.createElement('span');
+        badge.className = 'incomplete-badge';
+        badge.textContent = 'Incomplete';
+        badge.title = `Partial shape: member ways ${geom.incomplete.danglingWayIds.join(', ')} do not form closed rings and are not drawn`;
+        canvasWrapper.appendChild(badge);
+    }
+
     item.appendChild(canvasWrapper);
 
     // Create metadata section
@@ -223,8 +233,8 @@ function createGeometryItem(geom, index, options = {}) {
             linksContainer.appendChild(osmId);
         }
     } else {
-        // Individual way or relation
-        const osmType = geom.type; // 'way' or 'relation'
+        // Individual node, way or relation
+        const osmType = geom.type; // 'node', 'way' or 'relation'
         const displayType = osmType.charAt(0).toUpperCase() + osmType.slice(1);
 
         if (isImported) {
@@ -260,8 +270,8 @@ function createGeometryItem(geom, index, options = {}) {
             const objects = geom.sourceWayIds.map(id => `w${id}`).join(',');
             josmUrl = `http://127.0.0.1:8111/load_object?objects=${objects}`;
         } else {
-            // Single way or relation
-            const osmType = geom.type; // 'way' or 'relation'
+            // Single node, way or relation
+            const osmType = geom.type; // 'node', 'way' or 'relation'
             josmUrl = `http://127.0.0.1:8111/load_object?objects=${osmType.charAt(0)}${geom.id}`;
         }
 
@@ -0,0 +1,101 @@
+/**
+ * imageBundleExporter.js
+ * Packages every geometry as its own PNG, plus a manifest of tags, into one ZIP file
+ */
+
+import { renderGeometry } from './canvasRenderer.js';
+import { sortTagKeys } from './gridLayout.js';
+import { canvasToBlob, formatDelimited, getGeometryFileStem, makeUniqueFileName } from './exportUtils.js';
+import { createZipArchive } from './zipWriter.js';
+
+/**
+ * Number of images to render between yields to the browser
+ */
+const RENDER_BATCH_SIZE = 20;
+
+/**
+ * Build the manifest rows: one per image, with a column for every OSM tag key in the result set
+ * @param {Array<Object>} entries - Array of {filename, geom}
+ * @returns {Array<Array>} Header row followed by data rows
+ */
+function buildManifestRows(entries) {
+    const tagKeys = new Set();
+    entries.forEach(({ geom }) => {
+        Object.keys(geom.tags || {}).forEach(key => {
+            if (!key.startsWith('_')) {
+                tagKeys.add(key);
+            }
+        });
+    });
+    const sortedKeys = sortTagKeys([...tagKeys]);
+
+    const header = ['file', 'osm_type', 'osm_id', 'source_way_ids', ...sortedKeys];
+    const rows = entries.map(({ filename, geom }) => [
+        filename,
+        geom.type,
+        geom.id,
+        geom.type === 'component' ? geom.sourceWayIds.join(';') : '',
+        ...sortedKeys.map(key => (geom.tags || {})[key])
+    ]);
+
+    return [header, ...rows];
+}
+
+/**
+ * Render every geometry to its own PNG and bundle them into a ZIP archive
+ * @param {Array} geometries - Array of GeometryObject
+ * @param {Object} options - Bundle options
+ * @param {number} options.size - Image width and height in pixels (default 512)
+ * @param {string|null} options.background - Solid background colour, or null for transparent (default null)
+ * @param {Object} options.renderOptions - Options as for renderGeometry
+ * @param {Function} options.onProgress - Called with (renderedCount, totalCount) after each batch
+ * @returns {Promise<Blob>} The ZIP file
+ */
+export async function buildImageBundle(geometries, options = {}) {
+    if (!geometries || geometries.length === 0) {
+        throw new Error('Nothing to export: there are no geometries');
+    }
+
+    const { size = 512, background = null, renderOptions = {}, onProgress = null } = options;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+    const ctx = canvas.getContext('2d');
+
+    const zip = createZipArchive();
+    const entries = [];
+    const usedNames = new Set();
+
+    for (let i = 0; i < geometries.length; i++) {
+        const geom = geometries[i];
+
+        renderGeometry(canvas, geom, renderOptions);
+        if (background) {
+            // Paint the solid background behind what was just drawn
+            ctx.save();
+            ctx.globalCompositeOperation = 'destination-over';
+            ctx.fillStyle = background;
+            ctx.fillRect(0, 0, size, size);
+            ctx.restore();
+        }
+
+        const blob = await canvasToBlob(canvas);
+        const filename = makeUniqueFileName(`${getGeometryFileStem(geom, i)}.png`, usedNames);
+        zip.addFile(filename, new Uint8Array(await blob.arrayBuffer()));
+        entries.push({ filename, geom });
+
+        if ((i + 1) % RENDER_BATCH_SIZE === 0 || i === geometries.length - 1) {
+            if (onProgress) {
+                onProgress(i + 1, geometries.length);
+            }
+            // Yield so the page stays responsive and progress can paint
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+    }
+
+    // Byte order mark so spreadsheet apps detect UTF-8 (names are often non-ASCII)
+    zip.addFile('manifest.csv', '\uFEFF' + formatDelimited(buildManifestRows(entries)));
+
+    return zip.toBlob();
+}
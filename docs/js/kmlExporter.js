@@ -0,0 +1,130 @@
+/**
+ * kmlExporter.js
+ * Serialises parsed geometries as KML for Google Earth, styled with their OSM colours
+ */
+
+import { escapeXml, getRouteName, getOsmUrl } from './exportUtils.js';
+
+/**
+ * Convert a hex colour to KML's aabbggrr format
+ * @param {string} hexColor - Hex color (e.g., '#3388ff')
+ * @param {string} alpha - Alpha as two hex digits
+ * @returns {string} KML colour (e.g., 'ffff8833')
+ */
+function toKmlColor(hexColor, alpha) {
+    const hex = hexColor.replace('#', '');
+    return `${alpha}${hex.substring(4, 6)}${hex.substring(2, 4)}${hex.substring(0, 2)}`.toLowerCase();
+}
+
+/**
+ * Format coordinates as a KML coordinate string
+ * @param {Array<Array>} coords - Array of [lon, lat] coordinates
+ * @param {boolean} close - Whether to close the ring
+ * @returns {string} "lon,lat lon,lat ..."
+ */
+function formatCoordinates(coords, close = false) {
+    const points = [...coords];
+    if (close) {
+        const first = points[0];
+        const last = points[points.length - 1];
+        if (first[0] !== last[0] || first[1] !== last[1]) {
+            points.push(first);
+        }
+    }
+    return points.map(([lon, lat]) => `${lon},${lat}`).join(' ');
+}
+
+/**
+ * Build a KML Polygon element
+ * @param {Array<Array<Array>>} polygon - [outer, inner1, ...] rings
+ * @returns {string} KML markup
+ */
+function polygonToKml(polygon) {
+    const [outer, ...inners] = polygon;
+    const innerXml = inners.map(ring =>
+        `<innerBoundaryIs><LinearRing><coordinates>${formatCoordinates(ring, true)}</coordinates></LinearRing></innerBoundaryIs>`
+    ).join('');
+    return `<Polygon><outerBoundaryIs><LinearRing><coordinates>${formatCoordinates(outer, true)}</coordinates></LinearRing></outerBoundaryIs>${innerXml}</Polygon>`;
+}
+
+/**
+ * Convert an internal geometry to KML geometry markup
+ * Note: internally a 'Polygon' stores a single ring, not an array of rings
+ * @param {Object} geometry - {type, coordinates}
+ * @returns {string|null} KML markup or null if unsupported
+ */
+function toKmlGeometry(geometry) {
+    switch (geometry.type) {
+        case 'Point':
+            return `<Point><coordinates>${formatCoordinates([geometry.coordinates])}</coordinates></Point>`;
+        case 'MultiPoint':
+            return `<MultiGeometry>${geometry.coordinates.map(point =>
+                `<Point><coordinates>${formatCoordinates([point])}</coordinates></Point>`
+            ).join('')}</MultiGeometry>`;
+        case 'Polygon':
+            return polygonToKml([geometry.coordinates]);
+        case 'MultiPolygon':
+            return `<MultiGeometry>${geometry.coordinates.map(polygonToKml).join('')}</MultiGeometry>`;
+        case 'LineString':
+            return `<LineString><tessellate>1</tessellate><coordinates>${formatCoordinates(geometry.coordinates)}</coordinates></LineString>`;
+        case 'MultiLineString':
+            return `<MultiGeometry>${geometry.coordinates.map(line =>
+                `<LineString><tessellate>1</tessellate><coordinates>${formatCoordinates(line)}</coordinates></LineString>`
+            ).join('')}</MultiGeometry>`;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Convert parsed geometries to a KML document
+ * Each geometry's OSM colour is used for its line, icon and (semi-transparent) fill when present.
+ * @param {Array} geometries - Array of GeometryObject
+ * @param {Object} options - {title, defaultColor, isImported} (isImported leaves out links to openstreetmap.org,
+ *   as imported IDs are made up)
+ * @returns {string} KML document
+ */
+export function geometriesToKml(geometries, options = {}) {
+    if (!geometries || geometries.length === 0) {
+        throw new Error('Nothing to export: there are no geometries');
+    }
+
+    const { title = '', defaultColor = '#3388ff', isImported = false } = options;
+    const placemarks = [];
+
+    geometries.forEach(geom => {
+        const geometryXml = toKmlGeometry(geom.geometry);
+        if (!geometryXml) {
+            return;
+        }
+
+        const color = geom.color || defaultColor;
+        const isPoints = geom.geometry.type === 'Point' || geom.geometry.type === 'MultiPoint';
+        const url = getOsmUrl(geom, isImported);
+        const data = Object.entries(geom.tags || {})
+            .filter(([key]) => !key.startsWith('_'))
+            .map(([key, value]) => `<Data name="${escapeXml(key)}"><value>${escapeXml(value)}</value></Data>`)
+            .join('');
+
+        placemarks.push([
+            '<Placemark>',
+            `<name>${escapeXml(getRouteName(geom))}</name>`,
+            url ? `<description>${escapeXml(url)}</description>` : '',
+            `<Style>${isPoints ? `<IconStyle><color>${toKmlColor(color, 'ff')}</color></IconStyle>` : ''}`,
+            `<LineStyle><color>${toKmlColor(color, 'ff')}</color><width>3</width></LineStyle>`,
+            `<PolyStyle><color>${toKmlColor(color, '80')}</color></PolyStyle></Style>`,
+            data ? `<ExtendedData>${data}</ExtendedData>` : '',
+            geometryXml,
+            '</Placemark>'
+        ].join(''));
+    });
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+<Document>
+<name>${escapeXml(title || 'XofY export')}</name>
+${placemarks.join('\n')}
+</Document>
+</kml>
+`;
+}
@@ -4,41 +4,95 @@
  * Coordinates the flow between all modules
  */
 
-import { executeQuery, DEFAULT_OVERPASS_URL } from './overpassClient.js';
+import { executeQuery, executeQueryWithFailover, fetchServerStatus, waitForSlot, extractQueryErrors, classifyRemark, getServerName, DEFAULT_OVERPASS_URL, OVERPASS_SERVERS } from './overpassClient.js';
+import { createRequestScheduler } from './requestScheduler.js';
+import { lintQuery, fixAllIssues } from './queryLinter.js';
+import { createQlEditor, QL_SNIPPETS } from './qlEditor.js';
+import { getHistory, addHistoryEntry, updateHistoryEntry, deleteHistoryEntry, clearHistory, getElementIds, getEntryLabel, compareHistoryEntries, formatDuration } from './queryHistory.js';
+import { getCachedResponse, putCachedResponse, getCacheStats, trimCache, clearCache, formatCacheAge, formatBytes, DEFAULT_CACHE_TTL_MS, DEFAULT_CACHE_MAX_BYTES } from './queryCache.js';
 import { parseElements } from './geometryParser.js';
 import { getGlobalBounds } from './boundingBox.js';
 import { createGrid, getCanvases, appendBatch, sortTagKeys } from './gridLayout.js';
-import { renderGeometry } from './canvasRenderer.js';
+import { renderGeometry, MARKER_SYMBOLS } from './canvasRenderer.js';
 import { reprojectBounds } from './reproject.js';
+import { renderPoster, calculatePosterLayout } from './posterExporter.js';
+import { renderGeometrySvg, renderGridSvg } from './svgRenderer.js';
+import { geometriesToFeatureCollection } from './geojsonExporter.js';
+import { buildPdfCatalogue } from './pdfCatalogue.js';
+import { buildImageBundle } from './imageBundleExporter.js';
+import { geometriesToDelimited } from './csvExporter.js';
+import { geometriesToKml } from './kmlExporter.js';
+import { geometriesToGpx } from './gpxExporter.js';
+import { geometriesToOsmXml, componentsToOsmChange, countComponents } from './osmXmlExporter.js';
+import { buildFlipbookGif, recordFlipbookWebm, isWebmSupported } from './flipbookExporter.js';
+import { buildPrintLayout, clearPrintLayout } from './printLayout.js';
+import { downloadBlob, canvasToBlob, slugifyFilename, getGeometryFileStem, OSM_ATTRIBUTION } from './exportUtils.js';
 
 // DOM elements
 const queryTextarea = document.getElementById('overpass-query');
+const queryLintDiv = document.getElementById('query-lint');
+const snippetSelect = document.getElementById('snippet-select');
 const submitBtn = document.getElementById('submit-btn');
 const curatedSubmitBtn = document.getElementById('curated-submit-btn');
+const curatedQueueBtn = document.getElementById('curated-queue-btn');
 const featureSelect = document.getElementById('feature-select');
 const areaSelect = document.getElementById('area-select');
 const sortSelect = document.getElementById('sort-select');
 const scaleToggle = document.getElementById('scale-toggle');
 const fillColorInput = document.getElementById('fill-color');
 const respectOsmColorsToggle = document.getElementById('respect-osm-colors');
+const markerSelect = document.getElementById('marker-select');
 const overpassServerSelect = document.getElementById('overpass-server-select');
 const overpassCustomUrlInput = document.getElementById('overpass-custom-url');
 const customUrlGroup = document.getElementById('custom-url-group');
+const overpassFailoverToggle = document.getElementById('overpass-failover');
+const serverStatusText = document.getElementById('server-status');
+const checkStatusBtn = document.getElementById('check-status-btn');
+const waitForSlotToggle = document.getElementById('overpass-wait-for-slot');
+const queueConcurrencySelect = document.getElementById('queue-concurrency');
+const queueMinIntervalSelect = document.getElementById('queue-min-interval');
+const cacheTtlSelect = document.getElementById('cache-ttl');
+const cacheMaxSizeSelect = document.getElementById('cache-max-size');
+const cacheForceRefreshToggle = document.getElementById('cache-force-refresh');
+const ringGapToleranceSelect = document.getElementById('ring-gap-tolerance');
+const cacheInfo = document.getElementById('cache-info');
+const clearCacheBtn = document.getElementById('clear-cache-btn');
 const themeToggle = document.getElementById('theme-toggle');
 const themeIconLight = document.getElementById('theme-icon-light');
 const themeIconDark = document.getElementById('theme-icon-dark');
 const settingsBtn = document.getElementById('settings-btn');
+const historyBtn = document.getElementById('history-btn');
+const historyPanel = document.getElementById('history-panel');
+const closeHistoryBtn = document.getElementById('close-history');
+const historyList = document.getElementById('history-list');
+const historyEmpty = document.getElementById('history-empty');
+const historyCompareBtn = document.getElementById('history-compare-btn');
+const historyClearBtn = document.getElementById('history-clear-btn');
+const historyCompareDiv = document.getElementById('history-compare');
+const queueBtn = document.getElementById('queue-btn');
+const queueCount = document.getElementById('queue-count');
+const queuePanel = document.getElementById('queue-panel');
+const closeQueueBtn = document.getElementById('close-queue');
+const queueList = document.getElementById('queue-list');
+const queueEmpty = document.getElementById('queue-empty');
+const queueClearBtn = document.getElementById('queue-clear-btn');
 const settingsModal = document.getElementById('settings-modal');
 const closeSettingsBtn = document.getElementById('close-settings');
 const loadingDiv = document.getElementById('loading');
+const loadingMessage = document.getElementById('loading-message');
+const loadingProgress = document.getElementById('loading-progress');
+const stopQueryBtn = document.getElementById('stop-query-btn');
 const errorDiv = document.getElementById('error');
 const warningsDiv = document.getElementById('warnings');
+const partialWarningDiv = document.getElementById('partial-warning');
 const statsDiv = document.getElementById('stats');
 const gridContainer = document.getElementById('geometry-grid');
 const lazyLoadingDiv = document.getElementById('lazy-loading');
 const backToTopBtn = document.getElementById('back-to-top');
 const groupByTagInput = document.getElementById('group-by-tag');
 const shareBtn = document.getElementById('share-btn');
+const printBtn = document.getElementById('print-btn');
+const printView = document.getElementById('print-view');
 const geojsonImport = document.getElementById('geojson-import');
 const importFileLabel = document.getElementById('import-file-label');
 const importBtn = document.getElementById('import-btn');
@@ -59,12 +113,55 @@ const detailCounter = document.getElementById('detail-counter');
 const detailPrevBtn = document.getElementById('detail-prev');
 const detailNextBtn = document.getElementById('detail-next');
 const closeDetailBtn = document.getElementById('close-detail');
+const detailSvgBtn = document.getElementById('detail-svg-btn');
+
+// Export modal elements
+const exportBtn = document.getElementById('export-btn');
+const exportModal = document.getElementById('export-modal');
+const closeExportBtn = document.getElementById('close-export');
+const exportStatus = document.getElementById('export-status');
+const posterTitleInput = document.getElementById('poster-title');
+const posterColumnsInput = document.getElementById('poster-columns');
+const posterCellSizeInput = document.getElementById('poster-cell-size');
+const posterMarginInput = document.getElementById('poster-margin');
+const posterDpiSelect = document.getElementById('poster-dpi');
+const posterLabelsToggle = document.getElementById('poster-labels');
+const posterAttributionToggle = document.getElementById('poster-attribution');
+const posterSizeInfo = document.getElementById('poster-size-info');
+const posterExportBtn = document.getElementById('poster-export-btn');
+const svgExportBtn = document.getElementById('svg-export-btn');
+const geojsonExportBtn = document.getElementById('geojson-export-btn');
+const kmlExportBtn = document.getElementById('kml-export-btn');
+const gpxExportBtn = document.getElementById('gpx-export-btn');
+const osmExportBtn = document.getElementById('osm-export-btn');
+const osmChangeExportBtn = document.getElementById('osmchange-export-btn');
+const tableFormatSelect = document.getElementById('table-format');
+const tableExportBtn = document.getElementById('table-export-btn');
+const bundleSizeInput = document.getElementById('bundle-size');
+const bundleBackgroundSelect = document.getElementById('bundle-background');
+const bundleColorGroup = document.getElementById('bundle-color-group');
+const bundleColorInput = document.getElementById('bundle-color');
+const bundleExportBtn = document.getElementById('bundle-export-btn');
+const flipbookFormatSelect = document.getElementById('flipbook-format');
+const flipbookSizeInput = document.getElementById('flipbook-size');
+const flipbookDurationInput = document.getElementById('flipbook-duration');
+const flipbookShowNameToggle = document.getElementById('flipbook-show-name');
+const flipbookShowIdToggle = document.getElementById('flipbook-show-id');
+const flipbookInfo = document.getElementById('flipbook-info');
+const flipbookExportBtn = document.getElementById('flipbook-export-btn');
+const pdfPageSizeSelect = document.getElementById('pdf-page-size');
+const pdfOrientationSelect = document.getElementById('pdf-orientation');
+const pdfDensitySelect = document.getElementById('pdf-density');
+const pdfShowIdsToggle = document.getElementById('pdf-show-ids');
+const pdfExportBtn = document.getElementById('pdf-export-btn');
 
 // Preview tooltip elements
 const previewTooltip = document.getElementById('preview-tooltip');
 const previewCanvas = document.getElementById('preview-canvas');
 
 // Features (X) - what we're looking for
+// elementTypes is the Overpass statement: 'way', 'rel', 'wr' (ways and relations),
+// or 'nwr' for features often mapped as a single node, which are drawn as points
 const FEATURES = {
     'churches': {
         displayName: 'Churches',
@@ -165,7 +262,7 @@ const FEATURES = {
     'historic_aircraft': {
         displayName: 'Historic Aircraft',
         tags: '["historic"="aircraft"]',
-        elementTypes: 'wr',
+        elementTypes: 'nwr',
         minAdminLevel: 2,
         allowedAreas: ['usa', 'germany', 'uk', 'france', 'italy', 'poland', 'australia', 'japan', 'brazil', 'south_africa', 'new_zealand', 'arizona', 'california', 'washington_state'],
         groupBy: null
@@ -189,7 +286,7 @@ const FEATURES = {
     'geoglyphs': {
         displayName: 'Geoglyphs',
         tags: '["man_made"="geoglyph"]',
-        elementTypes: 'wr',
+        elementTypes: 'nwr',
         minAdminLevel: 2,
         allowedAreas: ['usa', 'germany', 'uk', 'france', 'italy', 'poland', 'australia', 'japan', 'brazil', 'south_africa', 'new_zealand'],
         groupBy: null
@@ -214,7 +311,7 @@ const FEATURES = {
     'playground_maps': {
         displayName: 'Playground Maps',
         tags: '["playground"="map"]',
-        elementTypes: 'wr',
+        elementTypes: 'nwr',
         minAdminLevel: 2,
         allowedAreas: ['usa', 'arizona', 'california', 'washington_state'],
         groupBy: null
@@ -264,6 +361,17 @@ const AREAS = {
     'disney_world': { displayName: 'Disney World, FL', relationId: 1228099, adminLevel: 10 }
 };
 
+/**
+ * Filters selecting each area's subway network, for the Subway Routes feature
+ */
+const SUBWAY_ROUTE_FILTERS = {
+    'nyc': ['[network="NYC Subway"]'],
+    'paris': ['[network="Métro de Paris"]'],
+    'tokyo': ['[network="Tokyo Metro"]', '[network="都営地下鉄"]'],
+    'seoul': ['[network="수도권 전철"]'],
+    'singapore': ['[operator="SMRT Trains"]']
+};
+
 /**
  * Build an Overpass query from a feature and area selection
  * @param {string} featureKey - Key from FEATURES object
@@ -299,36 +407,17 @@ foreach (
 );`;
     }
 
-    // Handle subway routes with network filter
-    if (featureKey === 'subway_routes') {
-        if (areaKey === 'nyc') {
-            return `[out:json];
-rel[route=subway][network="NYC Subway"];
-out geom;`;
-        }
-        if (areaKey === 'paris') {
-            return `[out:json];
-rel[route=subway][network="Métro de Paris"];
-out geom;`;
-        }
-        if (areaKey === 'tokyo') {
-            return `[out:json];
+    // Subway routes: one card per line, from the route_master grouping its directions
+    if (featureKey === 'subway_routes' && SUBWAY_ROUTE_FILTERS[areaKey]) {
+        const selectors = SUBWAY_ROUTE_FILTERS[areaKey].map(filter => `  rel[route=subway]${filter};`);
+        return `[out:json];
 (
-  rel[route=subway][network="Tokyo Metro"];
-  rel[route=subway][network="都営地下鉄"];
-);
-out geom;`;
-        }
-        if (areaKey === 'seoul') {
-            return `[out:json];
-rel[route=subway][network="수도권 전철"];
-out geom;`;
-        }
-        if (areaKey === 'singapore') {
-            return `[out:json];
-rel[route=subway][operator="SMRT Trains"];
+${selectors.join('\n')}
+)->.routes;
+// Route masters of these routes; routes that belong to none are shown on their own
+rel(br.routes)[route_master=subway]->.masters;
+(.masters; .routes;);
 out geom;`;
-        }
     }
 
     // World query - no area filter
@@ -346,6 +435,40 @@ ${feature.elementTypes}(area.searchArea)${feature.tags};
 out geom;`;
 }
 
+/**
+ * Build a display title for a feature and area selection
+ * @param {string} featureKey - Key from FEATURES object
+ * @param {string} areaKey - Key from AREAS object
+ * @returns {string} Title like "Named Parks of Seattle, WA", or '' if either key is unknown
+ */
+function buildTitle(featureKey, areaKey) {
+    const feature = FEATURES[featureKey];
+    const area = AREAS[areaKey];
+
+    if (!feature || !area) {
+        return '';
+    }
+
+    return `${feature.displayName} of ${area.displayName}`;
+}
+
+/**
+ * Build a cover page title for a feature and area selection
+ * @param {string} featureKey - Key from FEATURES object
+ * @param {string} areaKey - Key from AREAS object
+ * @returns {Object|null} {title: "Named Parks", subtitle: "of Seattle, WA"}, or null if either key is unknown
+ */
+function buildCoverTitle(featureKey, areaKey) {
+    const feature = FEATURES[featureKey];
+    const area = AREAS[areaKey];
+
+    if (!feature || !area) {
+        return null;
+    }
+
+    return { title: feature.displayName, subtitle: `of ${area.displayName}` };
+}
+
 /**
  * Get valid areas for a given feature based on minAdminLevel and allowedAreas
  * @param {string} featureKey - Key from FEATURES object
@@ -464,8 +587,27 @@ let currentGlobalBounds = null;
 let currentMaxDimension = null;
 let currentFillColor = '#3388ff';
 let currentOverpassUrl = DEFAULT_OVERPASS_URL;
+let overpassFailover = false; // Retry on the other servers when the selected one is unavailable
+let waitForFreeSlot = false; // Check /api/status and wait for a slot before running a query
+let queryEditor = null; // Code editor around the query textarea
+let tagSuggestionCache = null; // {geometries, suggestions} - tag completions for the current results
+let activeQueryController = null; // AbortController of the running Overpass query, if any
+let queryStartedAt = 0; // When the running query was submitted, for the elapsed time
+let queryProgressTimer = null;
+let downloadProgress = null; // Latest {bytesReceived, totalBytes, elementCount} of the running query
+let historySelection = []; // IDs of the (up to two) history entries ticked for comparison
+let requestScheduler = null; // Queue that every Overpass request goes through
+let queueConcurrency = 1; // Requests at once per server
+let queueMinInterval = 1000; // Minimum milliseconds between request starts on one server
+let ringGapTolerance = 0; // Largest gap in metres closed when assembling multipolygon rings
+let queuePanelTimer = null; // Refreshes the countdowns in the queue panel while it is open
+let cacheTtl = DEFAULT_CACHE_TTL_MS; // 0 disables the response cache
+let cacheMaxBytes = DEFAULT_CACHE_MAX_BYTES;
 let respectOsmColors = true; // Default to respecting OSM colours
+let markerSymbol = 'circle'; // Symbol drawn for points, one of MARKER_SYMBOLS
 let currentTheme = null; // Track current theme ('light' or 'dark')
+let currentResultTitle = ''; // Title for exports, e.g. "Named Parks of Seattle, WA"
+let currentResultCover = null; // Cover page title for the PDF catalogue, {title, subtitle}
 
 // Lazy loading state
 let lazyLoadState = {
@@ -505,7 +647,15 @@ const STORAGE_KEYS = {
     THEME: 'xofy-osm-theme',
     GROUP_BY_TAG: 'xofy-osm-group-by-tag',
     RESPECT_OSM_COLORS: 'xofy-osm-respect-osm-colors',
-    SORT_BY: 'xofy-osm-sort-by'
+    SORT_BY: 'xofy-osm-sort-by',
+    OVERPASS_FAILOVER: 'xofy-osm-overpass-failover',
+    WAIT_FOR_SLOT: 'xofy-osm-wait-for-slot',
+    CACHE_TTL: 'xofy-osm-cache-ttl',
+    CACHE_MAX_SIZE: 'xofy-osm-cache-max-size',
+    QUEUE_CONCURRENCY: 'xofy-osm-queue-concurrency',
+    QUEUE_MIN_INTERVAL: 'xofy-osm-queue-min-interval',
+    MARKER_SYMBOL: 'xofy-osm-marker-symbol',
+    RING_GAP_TOLERANCE: 'xofy-osm-ring-gap-tolerance'
 };
 
 /**
@@ -588,6 +738,14 @@ function saveSettings() {
         localStorage.setItem(STORAGE_KEYS.GROUP_BY_TAG, groupByTagInput.value.trim());
         localStorage.setItem(STORAGE_KEYS.RESPECT_OSM_COLORS, respectOsmColors.toString());
         localStorage.setItem(STORAGE_KEYS.SORT_BY, sortSelect.value);
+        localStorage.setItem(STORAGE_KEYS.OVERPASS_FAILOVER, overpassFailover.toString());
+        localStorage.setItem(STORAGE_KEYS.WAIT_FOR_SLOT, waitForFreeSlot.toString());
+        localStorage.setItem(STORAGE_KEYS.CACHE_TTL, cacheTtl.toString());
+        localStorage.setItem(STORAGE_KEYS.CACHE_MAX_SIZE, cacheMaxBytes.toString());
+        localStorage.setItem(STORAGE_KEYS.QUEUE_CONCURRENCY, queueConcurrency.toString());
+        localStorage.setItem(STORAGE_KEYS.QUEUE_MIN_INTERVAL, queueMinInterval.toString());
+        localStorage.setItem(STORAGE_KEYS.MARKER_SYMBOL, markerSymbol);
+        localStorage.setItem(STORAGE_KEYS.RING_GAP_TOLERANCE, ringGapTolerance.toString());
     } catch (e) {
         console.warn('Failed to save settings to localStorage:', e);
     }
@@ -606,7 +764,15 @@ function loadSettings() {
         theme: null, // null means use system preference
         groupByTag: '',
         respectOsmColors: true,
-        sortBy: 'nodes-desc'
+        sortBy: 'nodes-desc',
+        overpassFailover: false,
+        waitForFreeSlot: false,
+        cacheTtl: DEFAULT_CACHE_TTL_MS,
+        cacheMaxBytes: DEFAULT_CACHE_MAX_BYTES,
+        queueConcurrency: 1,
+        queueMinInterval: 1000,
+        markerSymbol: 'circle',
+        ringGapTolerance: 0
     };
 
     try {
@@ -618,6 +784,14 @@ function loadSettings() {
         const savedGroupByTag = localStorage.getItem(STORAGE_KEYS.GROUP_BY_TAG);
         const savedRespectOsmColors = localStorage.getItem(STORAGE_KEYS.RESPECT_OSM_COLORS);
         const savedSortBy = localStorage.getItem(STORAGE_KEYS.SORT_BY);
+        const savedOverpassFailover = localStorage.getItem(STORAGE_KEYS.OVERPASS_FAILOVER);
+        const savedWaitForSlot = localStorage.getItem(STORAGE_KEYS.WAIT_FOR_SLOT);
+        const savedCacheTtl = localStorage.getItem(STORAGE_KEYS.CACHE_TTL);
+        const savedCacheMaxSize = localStorage.getItem(STORAGE_KEYS.CACHE_MAX_SIZE);
+        const savedQueueConcurrency = localStorage.getItem(STORAGE_KEYS.QUEUE_CONCURRENCY);
+        const savedQueueMinInterval = localStorage.getItem(STORAGE_KEYS.QUEUE_MIN_INTERVAL);
+        const savedMarkerSymbol = localStorage.getItem(STORAGE_KEYS.MARKER_SYMBOL);
+        const savedRingGapTolerance = localStorage.getItem(STORAGE_KEYS.RING_GAP_TOLERANCE);
 
         return {
             query: savedQuery || defaults.query,
@@ -627,7 +801,15 @@ function loadSettings() {
             theme: savedTheme || defaults.theme,
             groupByTag: savedGroupByTag !== null ? savedGroupByTag : defaults.groupByTag,
             respectOsmColors: savedRespectOsmColors === null ? defaults.respectOsmColors : savedRespectOsmColors === 'true',
-            sortBy: savedSortBy || defaults.sortBy
+            sortBy: savedSortBy || defaults.sortBy,
+            overpassFailover: savedOverpassFailover === null ? defaults.overpassFailover : savedOverpassFailover === 'true',
+            waitForFreeSlot: savedWaitForSlot === null ? defaults.waitForFreeSlot : savedWaitForSlot === 'true',
+            cacheTtl: savedCacheTtl !== null ? parseInt(savedCacheTtl) : defaults.cacheTtl,
+            cacheMaxBytes: savedCacheMaxSize !== null ? parseInt(savedCacheMaxSize) : defaults.cacheMaxBytes,
+            queueConcurrency: savedQueueConcurrency !== null ? parseInt(savedQueueConcurrency) : defaults.queueConcurrency,
+            queueMinInterval: savedQueueMinInterval !== null ? parseInt(savedQueueMinInterval) : defaults.queueMinInterval,
+            markerSymbol: MARKER_SYMBOLS.includes(savedMarkerSymbol) ? savedMarkerSymbol : defaults.markerSymbol,
+            ringGapTolerance: savedRingGapTolerance !== null ? parseFloat(savedRingGapTolerance) : defaults.ringGapTolerance
         };
     } catch (e) {
         console.warn('Failed to load settings from localStorage:', e);
@@ -658,7 +840,30 @@ function convertGeoJsonToElements(geojson) {
         const id = feature.id || (1000000 + index); // Generate numeric ID
 
         // Convert based on geometry type
-        if (geomType === 'LineString') {
+        if (geomType === 'Point') {
+            // Convert to node element
+            elements.push({
+                type: 'node',
+                id: id,
+                tags: tags,
+                lon: coords[0],
+                lat: coords[1]
+            });
+        } else if (geomType === 'MultiPoint') {
+            // Convert to a relation of node members (parsed as a MultiPoint)
+            elements.push({
+                type: 'relation',
+                id: id,
+                tags: tags,
+                members: coords.map((coord, pointIndex) => ({
+                    type: 'node',
+                    ref: `${id}_point_${pointIndex}`,
+                    role: '',
+                    lon: coord[0],
+                    lat: coord[1]
+                }))
+            });
+        } else if (geomType === 'LineString') {
             // Convert to way element
             elements.push({
                 type: 'way',
@@ -732,7 +937,6 @@ function convertGeoJsonToElements(geojson) {
                 members: members
             });
         }
-        // Note: Point and MultiPoint are not supported (will be filtered by parseElements)
     });
 
     return elements;
@@ -740,21 +944,85 @@ function convertGeoJsonToElements(geojson) {
 
 /**
  * Show loading state
+ * @param {boolean} cancellable - Show the Stop button (default false)
  */
-function showLoading() {
+function showLoading(cancellable = false) {
+    loadingMessage.textContent = 'Loading geometries...';
+    stopQueryBtn.classList.toggle('hidden', !cancellable);
+    stopQueryBtn.disabled = false;
     loadingDiv.classList.remove('hidden');
     errorDiv.classList.add('hidden');
     warningsDiv.classList.add('hidden');
+    partialWarningDiv.classList.add('hidden');
     statsDiv.classList.add('hidden');
     submitBtn.disabled = true;
 }
 
+/**
+ * Update the message shown while loading
+ * @param {string} message - Message to show
+ */
+function setLoadingMessage(message) {
+    loadingMessage.textContent = message;
+}
+
 /**
  * Hide loading state
  */
 function hideLoading() {
     loadingDiv.classList.add('hidden');
     submitBtn.disabled = false;
+    stopQueryProgress();
+}
+
+/**
+ * Start showing the elapsed time (and download progress) of a query under the loading message
+ */
+function startQueryProgress() {
+    queryStartedAt = Date.now();
+    downloadProgress = null;
+    updateQueryProgress();
+    queryProgressTimer = setInterval(updateQueryProgress, 1000);
+}
+
+/**
+ * Stop updating the query progress
+ */
+function stopQueryProgress() {
+    clearInterval(queryProgressTimer);
+    queryProgressTimer = null;
+    loadingProgress.textContent = '';
+}
+
+/**
+ * Show elapsed time, bytes received and elements parsed so far
+ */
+function updateQueryProgress() {
+    const seconds = Math.floor((Date.now() - queryStartedAt) / 1000);
+    const parts = [`${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')} elapsed`];
+
+    if (downloadProgress) {
+        const { bytesReceived, totalBytes, elementCount } = downloadProgress;
+        // Content-Length is the compressed size for gzipped responses, so only use it while it still fits
+        parts.push(totalBytes && totalBytes >= bytesReceived
+            ? `${formatBytes(bytesReceived)} of ${formatBytes(totalBytes)} received`
+            : `${formatBytes(bytesReceived)} received`);
+        parts.push(`${elementCount.toLocaleString()} element(s)`);
+    }
+
+    loadingProgress.textContent = parts.join(' · ');
+}
+
+/**
+ * Handle download progress of the running query
+ * @param {Object} progress - {bytesReceived, totalBytes, elementCount}
+ */
+function handleDownloadProgress(progress) {
+    if (!downloadProgress) {
+        setLoadingMessage('Downloading results...');
+    }
+    downloadProgress = progress;
+    updateQueryProgress();
 }
 
 /**
@@ -815,6 +1083,89 @@ function showWarnings(warnings) {
     warningsDiv.classList.remove('hidden');
 }
 
+/**
+ * Headings for runtime errors, by kind (see classifyRemark)
+ */
+const RUNTIME_ERROR_TITLES = {
+    timeout: 'Query timed out',
+    memory: 'Query ran out of memory',
+    syntax: 'Query error',
+    other: 'Query stopped'
+};
+
+/**
+ * Suggest what to do about a runtime error
+ * Curated queries can only be changed by picking another area; custom queries can raise their limits.
+ * @param {string} kind - 'timeout', 'memory', 'syntax' or 'other'
+ * @returns {string} Guidance to show
+ */
+function getRuntimeErrorGuidance(kind) {
+    const curated = currentTab === 'curated';
+    switch (kind) {
+        case 'timeout':
+            return curated
+                ? 'Pick a smaller area, or open the query in the Overpass tab and raise its [timeout:] setting.'
+                : 'Raise the [timeout:] setting at the top of the query (e.g. [timeout:300]), or search a smaller area.';
+        case 'memory':
+            return curated
+                ? 'Pick a smaller area - large areas need more server memory than the query allows.'
+                : 'Raise the [maxsize:] setting (e.g. [maxsize:1073741824] for 1 GiB), narrow the tag filters, or search a smaller area.';
+        case 'syntax':
+            return 'Check the query at the marked line in the Overpass tab.';
+        default:
+            return 'Try again later, or simplify the query.';
+    }
+}
+
+/**
+ * Fill a panel with a runtime error's heading, explanation and guidance
+ * @param {HTMLElement} container - Panel to fill
+ * @param {Object} runtimeError - {kind, remark} from classifyRemark
+ * @param {string} message - Explanation
+ */
+function renderRuntimeError(container, runtimeError, message) {
+    container.innerHTML = '';
+
+    const title = document.createElement('strong');
+    title.textContent = RUNTIME_ERROR_TITLES[runtimeError.kind];
+    container.appendChild(title);
+
+    const text = document.createElement('p');
+    text.textContent = message;
+    container.appendChild(text);
+
+    const suggestion = document.createElement('p');
+    suggestion.className = 'suggestion';
+    suggestion.textContent = `💡 ${getRuntimeErrorGuidance(runtimeError.kind)}`;
+    container.appendChild(suggestion);
+
+    container.classList.remove('hidden');
+}
+
+/**
+ * Show a runtime error that left no results (QUERY_TIMEOUT, OUT_OF_MEMORY, ...)
+ * @param {Error} error - Error whose details come from classifyRemark
+ */
+function showRuntimeError(error) {
+    renderRuntimeError(errorDiv, error.details, error.message);
+}
+
+/**
+ * Show (or hide) the warning that the results are partial because the query stopped early
+ * @param {Object|null} runtimeError - classifyRemark result, or null if the query completed
+ */
+function showPartialWarning(runtimeError) {
+    if (!runtimeError) {
+        partialWarningDiv.classList.add('hidden');
+        return;
+    }
+    renderRuntimeError(
+        partialWarningDiv,
+        runtimeError,
+        `The server stopped the query before it finished, so only the results collected until then are shown. (${runtimeError.remark})`
+    );
+}
+
 /**
  * Show complexity error (network too complex)
  * @param {Error} error - The complexity error object
@@ -862,8 +1213,15 @@ function showComplexityError(error) {
  * @param {number} totalCount - Total elements received
  * @param {Array} geometries - Array of geometry objects
  * @param {number} skippedCount - Number of geometries skipped
+ * @param {Object} source - Where the response came from (optional)
+ * @param {string} source.fallbackServer - Server that answered when the selected one failed
+ * @param {number} source.cachedAt - When the response was cached, if it was served from the cache
+ * @param {string} source.query - The query that produced the results (run again by the Refresh button)
+ * @param {Object} source.runtimeError - classifyRemark result if the query stopped early and the results are partial
  */
-function showStats(totalCount, geometries, skippedCount) {
+function showStats(totalCount, geometries, skippedCount, source = {}) {
+    const { fallbackServer = null, cachedAt = null, query = null, runtimeError = null } = source;
+
     // Count geometry types
     const polygons = geometries.filter(g =>
         g.geometry.type === 'Polygon' || g.geometry.type === 'MultiPolygon'
@@ -871,16 +1229,45 @@ function showStats(totalCount, geometries, skippedCount) {
     const linestrings = geometries.filter(g =>
         g.geometry.type === 'LineString' || g.geometry.type === 'MultiLineString'
     ).length;
+    const points = geometries.filter(g =>
+        g.geometry.type === 'Point' || g.geometry.type === 'MultiPoint'
+    ).length;
     const components = geometries.filter(g => g.type === 'component').length;
 
     // Build summary text
     const parts = [];
     if (polygons > 0) parts.push(`${polygons} polygon(s)`);
     if (linestrings > 0) parts.push(`${linestrings} linestring(s)`);
+    if (points > 0) parts.push(`${points} point feature(s)`);
     if (components > 0) parts.push(`${components} connected group(s)`);
 
     const summary = parts.length > 0 ? parts.join(', ') : `${geometries.length} feature(s)`;
-    statsDiv.textContent = `Showing ${summary} from ${totalCount} total element(s)${skippedCount > 0 ? `, skipped ${skippedCount}` : ''}`;
+    statsDiv.textContent = `Showing ${summary} from ${totalCount} total element(s)${skippedCount > 0 ? `, skipped ${skippedCount}` : ''}` +
+        (fallbackServer ? ` - answered by ${fallbackServer}` : '');
+
+    if (runtimeError) {
+        const badge = document.createElement('span');
+        badge.className = 'partial-badge';
+        badge.textContent = 'Partial results';
+        badge.title = runtimeError.remark;
+        statsDiv.appendChild(badge);
+    }
+
+    if (cachedAt) {
+        const badge = document.createElement('span');
+        badge.className = 'cache-badge';
+        badge.textContent = `Served from cache (${formatCacheAge(cachedAt)})`;
+        badge.title = `Cached ${new Date(cachedAt).toLocaleString()}`;
+        statsDiv.appendChild(badge);
+
+        const refreshBtn = document.createElement('button');
+        refreshBtn.type = 'button';
+        refreshBtn.className = 'cache-refresh-btn';
+        refreshBtn.textContent = 'Refresh';
+        refreshBtn.addEventListener('click', () => handleSubmit({ query, forceRefresh: true }));
+        statsDiv.appendChild(refreshBtn);
+    }
+
     statsDiv.classList.remove('hidden');
 }
 
@@ -899,7 +1286,8 @@ function renderAllGeometries() {
         maintainRelativeSize,
         maxDimension: maintainRelativeSize ? currentMaxDimension : null,
         fillColor: currentFillColor,
-        respectOsmColors
+        respectOsmColors,
+        markerSymbol
     };
 
     // Only render canvases that are currently in the DOM
@@ -920,7 +1308,8 @@ function renderGeometriesForBatch(startIndex, endIndex) {
         maintainRelativeSize: scaleToggle.checked,
         maxDimension: currentMaxDimension,
         fillColor: currentFillColor,
-        respectOsmColors
+        respectOsmColors,
+        markerSymbol
     };
 
     const canvases = getCanvases(gridContainer);
@@ -1068,18 +1457,21 @@ function sortGeometries(geometries, sortBy) {
         return width * height;
     };
 
+    // Points all have zero size, so ties on size are broken by node count
+    const byNodes = (a, b) => (a.nodeCount || 0) - (b.nodeCount || 0);
+
     switch (sortBy) {
         case 'nodes-asc':
-            sorted.sort((a, b) => (a.nodeCount || 0) - (b.nodeCount || 0));
+            sorted.sort(byNodes);
             break;
         case 'nodes-desc':
-            sorted.sort((a, b) => (b.nodeCount || 0) - (a.nodeCount || 0));
+            sorted.sort((a, b) => byNodes(b, a));
             break;
         case 'size-asc':
-            sorted.sort((a, b) => getArea(a) - getArea(b));
+            sorted.sort((a, b) => getArea(a) - getArea(b) || byNodes(a, b));
             break;
         case 'size-desc':
-            sorted.sort((a, b) => getArea(b) - getArea(a));
+            sorted.sort((a, b) => getArea(b) - getArea(a) || byNodes(b, a));
             break;
         default:
             // Unknown sort - return unsorted
@@ -1134,38 +1526,186 @@ function handleSortChange() {
     saveSettings();
 }
 
+/**
+ * Run a query, from the response cache if possible, otherwise on the selected Overpass server
+ * (failing over to the other servers if enabled). Fresh responses are added to the cache.
+ * Each request goes through the request queue of the server it is sent to, ahead of any queued
+ * background requests.
+ * @param {string} query - The Overpass QL query string
+ * @param {string} label - Name for the request queue
+ * @param {AbortSignal} signal - Cancels the query when aborted
+ * @param {Object} options - {forceRefresh} - skip the cache for this query (optional)
+ * @returns {Promise<Object>} {data, serverUrl, cachedAt} - The JSON response, the server that answered
+ *   and, for cached responses, when the response was cached
+ */
+async function runOverpassQuery(query, label, signal, options = {}) {
+    // Selected server first, then the others in the order they are listed in the settings
+    const servers = overpassFailover ? [...new Set([currentOverpassUrl, ...OVERPASS_SERVERS])] : [currentOverpassUrl];
+
+    // The Force refresh setting applies to one query, whether or not it succeeds
+    const forceRefresh = options.forceRefresh || cacheForceRefreshToggle.checked;
+    cacheForceRefreshToggle.checked = false;
+
+    if (cacheTtl > 0 && !forceRefresh) {
+        for (const url of servers) {
+            const cached = await getCachedResponse(query, url, { ttl: cacheTtl });
+            if (cached) {
+                return { data: cached.data, serverUrl: url, cachedAt: cached.createdAt };
+            }
+        }
+    }
+
+    const { data, serverUrl } = await fetchOverpassResponse(query, servers, label, signal);
+
+    // Partial results (the query stopped with a runtime error) are not worth keeping
+    if (cacheTtl > 0 && !classifyRemark(data.remark)) {
+        // Not awaited: the results can be shown while the response is written
+        putCachedResponse(query, serverUrl, data, { maxBytes: cacheMaxBytes });
+    }
+
+    return { data, serverUrl, cachedAt: null };
+}
+
+/**
+ * Fetch a query from the first server, or from the first server that answers if failover is enabled
+ * Each request waits in the queue of the server it goes to, so that server's limits apply.
+ * @param {string} query - The Overpass QL query string
+ * @param {Array<string>} servers - Overpass API URLs, selected server first
+ * @param {string} label - Name for the request queue
+ * @param {AbortSignal} signal - Cancels the query when aborted
+ * @returns {Promise<Object>} {data, serverUrl} - The JSON response and the server that answered
+ */
+async function fetchOverpassResponse(query, servers, label, signal) {
+    let loadingMessage = 'Loading geometries...';
+
+    const scheduleRequest = (url, request) => requestScheduler.schedule({
+        serverUrl: url,
+        label,
+        signal,
+        priority: true,
+        retryable: false, // Nothing would show the results of a retry started from the queue view
+        retryOnRateLimit: !overpassFailover, // With failover, the next server is tried instead
+        meta: { interactive: true },
+        run: async (requestSignal) => {
+            setLoadingMessage(loadingMessage);
+            if (waitForFreeSlot) {
+                await waitForSlot(url, {
+                    signal: requestSignal,
+                    onWait: (seconds) => setLoadingMessage(`No free slot on ${getServerName(url)} - waiting ${seconds}s for the next one...`)
+                });
+                setLoadingMessage(loadingMessage);
+            }
+            return request(requestSignal);
+        }
+    });
+
+    if (!overpassFailover) {
+        const data = await scheduleRequest(currentOverpassUrl, (requestSignal) =>
+            executeQuery(query, currentOverpassUrl, { signal: requestSignal, onDownloadProgress: handleDownloadProgress }));
+        return { data, serverUrl: currentOverpassUrl };
+    }
+
+    let serverUrl = currentOverpassUrl;
+
+    const data = await executeQueryWithFailover(query, servers, {
+        signal,
+        onDownloadProgress: handleDownloadProgress,
+        runAttempt: scheduleRequest,
+        onProgress: ({ stage, url, attempt, total, delay, error }) => {
+            const server = getServerName(url);
+            if (stage === 'waiting') {
+                setLoadingMessage(`${error.message} Trying ${server} in ${Math.round(delay / 1000)}s (server ${attempt} of ${total})...`);
+            } else if (stage === 'trying') {
+                downloadProgress = null;
+                loadingMessage = `Querying ${server} (server ${attempt} of ${total})...`;
+                setLoadingMessage(loadingMessage);
+            } else if (stage === 'answered') {
+                serverUrl = url;
+                setLoadingMessage(`${server} answered. Loading geometries...`);
+            }
+        }
+    });
+    return { data, serverUrl };
+}
+
 /**
  * Handle query submission
+ * @param {Object} options - {query} - query to run instead of the editor's (optional),
+ *   {forceRefresh} - skip the response cache (optional)
  */
-async function handleSubmit() {
-    const query = queryTextarea.value.trim();
+async function handleSubmit(options = {}) {
+    const query = options.query || queryTextarea.value.trim();
 
     if (!query) {
         showError('Please enter an Overpass query');
         return;
     }
 
-    showLoading();
+    if (activeQueryController) {
+        return; // A query is already running
+    }
 
-    // Cleanup any previous lazy loading state
-    cleanupLazyLoading();
+    // Panels to bring back if the query is stopped, so the previous results look untouched
+    const visiblePanels = [errorDiv, partialWarningDiv, warningsDiv, statsDiv].filter(el => !el.classList.contains('hidden'));
+    activeQueryController = new AbortController();
+
+    // What is recorded in the query history, whatever the outcome
+    const isCurated = currentTab === 'curated' && featureSelect.value && areaSelect.value;
+    const historyDetails = {
+        query,
+        title: isCurated ? buildTitle(featureSelect.value, areaSelect.value) : '',
+        curated: isCurated ? { feature: featureSelect.value, area: areaSelect.value } : null,
+        groupByTag: groupByTagInput.value.trim()
+    };
+    let historyRecorded = false;
+
+    showLoading(true);
+    startQueryProgress();
+    queryEditor.clearErrorMarkers();
 
     try {
         // Execute query
         console.log('Executing query...');
-        const data = await executeQuery(query, currentOverpassUrl);
+        const { data, serverUrl, cachedAt } = await runOverpassQuery(query, historyDetails.title || 'Custom query', activeQueryController.signal, {
+            forceRefresh: options.forceRefresh
+        });
         console.log('Received data:', data);
 
+        // The response is in; from here on the query can no longer be stopped
+        activeQueryController = null;
+        stopQueryBtn.disabled = true;
+
+        // Cleanup previous lazy loading state only now, so stopping keeps the previous results usable
+        cleanupLazyLoading();
+
+        // Runtime errors (e.g. a timeout at a given line) come back in the remark of an otherwise normal
+        // response, with the elements collected before the query stopped
+        showQueryErrorMarkers(extractQueryErrors(data.remark));
+        const runtimeError = classifyRemark(data.remark);
+        showPartialWarning(runtimeError);
+
         // Parse elements with grouping options
         const groupByTag = groupByTagInput.value.trim();
         const parseOptions = {
             groupByEnabled: groupByTag.length > 0,
-            groupByTag: groupByTag || 'name'
+            groupByTag: groupByTag || 'name',
+            ringGapTolerance
         };
         const { geometries, warnings } = parseElements(data.elements || [], parseOptions);
         console.log('Parsed geometries:', geometries);
         console.log('Warnings:', warnings);
 
+        recordQueryHistory({
+            ...historyDetails,
+            serverUrl,
+            fromCache: Boolean(cachedAt),
+            durationMs: Date.now() - queryStartedAt,
+            elementIds: getElementIds(data.elements || []),
+            warningCount: warnings.length,
+            partial: Boolean(runtimeError)
+        });
+        historyRecorded = true;
+
         // Show warnings
         showWarnings(warnings);
 
@@ -1196,11 +1736,24 @@ async function handleSubmit() {
             })
         );
 
+        // Remember what these results are for export titles
+        if (currentTab === 'curated') {
+            setResultTitle(buildTitle(featureSelect.value, areaSelect.value), buildCoverTitle(featureSelect.value, areaSelect.value));
+        } else {
+            setResultTitle('');
+        }
+
         // Show statistics
         showStats(
             data.elements ? data.elements.length : 0,
             currentGeometries,
-            warnings.length
+            warnings.length,
+            {
+                fallbackServer: serverUrl !== currentOverpassUrl ? getServerName(serverUrl) : null,
+                cachedAt,
+                query,
+                runtimeError
+            }
         );
 
         // Create grid with lazy loading support
@@ -1228,427 +1781,1769 @@ async function handleSubmit() {
         saveSettings();
 
     } catch (error) {
-        console.error('Error:', error);
         hideLoading();
 
+        if (error.type === 'CANCELLED') {
+            visiblePanels.forEach(el => el.classList.remove('hidden'));
+            return;
+        }
+
+        console.error('Error:', error);
+
+        if (!historyRecorded) {
+            recordQueryHistory({
+                ...historyDetails,
+                serverUrl: currentOverpassUrl,
+                durationMs: Date.now() - queryStartedAt,
+                error: error.message || 'Query failed'
+            });
+        }
+
         // Handle complexity errors specially
         if (error.type === 'NETWORK_TOO_COMPLEX') {
             showComplexityError(error);
+        } else if (error.type === 'RATE_LIMITED') {
+            showError(await describeRateLimit(error));
         } else {
-            showError(error.message || 'An error occurred while processing the query');
+            if (error.details && error.details.errors) {
+                showQueryErrorMarkers(error.details.errors);
+            }
+            if (error.details && error.details.kind) {
+                showRuntimeError(error);
+            } else {
+                showError(error.message || 'An error occurred while processing the query');
+            }
         }
+    } finally {
+        activeQueryController = null;
     }
 }
 
 /**
- * Handle scale toggle change
+ * Explain a rate limit error using the server's slot status, if the server reports it
+ * @param {Error} error - RATE_LIMITED error
+ * @returns {Promise<string>} Message to show
  */
-function handleScaleToggle() {
-    if (currentGeometries.length > 0) {
-        renderAllGeometries();
+async function describeRateLimit(error) {
+    try {
+        const status = await fetchServerStatus(currentOverpassUrl);
+        const server = getServerName(currentOverpassUrl);
+        if (status.nextSlotIn !== null) {
+            return `Rate limit exceeded: ${server} allows ${status.rateLimit} query slot(s) and none are free. The next slot frees up in ${status.nextSlotIn} second(s). Turn on "Wait for a free slot" in the settings to queue queries automatically.`;
+        }
+        if (status.slotsAvailable > 0) {
+            return `Rate limit exceeded, but ${server} now has ${status.slotsAvailable} free slot(s) - try again.`;
+        }
+    } catch (statusError) {
+        console.warn('Could not fetch server status:', statusError);
     }
-    saveSettings();
+    return error.message;
 }
 
 /**
- * Handle fill color change
+ * Stop the running Overpass query
+ * The previous results stay in place.
  */
-function handleFillColorChange() {
-    currentFillColor = fillColorInput.value;
-    if (currentGeometries.length > 0) {
-        renderAllGeometries();
+function handleStopQuery() {
+    if (activeQueryController) {
+        setLoadingMessage('Stopping...');
+        stopQueryBtn.disabled = true;
+        activeQueryController.abort();
     }
-    saveSettings();
 }
 
 /**
- * Handle respect OSM colors toggle change
+ * Add a query to the history and refresh the panel if it is open
+ * @param {Object} details - Entry details, see addHistoryEntry
  */
-function handleRespectOsmColorsToggle() {
-    respectOsmColors = respectOsmColorsToggle.checked;
-    if (currentGeometries.length > 0) {
-        renderAllGeometries();
+function recordQueryHistory(details) {
+    addHistoryEntry(details);
+    if (!historyPanel.classList.contains('hidden')) {
+        renderHistory();
     }
-    saveSettings();
 }
 
 /**
- * Handle Overpass server selection change
+ * Open or close the query history panel
  */
-function handleOverpassServerChange() {
-    const selectedValue = overpassServerSelect.value;
-
-    // Show/hide custom URL input
-    if (selectedValue === 'custom') {
-        customUrlGroup.classList.remove('hidden');
+function toggleHistoryPanel() {
+    if (historyPanel.classList.contains('hidden')) {
+        closeQueuePanel();
+        historyPanel.classList.remove('hidden');
+        renderHistory();
     } else {
-        customUrlGroup.classList.add('hidden');
+        closeHistoryPanel();
     }
-
-    // Update current URL
-    currentOverpassUrl = getCurrentOverpassUrl();
-    saveSettings();
 }
 
 /**
- * Handle custom Overpass URL change
+ * Close the query history panel
  */
-function handleOverpassCustomUrlChange() {
-    currentOverpassUrl = getCurrentOverpassUrl();
-    saveSettings();
+function closeHistoryPanel() {
+    historyPanel.classList.add('hidden');
 }
 
 /**
- * Handle theme toggle button click
+ * Describe a history entry's outcome
+ * @param {Object} entry - History entry
+ * @returns {string} e.g. "12 Oct, 14:05 · private.coffee · 340 elements · 2 warnings · 4.2 s"
  */
-function handleThemeToggle() {
-    // Toggle between light and dark
-    currentTheme = currentTheme === 'dark' ? 'light' : 'dark';
-    applyTheme(currentTheme);
-    saveSettings();
+function describeHistoryEntry(entry) {
+    const parts = [
+        new Date(entry.createdAt).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' }),
+        getServerName(entry.serverUrl)
+    ];
+    if (entry.error) {
+        parts.push('failed');
+    } else {
+        parts.push(`${entry.elementCount.toLocaleString()} element(s)`);
+        if (entry.warningCount !== null) {
+            parts.push(`${entry.warningCount} warning(s)`);
+        }
+        if (entry.partial) {
+            parts.push('partial');
+        }
+    }
+    parts.push(entry.fromCache ? 'from cache' : formatDuration(entry.durationMs));
+    return parts.join(' · ');
 }
 
 /**
- * Handle group by tag input change
+ * Create a small link-style button for a side panel entry
+ * @param {string} label - Button text
+ * @param {string} title - Tooltip
+ * @param {Function} onClick - Click handler
+ * @returns {HTMLButtonElement} The button
  */
-function handleGroupByTagChange() {
-    saveSettings();
+function createPanelButton(label, title, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'panel-action';
+    button.textContent = label;
+    button.title = title;
+    button.addEventListener('click', onClick);
+    return button;
 }
 
 /**
- * Update the Overpass submit button enabled state based on query content
+ * Render the query history list
  */
-function updateOverpassSubmitState() {
-    const hasQuery = queryTextarea.value.trim().length > 0;
-    submitBtn.disabled = !hasQuery;
+function renderHistory() {
+    const entries = getHistory();
+    historySelection = historySelection.filter(id => entries.some(entry => entry.id === id));
+
+    historyList.innerHTML = '';
+    historyEmpty.classList.toggle('hidden', entries.length > 0);
+    historyCompareBtn.disabled = historySelection.length !== 2;
+
+    entries.forEach(entry => {
+        const item = document.createElement('li');
+        item.className = 'panel-entry';
+        item.classList.toggle('pinned', entry.pinned);
+        item.classList.toggle('failed', Boolean(entry.error));
+
+        const header = document.createElement('div');
+        header.className = 'panel-entry-header';
+
+        const select = document.createElement('input');
+        select.type = 'checkbox';
+        select.title = 'Select to compare';
+        select.checked = historySelection.includes(entry.id);
+        select.disabled = Boolean(entry.error);
+        select.addEventListener('change', () => handleHistorySelect(entry.id, select.checked));
+        header.appendChild(select);
+
+        const name = document.createElement('span');
+        name.className = 'panel-entry-name';
+        name.textContent = getEntryLabel(entry);
+        name.title = entry.query;
+        header.appendChild(name);
+        item.appendChild(header);
+
+        const meta = document.createElement('div');
+        meta.className = 'panel-entry-meta';
+        meta.textContent = describeHistoryEntry(entry);
+        if (entry.error) {
+            meta.title = entry.error;
+        }
+        item.appendChild(meta);
+
+        const actions = document.createElement('div');
+        actions.className = 'panel-entry-actions';
+        actions.appendChild(createPanelButton('Re-run', 'Run this query again', () => handleHistoryRerun(entry)));
+        actions.appendChild(createPanelButton('Load', 'Load this query into the editor', () => loadHistoryQuery(entry)));
+        actions.appendChild(createPanelButton(entry.pinned ? 'Unpin' : 'Pin', 'Pinned queries stay at the top and are never removed automatically', () => {
+            updateHistoryEntry(entry.id, { pinned: !entry.pinned });
+            renderHistory();
+        }));
+        actions.appendChild(createPanelButton('Rename', 'Give this query a name', () => startHistoryRename(name, entry)));
+        actions.appendChild(createPanelButton('Delete', 'Remove this query from the history', () => {
+            deleteHistoryEntry(entry.id);
+            renderHistory();
+        }));
+        item.appendChild(actions);
+
+        historyList.appendChild(item);
+    });
 }
 
 /**
- * Encode current state to URL parameters
- * @returns {string} URL with encoded parameters
+ * Replace an entry's name with a text field; Enter or leaving the field saves, Escape cancels
+ * @param {HTMLElement} nameSpan - The name element
+ * @param {Object} entry - History entry
  */
-function encodeStateToURL() {
-    const params = new URLSearchParams();
+function startHistoryRename(nameSpan, entry) {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'history-rename';
+    input.value = getEntryLabel(entry);
+    input.placeholder = 'Name (empty for automatic)';
+
+    let done = false;
+    const finish = (save) => {
+        if (done) return;
+        done = true;
+        if (save) {
+            updateHistoryEntry(entry.id, { name: input.value });
+        }
+        renderHistory();
+    };
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            finish(true);
+        } else if (e.key === 'Escape') {
+            e.stopPropagation();
+            finish(false);
+        }
+    });
+    input.addEventListener('blur', () => finish(true));
 
-    // Check if we're on curated tab with feature/area selected
-    const selectedFeature = featureSelect.value;
-    const selectedArea = areaSelect.value;
+    nameSpan.replaceWith(input);
+    input.focus();
+    input.select();
+}
 
-    if (currentTab === 'curated' && selectedFeature && selectedArea) {
-        // Use feature/area params for curated queries
-        params.set('feature', selectedFeature);
-        params.set('area', selectedArea);
-    } else if (queryTextarea.value.trim()) {
-        // Fall back to raw query for overpass tab
-        params.set('q', btoa(encodeURIComponent(queryTextarea.value)));
+/**
+ * Tick or untick an entry for comparison; ticking a third entry unticks the oldest pick
+ * @param {string} id - Entry ID
+ * @param {boolean} selected - Whether the entry is ticked
+ */
+function handleHistorySelect(id, selected) {
+    historySelection = historySelection.filter(selectedId => selectedId !== id);
+    if (selected) {
+        historySelection.push(id);
     }
-
-    if (fillColorInput.value !== '#3388ff') {
-        params.set('color', fillColorInput.value.substring(1)); // Remove #
+    if (historySelection.length > 2) {
+        historySelection.shift();
     }
+    renderHistory();
+}
 
-    if (scaleToggle.checked) {
-        params.set('scale', '1');
-    }
+/**
+ * Put an entry's query back in the editor, with the grouping hint it ran with
+ * @param {Object} entry - History entry
+ */
+function loadHistoryQuery(entry) {
+    switchTab('overpass');
+    groupByTagInput.value = entry.groupByTag;
+    setQueryText(entry.query);
+    queryEditor.clearErrorMarkers();
+}
 
-    if (groupByTagInput.value.trim()) {
-        params.set('gtag', groupByTagInput.value.trim());
+/**
+ * Run an entry's query again
+ * Curated queries go back to their feature and area when those still build the same query,
+ * so the results keep their title; anything else runs from the Overpass tab.
+ * @param {Object} entry - History entry
+ */
+function handleHistoryRerun(entry) {
+    if (activeQueryController) {
+        return; // A query is already running
     }
 
-    const url = new URL(window.location.href);
-    url.search = params.toString();
-    return url.toString();
+    const { curated } = entry;
+    if (curated && FEATURES[curated.feature] && AREAS[curated.area] &&
+        buildQuery(curated.feature, curated.area) === entry.query) {
+        switchTab('curated');
+        featureSelect.value = curated.feature;
+        updateAreaDropdown(curated.feature);
+        areaSelect.value = curated.area;
+        handleAreaSelect();
+        groupByTagInput.value = entry.groupByTag;
+    } else {
+        loadHistoryQuery(entry);
+    }
+    handleSubmit();
 }
 
 /**
- * Decode URL parameters and apply to state
- * @returns {Object|null} Decoded state or null if no parameters
+ * Compare the results of the two ticked entries, older first
  */
-function decodeURLParams() {
-    const params = new URLSearchParams(window.location.search);
+function handleHistoryCompare() {
+    const entries = getHistory()
+        .filter(entry => historySelection.includes(entry.id))
+        .sort((a, b) => a.createdAt - b.createdAt);
+    if (entries.length !== 2) {
+        return;
+    }
 
-    if (params.toString() === '') {
-        return null;
+    const [older, newer] = entries;
+    const { onlyInA, onlyInB, inBoth, truncated } = compareHistoryEntries(older, newer);
+
+    historyCompareDiv.innerHTML = '';
+    historyCompareDiv.classList.remove('hidden');
+
+    const header = document.createElement('div');
+    header.className = 'history-compare-header';
+    const title = document.createElement('strong');
+    title.textContent = `${getEntryLabel(older)} → ${getEntryLabel(newer)}`;
+    header.appendChild(title);
+    header.appendChild(createPanelButton('Close', 'Hide the comparison', () => {
+        historyCompareDiv.classList.add('hidden');
+    }));
+    historyCompareDiv.appendChild(header);
+
+    const summary = document.createElement('p');
+    summary.textContent = `${onlyInB.length.toLocaleString()} added, ${onlyInA.length.toLocaleString()} removed, ${inBoth.toLocaleString()} in both.`;
+    historyCompareDiv.appendChild(summary);
+
+    if (truncated) {
+        const note = document.createElement('p');
+        note.className = 'help-text';
+        note.textContent = 'One of the results was too large to store every ID, so the comparison is incomplete.';
+        historyCompareDiv.appendChild(note);
+    }
+    if (older.partial || newer.partial) {
+        const note = document.createElement('p');
+        note.className = 'help-text';
+        note.textContent = 'One of the queries stopped before it finished, so some differences may only be missing results.';
+        historyCompareDiv.appendChild(note);
     }
 
-    const state = {};
+    appendHistoryIdList('Added', onlyInB);
+    appendHistoryIdList('Removed', onlyInA);
+}
 
-    // Decode feature/area params (new format)
-    if (params.has('feature') && params.has('area')) {
-        state.feature = params.get('feature');
-        state.area = params.get('area');
+/**
+ * Add a list of OSM IDs, linked to openstreetmap.org, to the comparison
+ * @param {string} label - List heading
+ * @param {Array<string>} ids - IDs such as "way/123"
+ */
+function appendHistoryIdList(label, ids) {
+    if (ids.length === 0) {
+        return;
     }
+    const MAX_LISTED = 200;
+
+    const details = document.createElement('details');
+    const summary = document.createElement('summary');
+    summary.textContent = `${label} (${ids.length.toLocaleString()})`;
+    details.appendChild(summary);
+
+    const list = document.createElement('ul');
+    list.className = 'history-id-list';
+    ids.slice(0, MAX_LISTED).forEach(id => {
+        const item = document.createElement('li');
+        const link = document.createElement('a');
+        link.href = `https://www.openstreetmap.org/${id}`;
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+        link.textContent = id;
+        item.appendChild(link);
+        list.appendChild(item);
+    });
+    if (ids.length > MAX_LISTED) {
+        const item = document.createElement('li');
+        item.textContent = `...and ${(ids.length - MAX_LISTED).toLocaleString()} more`;
+        list.appendChild(item);
+    }
+    details.appendChild(list);
+    historyCompareDiv.appendChild(details);
+}
 
-    // Decode query (legacy format)
-    if (params.has('q')) {
-        try {
-            state.query = decodeURIComponent(atob(params.get('q')));
-        } catch (e) {
-            console.warn('Failed to decode query parameter:', e);
+/**
+ * Handle Clear unpinned in the history panel
+ */
+function handleClearHistory() {
+    clearHistory();
+    historyCompareDiv.classList.add('hidden');
+    renderHistory();
+}
+
+/**
+ * Queue the selected curated feature and area to run in the background
+ */
+function handleQueueCurated() {
+    const selectedFeature = featureSelect.value;
+    const selectedArea = areaSelect.value;
+    if (!selectedFeature || !selectedArea) {
+        showError('Please select both a feature and an area');
+        return;
+    }
+    queueCuratedQuery(selectedFeature, selectedArea);
+}
+
+/**
+ * Queue a curated query to run in the background on the selected server
+ * The response is cached and the run recorded in the query history, so Show in the queue view
+ * (or running the same feature and area later) opens the results straight from the cache.
+ * @param {string} featureKey - Key in FEATURES
+ * @param {string} areaKey - Key in AREAS
+ */
+function queueCuratedQuery(featureKey, areaKey) {
+    const query = buildQuery(featureKey, areaKey);
+    const title = buildTitle(featureKey, areaKey);
+    const serverUrl = currentOverpassUrl;
+    const historyDetails = {
+        query,
+        title,
+        curated: { feature: featureKey, area: areaKey },
+        groupByTag: FEATURES[featureKey].groupBy || '',
+        serverUrl
+    };
+    const meta = { curated: historyDetails.curated };
+    let startedAt = 0;
+
+    requestScheduler.schedule({
+        serverUrl,
+        label: title,
+        meta,
+        run: async (signal) => {
+            startedAt = Date.now();
+            const cached = cacheTtl > 0 ? await getCachedResponse(query, serverUrl, { ttl: cacheTtl }) : null;
+            const data = cached ? cached.data : await executeQuery(query, serverUrl, { signal });
+            const runtimeError = classifyRemark(data.remark);
+            if (!cached && cacheTtl > 0 && !runtimeError) {
+                await putCachedResponse(query, serverUrl, data, { maxBytes: cacheMaxBytes });
+            }
+
+            const elementIds = getElementIds(data.elements || []);
+            meta.elementCount = elementIds.length;
+            meta.fromCache = Boolean(cached);
+            meta.partial = Boolean(runtimeError);
+            // Warnings are only known once the results are parsed for display
+            recordQueryHistory({
+                ...historyDetails,
+                fromCache: Boolean(cached),
+                durationMs: Date.now() - startedAt,
+                elementIds,
+                warningCount: null,
+                partial: Boolean(runtimeError)
+            });
+        },
+        // Only the final failure is recorded, including a rate limit that outlasted the retries
+        onFailed: (error) => {
+            recordQueryHistory({ ...historyDetails, durationMs: Date.now() - startedAt, error: error.message });
+        }
+    });
+}
+
+/**
+ * Keep the queue button, the queue panel and the loading message in step with the request queue
+ */
+function handleQueueChange() {
+    const entries = requestScheduler.getEntries();
+    const active = entries.filter(entry => entry.status === 'pending' || entry.status === 'running').length;
+    queueCount.textContent = active;
+    queueCount.classList.toggle('hidden', active === 0);
+
+    // Tell the user why their query has not started yet
+    const interactive = entries.find(entry => entry.meta.interactive && entry.status === 'pending');
+    if (interactive && activeQueryController) {
+        if (interactive.error && interactive.error.type === 'RATE_LIMITED') {
+            setLoadingMessage(`Rate limited by ${getServerName(interactive.serverUrl)} - trying again when the server allows...`);
+        } else {
+            setLoadingMessage('Waiting for queued requests to the same server...');
         }
     }
 
-    // Decode color
-    if (params.has('color')) {
-        state.fillColor = '#' + params.get('color');
+    if (!queuePanel.classList.contains('hidden')) {
+        renderQueue();
     }
+}
 
-    // Decode scale toggle
-    if (params.has('scale')) {
-        state.scaleToggle = params.get('scale') === '1';
+/**
+ * Open or close the request queue panel
+ */
+function toggleQueuePanel() {
+    if (queuePanel.classList.contains('hidden')) {
+        closeHistoryPanel();
+        queuePanel.classList.remove('hidden');
+        renderQueue();
+        queuePanelTimer = setInterval(renderQueue, 1000);
+    } else {
+        closeQueuePanel();
     }
+}
 
-    // Decode group by tag
-    if (params.has('gtag')) {
-        state.groupByTag = params.get('gtag');
+/**
+ * Close the request queue panel
+ */
+function closeQueuePanel() {
+    queuePanel.classList.add('hidden');
+    clearInterval(queuePanelTimer);
+    queuePanelTimer = null;
+}
+
+/**
+ * Describe the state of a queue entry
+ * @param {Object} entry - Entry from requestScheduler.getEntries()
+ * @returns {string} e.g. "Queued - starts in 3s", "Running for 12.0 s", "Done - 340 element(s) in 4.2 s"
+ */
+function describeQueueEntry(entry) {
+    const now = Date.now();
+    switch (entry.status) {
+        case 'pending': {
+            const wait = entry.startsAt && entry.startsAt > now ? ` - starts in ${Math.ceil((entry.startsAt - now) / 1000)}s` : '';
+            if (entry.error && entry.error.type === 'RATE_LIMITED') {
+                return `Rate limited, retrying${wait}`;
+            }
+            return `Queued${wait}`;
+        }
+        case 'running':
+            return `Running for ${formatDuration(now - entry.startedAt)}`;
+        case 'done': {
+            if (entry.meta.elementCount === undefined) {
+                return `Done in ${formatDuration(entry.finishedAt - entry.startedAt)}`;
+            }
+            const notes = [entry.meta.fromCache ? 'from cache' : '', entry.meta.partial ? 'partial' : ''].filter(Boolean);
+            return `Done - ${entry.meta.elementCount.toLocaleString()} element(s) in ${formatDuration(entry.finishedAt - entry.startedAt)}` +
+                (notes.length > 0 ? ` (${notes.join(', ')})` : '');
+        }
+        case 'failed':
+            return `Failed - ${entry.error ? entry.error.message : 'unknown error'}`;
+        default:
+            return 'Cancelled';
     }
+}
 
-    return state;
+/**
+ * Render the request queue list
+ */
+function renderQueue() {
+    const entries = requestScheduler.getEntries();
+    queueList.innerHTML = '';
+    queueEmpty.classList.toggle('hidden', entries.length > 0);
+
+    entries.forEach(entry => {
+        const item = document.createElement('li');
+        item.className = `panel-entry queue-entry ${entry.status}`;
+
+        const header = document.createElement('div');
+        header.className = 'panel-entry-header';
+        const name = document.createElement('span');
+        name.className = 'panel-entry-name';
+        name.textContent = entry.label;
+        header.appendChild(name);
+        item.appendChild(header);
+
+        const meta = document.createElement('div');
+        meta.className = 'panel-entry-meta';
+        meta.textContent = `${getServerName(entry.serverUrl)} · ${describeQueueEntry(entry)}`;
+        item.appendChild(meta);
+
+        const actions = document.createElement('div');
+        actions.className = 'panel-entry-actions';
+        if (entry.status === 'pending' || entry.status === 'running') {
+            actions.appendChild(createPanelButton('Cancel', 'Cancel this request', () => requestScheduler.cancel(entry.id)));
+        }
+        if (entry.retryable) {
+            actions.appendChild(createPanelButton('Retry', 'Queue this request again', () => requestScheduler.retry(entry.id)));
+        }
+        if (entry.status === 'done' && entry.meta.curated) {
+            actions.appendChild(createPanelButton('Show', 'Show these results', () => showQueuedResult(entry)));
+        }
+        if (actions.children.length > 0) {
+            item.appendChild(actions);
+        }
+
+        queueList.appendChild(item);
+    });
 }
 
 /**
- * Handle share button click
+ * Show the results of a finished background request
+ * Its response was cached, so this normally opens without querying the server again.
+ * @param {Object} entry - Queue entry of a curated query
  */
-async function handleShare() {
-    const shareURL = encodeStateToURL();
+function showQueuedResult(entry) {
+    if (activeQueryController) {
+        return; // A query is already running
+    }
+    const { feature, area } = entry.meta.curated;
+    switchTab('curated');
+    featureSelect.value = feature;
+    updateAreaDropdown(feature);
+    areaSelect.value = area;
+    handleAreaSelect();
+    closeQueuePanel();
+    handleSubmit();
+}
 
-    try {
-        // Try to use native share API if available
-        if (navigator.share) {
-            await navigator.share({
-                title: 'XofY OSM Geometry Viewer',
-                text: 'Check out this OpenStreetMap query',
-                url: shareURL
-            });
-        } else {
-            // Fallback: copy to clipboard
-            await navigator.clipboard.writeText(shareURL);
+/**
+ * Handle a change to the number of requests allowed at once per server
+ */
+function handleQueueConcurrencyChange() {
+    queueConcurrency = parseInt(queueConcurrencySelect.value);
+    requestScheduler.setOptions({ concurrency: queueConcurrency });
+    saveSettings();
+}
 
-            // Show temporary success message
-            const originalTitle = shareBtn.title;
-            shareBtn.title = 'Link copied to clipboard!';
-            shareBtn.style.color = 'var(--accent-primary)';
+/**
+ * Handle a change to the minimum time between requests
+ */
+function handleQueueMinIntervalChange() {
+    queueMinInterval = parseInt(queueMinIntervalSelect.value);
+    requestScheduler.setOptions({ minIntervalMs: queueMinInterval });
+    saveSettings();
+}
 
-            setTimeout(() => {
-                shareBtn.title = originalTitle;
-                shareBtn.style.color = '';
-            }, 2000);
+/**
+ * Handle a change to the largest gap closed in multipolygon rings
+ */
+function handleRingGapToleranceChange() {
+    ringGapTolerance = parseFloat(ringGapToleranceSelect.value);
+    saveSettings();
+}
+
+/**
+ * Handle scale toggle change
+ */
+function handleScaleToggle() {
+    if (currentGeometries.length > 0) {
+        renderAllGeometries();
+    }
+    saveSettings();
+}
+
+/**
+ * Handle fill color change
+ */
+function handleFillColorChange() {
+    currentFillColor = fillColorInput.value;
+    if (currentGeometries.length > 0) {
+        renderAllGeometries();
+    }
+    saveSettings();
+}
+
+/**
+ * Handle respect OSM colors toggle change
+ */
+function handleRespectOsmColorsToggle() {
+    respectOsmColors = respectOsmColorsToggle.checked;
+    if (currentGeometries.length > 0) {
+        renderAllGeometries();
+    }
+    saveSettings();
+}
+
+/**
+ * Handle marker symbol change
+ */
+function handleMarkerSymbolChange() {
+    markerSymbol = markerSelect.value;
+    if (currentGeometries.length > 0) {
+        renderAllGeometries();
+    }
+    saveSettings();
+}
+
+/**
+ * Handle Overpass server selection change
+ */
+function handleOverpassServerChange() {
+    const selectedValue = overpassServerSelect.value;
+
+    // Show/hide custom URL input
+    if (selectedValue === 'custom') {
+        customUrlGroup.classList.remove('hidden');
+    } else {
+        customUrlGroup.classList.add('hidden');
+    }
+
+    // Update current URL
+    currentOverpassUrl = getCurrentOverpassUrl();
+    saveSettings();
+    updateServerStatus();
+}
+
+/**
+ * Handle custom Overpass URL change
+ */
+function handleOverpassCustomUrlChange() {
+    currentOverpassUrl = getCurrentOverpassUrl();
+    saveSettings();
+    updateServerStatus();
+}
+
+/**
+ * Handle theme toggle button click
+ */
+function handleThemeToggle() {
+    // Toggle between light and dark
+    currentTheme = currentTheme === 'dark' ? 'light' : 'dark';
+    applyTheme(currentTheme);
+    saveSettings();
+}
+
+/**
+ * Handle group by tag input change
+ */
+function handleGroupByTagChange() {
+    saveSettings();
+}
+
+/**
+ * Check the query and list any problems, with fix buttons, under the query
+ * @returns {Array<Object>} Issues found by lintQuery
+ */
+function updateQueryLint() {
+    const issues = lintQuery(queryTextarea.value);
+    queryLintDiv.innerHTML = '';
+    queryLintDiv.classList.toggle('hidden', issues.length === 0);
+    if (issues.length === 0) {
+        return issues;
+    }
+
+    const list = document.createElement('ul');
+    list.className = 'query-lint-list';
+    issues.forEach(issue => {
+        const item = document.createElement('li');
+        item.className = `query-lint-issue ${issue.severity}`;
+
+        const message = document.createElement('span');
+        message.textContent = issue.message;
+        item.appendChild(message);
+
+        if (issue.fix) {
+            const fixBtn = document.createElement('button');
+            fixBtn.type = 'button';
+            fixBtn.className = 'query-lint-fix';
+            fixBtn.textContent = issue.fixLabel;
+            fixBtn.addEventListener('click', () => setQueryText(issue.fix(queryTextarea.value)));
+            item.appendChild(fixBtn);
         }
-    } catch (err) {
-        console.error('Share failed:', err);
-        // Show error message
-        showError('Failed to share. Please copy the URL from your address bar.');
+
+        list.appendChild(item);
+    });
+    queryLintDiv.appendChild(list);
+
+    const actions = document.createElement('div');
+    actions.className = 'query-lint-actions';
+    if (issues.filter(issue => issue.fix).length > 1) {
+        const fixAllBtn = document.createElement('button');
+        fixAllBtn.type = 'button';
+        fixAllBtn.textContent = 'Fix all';
+        fixAllBtn.addEventListener('click', () => setQueryText(fixAllIssues(queryTextarea.value)));
+        actions.appendChild(fixAllBtn);
+    }
+    if (issues.some(issue => issue.severity === 'error')) {
+        const runAnywayBtn = document.createElement('button');
+        runAnywayBtn.type = 'button';
+        runAnywayBtn.textContent = 'Run anyway';
+        runAnywayBtn.addEventListener('click', () => handleSubmit());
+        actions.appendChild(runAnywayBtn);
+    }
+    if (actions.children.length > 0) {
+        queryLintDiv.appendChild(actions);
+    }
+
+    return issues;
+}
+
+/**
+ * Replace the query text (e.g. after a fix) and re-check it
+ * @param {string} query - New query text
+ */
+function setQueryText(query) {
+    queryTextarea.value = query;
+    queryEditor.refresh();
+    updateOverpassSubmitState();
+    updateQueryLint();
+    saveSettings();
+}
+
+/**
+ * Count tag keys and values from bracketed filters like ["leisure"="park"][name]
+ * @param {string} filters - Tag filter string
+ * @param {Map} counts - Map of key -> Map of value -> count, updated in place
+ */
+function countFilterTags(filters, counts) {
+    for (const match of filters.matchAll(/\[\s*!?"?([^"\]=!~]+?)"?\s*(?:(?:=|~)\s*"?([^"\]]*)"?)?\s*\]/g)) {
+        countTag(counts, match[1], match[2]);
+    }
+}
+
+/**
+ * Add one tag (or just a key) to the suggestion counts
+ * @param {Map} counts - Map of key -> Map of value -> count
+ * @param {string} key - Tag key
+ * @param {string} value - Tag value (optional)
+ */
+function countTag(counts, key, value) {
+    if (!counts.has(key)) {
+        counts.set(key, new Map());
+    }
+    const values = counts.get(key);
+    values.set(value, (values.get(value) || 0) + 1);
+}
+
+/**
+ * Get tag key/value suggestions for the query editor, from the curated features and the current results
+ * The most common keys and values come first.
+ * @returns {Map} Map of key -> array of values
+ */
+function getTagSuggestions() {
+    if (tagSuggestionCache && tagSuggestionCache.geometries === currentGeometries) {
+        return tagSuggestionCache.suggestions;
+    }
+
+    const counts = new Map();
+    Object.values(FEATURES).forEach(feature => countFilterTags(feature.tags, counts));
+    currentGeometries.forEach(geom => {
+        Object.entries(geom.tags || {}).forEach(([key, value]) => {
+            if (!key.startsWith('_')) {
+                countTag(counts, key, value);
+            }
+        });
+    });
+
+    const total = (values) => Array.from(values.values()).reduce((sum, count) => sum + count, 0);
+    const suggestions = new Map(
+        Array.from(counts.entries())
+            .sort((a, b) => total(b[1]) - total(a[1]))
+            .map(([key, values]) => [
+                key,
+                Array.from(values.entries())
+                    .filter(([value]) => value !== undefined)
+                    .sort((a, b) => b[1] - a[1])
+                    .map(([value]) => value)
+            ])
+    );
+
+    tagSuggestionCache = { geometries: currentGeometries, suggestions };
+    return suggestions;
+}
+
+/**
+ * Handle snippet menu selection
+ */
+function handleSnippetSelect() {
+    const snippet = QL_SNIPPETS.find(entry => entry.id === snippetSelect.value);
+    snippetSelect.value = '';
+    if (snippet) {
+        queryEditor.insertSnippet(snippet);
+    }
+}
+
+/**
+ * Show the query's errors as markers in the editor
+ * @param {Array<Object>} errors - Array of {line, message} from extractQueryErrors
+ */
+function showQueryErrorMarkers(errors) {
+    if (errors.length > 0) {
+        queryEditor.setErrorMarkers(errors);
+    } else {
+        queryEditor.clearErrorMarkers();
+    }
+}
+
+/**
+ * Handle Execute Query on the Overpass tab: check the query first and only run it if
+ * nothing would stop the results from being shown
+ */
+function handleOverpassSubmit() {
+    const issues = updateQueryLint();
+    if (issues.some(issue => issue.severity === 'error')) {
+        showError('This query will not return anything that can be drawn - see the checks under the query. Fix the problems, or use "Run anyway".');
+        return;
+    }
+    handleSubmit();
+}
+
+/**
+ * Update the Overpass submit button enabled state based on query content
+ */
+function updateOverpassSubmitState() {
+    const hasQuery = queryTextarea.value.trim().length > 0;
+    submitBtn.disabled = !hasQuery;
+}
+
+/**
+ * Encode current state to URL parameters
+ * @returns {string} URL with encoded parameters
+ */
+function encodeStateToURL() {
+    const params = new URLSearchParams();
+
+    // Check if we're on curated tab with feature/area selected
+    const selectedFeature = featureSelect.value;
+    const selectedArea = areaSelect.value;
+
+    if (currentTab === 'curated' && selectedFeature && selectedArea) {
+        // Use feature/area params for curated queries
+        params.set('feature', selectedFeature);
+        params.set('area', selectedArea);
+    } else if (queryTextarea.value.trim()) {
+        // Fall back to raw query for overpass tab
+        params.set('q', btoa(encodeURIComponent(queryTextarea.value)));
+    }
+
+    if (fillColorInput.value !== '#3388ff') {
+        params.set('color', fillColorInput.value.substring(1)); // Remove #
+    }
+
+    if (scaleToggle.checked) {
+        params.set('scale', '1');
+    }
+
+    if (groupByTagInput.value.trim()) {
+        params.set('gtag', groupByTagInput.value.trim());
+    }
+
+    const url = new URL(window.location.href);
+    url.search = params.toString();
+    return url.toString();
+}
+
+/**
+ * Decode URL parameters and apply to state
+ * @returns {Object|null} Decoded state or null if no parameters
+ */
+function decodeURLParams() {
+    const params = new URLSearchParams(window.location.search);
+
+    if (params.toString() === '') {
+        return null;
+    }
+
+    const state = {};
+
+    // Decode feature/area params (new format)
+    if (params.has('feature') && params.has('area')) {
+        state.feature = params.get('feature');
+        state.area = params.get('area');
+    }
+
+    // Decode query (legacy format)
+    if (params.has('q')) {
+        try {
+            state.query = decodeURIComponent(atob(params.get('q')));
+        } catch (e) {
+            console.warn('Failed to decode query parameter:', e);
+        }
+    }
+
+    // Decode color
+    if (params.has('color')) {
+        state.fillColor = '#' + params.get('color');
+    }
+
+    // Decode scale toggle
+    if (params.has('scale')) {
+        state.scaleToggle = params.get('scale') === '1';
+    }
+
+    // Decode group by tag
+    if (params.has('gtag')) {
+        state.groupByTag = params.get('gtag');
+    }
+
+    return state;
+}
+
+/**
+ * Handle share button click
+ */
+async function handleShare() {
+    const shareURL = encodeStateToURL();
+
+    try {
+        // Try to use native share API if available
+        if (navigator.share) {
+            await navigator.share({
+                title: 'XofY OSM Geometry Viewer',
+                text: 'Check out this OpenStreetMap query',
+                url: shareURL
+            });
+        } else {
+            // Fallback: copy to clipboard
+            await navigator.clipboard.writeText(shareURL);
+
+            // Show temporary success message
+            const originalTitle = shareBtn.title;
+            shareBtn.title = 'Link copied to clipboard!';
+            shareBtn.style.color = 'var(--accent-primary)';
+
+            setTimeout(() => {
+                shareBtn.title = originalTitle;
+                shareBtn.style.color = '';
+            }, 2000);
+        }
+    } catch (err) {
+        console.error('Share failed:', err);
+        // Show error message
+        showError('Failed to share. Please copy the URL from your address bar.');
+    }
+}
+
+/**
+ * Handle GeoJSON file selection (step 1 of two-step import)
+ */
+function handleGeojsonFileSelect(event) {
+    const file = event.target.files[0];
+    if (!file) {
+        pendingImportFile = null;
+        importFileLabel.textContent = 'Choose GeoJSON file...';
+        importBtn.disabled = true;
+        document.querySelector('.import-file-btn').classList.remove('has-file');
+        return;
+    }
+
+    // Store the file for later import
+    pendingImportFile = file;
+    importFileLabel.textContent = file.name;
+    importBtn.disabled = false;
+    document.querySelector('.import-file-btn').classList.add('has-file');
+}
+
+/**
+ * Handle Import button click (step 2 of two-step import)
+ */
+async function handleImportSubmit() {
+    if (!pendingImportFile) {
+        showError('Please select a GeoJSON file first');
+        return;
+    }
+
+    try {
+        showLoading();
+
+        const text = await pendingImportFile.text();
+        const geojson = JSON.parse(text);
+
+        // Convert GeoJSON to Overpass element format, then parse with merging logic
+        const elements = convertGeoJsonToElements(geojson);
+
+        if (elements.length === 0) {
+            hideLoading();
+            showError('No valid geometries found in GeoJSON file');
+            return;
+        }
+
+        // Parse elements with grouping options from IMPORT tab controls
+        const groupByTag = importGroupByTagInput.value.trim();
+        const parseOptions = {
+            groupByEnabled: groupByTag.length > 0,
+            groupByTag: groupByTag || 'name',
+            ringGapTolerance
+        };
+        const { geometries, warnings } = parseElements(elements, parseOptions);
+
+        if (geometries.length === 0) {
+            hideLoading();
+            showError('No valid geometries found after parsing');
+            if (warnings.length > 0) {
+                showWarnings(warnings);
+            }
+            return;
+        }
+
+        // Show warnings
+        showWarnings(warnings);
+
+        // Process geometries same as Overpass results
+        // Apply sorting before storing
+        currentGeometries = sortGeometries(geometries, sortSelect.value);
+
+        // Calculate global bounds and max dimension
+        currentGlobalBounds = getGlobalBounds(currentGeometries);
+
+        // Find the largest dimension (for relative size scaling)
+        // Use reprojected bounds to match the renderer's coordinate space
+        currentMaxDimension = Math.max(
+            ...currentGeometries.map(geom => {
+                const projBounds = reprojectBounds(geom.bounds);
+                return Math.max(projBounds.width, projBounds.height);
+            })
+        );
+
+        // Use the file name (without extension) as the export title
+        setResultTitle(pendingImportFile.name.replace(/\.[^.]+$/, ''));
+
+        // Show statistics
+        showStats(
+            currentGeometries.length,
+            currentGeometries,
+            warnings.length
+        );
+
+        // Create grid with lazy loading support (hide OSM/JOSM links for imported data)
+        const gridResult = createGrid(gridContainer, currentGeometries, {
+            initialBatch: 50,
+            lazyLoadThreshold: 100,
+            isImported: true
+        });
+
+        // Update lazy loading state
+        lazyLoadState.enabled = gridResult.isLazyLoaded;
+        lazyLoadState.renderedCount = gridResult.renderedCount;
+        lazyLoadState.totalCount = gridResult.totalCount;
+        lazyLoadState.isImported = gridResult.isImported;
+
+        // Render geometries (only those currently in DOM)
+        renderAllGeometries();
+
+        // Setup hover preview listeners
+        setupPreviewListeners();
+
+        hideLoading();
+
+        // Reset import state after successful import
+        pendingImportFile = null;
+        geojsonImport.value = '';
+        importFileLabel.textContent = 'Choose GeoJSON file...';
+        importBtn.disabled = true;
+        document.querySelector('.import-file-btn').classList.remove('has-file');
+
+    } catch (error) {
+        hideLoading();
+        console.error('GeoJSON import error:', error);
+        showError(`Failed to load GeoJSON: ${error.message}`);
+    }
+}
+
+
+/**
+ * Handle feature selection - updates area dropdown and syncs query
+ */
+function handleFeatureSelect() {
+    const selectedFeature = featureSelect.value;
+
+    // Update area dropdown based on selected feature
+    updateAreaDropdown(selectedFeature);
+
+    // Reset area selection when feature changes
+    areaSelect.value = '';
+
+    // Disable submit button until both are selected
+    curatedSubmitBtn.disabled = true;
+    curatedQueueBtn.disabled = true;
+
+    // Clear the query preview in Overpass tab
+    if (!selectedFeature) {
+        return;
+    }
+
+    saveSettings();
+}
+
+/**
+ * Handle area selection - builds and syncs query to Overpass tab
+ */
+function handleAreaSelect() {
+    const selectedFeature = featureSelect.value;
+    const selectedArea = areaSelect.value;
+
+    // Enable submit only if both are selected
+    curatedSubmitBtn.disabled = !(selectedFeature && selectedArea);
+    curatedQueueBtn.disabled = curatedSubmitBtn.disabled;
+
+    if (selectedFeature && selectedArea) {
+        const feature = FEATURES[selectedFeature];
+
+        // Build the query
+        const query = buildQuery(selectedFeature, selectedArea);
+        queryTextarea.value = query;
+        queryEditor.refresh();
+
+        // Apply group by settings from feature
+        groupByTagInput.value = feature.groupBy || '';
+
+        // Update Overpass submit button state and checks since query changed
+        updateOverpassSubmitState();
+        updateQueryLint();
+        saveSettings();
+    }
+}
+
+/**
+ * Handle curated tab Execute button - runs the built query
+ */
+function handleCuratedSubmit() {
+    const selectedFeature = featureSelect.value;
+    const selectedArea = areaSelect.value;
+
+    if (!selectedFeature || !selectedArea) {
+        showError('Please select both a feature and an area');
+        return;
+    }
+
+    // The query is already synced to the Overpass tab via handleAreaSelect
+    // Just execute it
+    handleSubmit();
+}
+
+/**
+ * Open settings modal
+ */
+function openSettings() {
+    settingsModal.classList.remove('hidden');
+    updateServerStatus();
+    updateCacheInfo();
+}
+
+/**
+ * Describe a server's slot status
+ * @param {Object} status - Status from fetchServerStatus
+ * @returns {string} e.g. "2 of 2 slots free", "No free slots - next slot in 12s"
+ */
+function formatServerStatus(status) {
+    if (status.rateLimit === 0) {
+        return 'No rate limit';
+    }
+    if (status.slotsAvailable > 0) {
+        return `${status.slotsAvailable} of ${status.rateLimit} slot(s) free`;
+    }
+    if (status.nextSlotIn !== null) {
+        return `No free slots - next slot in ${status.nextSlotIn}s`;
+    }
+    return `No free slots - ${status.runningQueries} of your queries still running`;
+}
+
+/**
+ * Check the selected server's status and show it in the settings
+ */
+async function updateServerStatus() {
+    const url = getCurrentOverpassUrl();
+    serverStatusText.textContent = `Checking ${getServerName(url)}...`;
+    checkStatusBtn.disabled = true;
+    try {
+        const status = await fetchServerStatus(url);
+        serverStatusText.textContent = formatServerStatus(status);
+    } catch (error) {
+        serverStatusText.textContent = error.message;
+    } finally {
+        checkStatusBtn.disabled = false;
+    }
+}
+
+/**
+ * Show the number and size of cached responses in the settings
+ */
+async function updateCacheInfo() {
+    const { count, bytes } = await getCacheStats();
+    cacheInfo.textContent = count > 0 ? `${count} response(s), ${formatBytes(bytes)}` : 'Empty';
+    clearCacheBtn.disabled = count === 0;
+}
+
+/**
+ * Handle cache lifetime change
+ */
+function handleCacheTtlChange() {
+    cacheTtl = parseInt(cacheTtlSelect.value);
+    saveSettings();
+}
+
+/**
+ * Handle cache size cap change - evicts the oldest responses if the cache is now too big
+ */
+async function handleCacheMaxSizeChange() {
+    cacheMaxBytes = parseInt(cacheMaxSizeSelect.value);
+    saveSettings();
+    await trimCache(cacheMaxBytes);
+    updateCacheInfo();
+}
+
+/**
+ * Handle Clear cache button click
+ */
+async function handleClearCache() {
+    clearCacheBtn.disabled = true;
+    try {
+        await clearCache();
+    } catch (error) {
+        console.error('Failed to clear cache:', error);
+    }
+    updateCacheInfo();
+}
+
+/**
+ * Close settings modal
+ */
+function closeSettings() {
+    settingsModal.classList.add('hidden');
+}
+
+/**
+ * Toggle display panel expand/collapse
+ */
+function toggleDisplayPanel() {
+    displayPanel.classList.toggle('collapsed');
+}
+
+// ==========================================
+// Export Functions
+// ==========================================
+
+/**
+ * Get the render options matching the current display settings
+ * @returns {Object} Options for renderGeometry
+ */
+function getRenderOptions() {
+    return {
+        maintainRelativeSize: scaleToggle.checked,
+        maxDimension: currentMaxDimension,
+        fillColor: currentFillColor,
+        respectOsmColors,
+        markerSymbol
+    };
+}
+
+/**
+ * Set the title used for exports of the current results
+ * @param {string} title - Result title ('' if unknown)
+ * @param {Object|null} cover - PDF cover title {title, subtitle}; defaults to the result title
+ */
+function setResultTitle(title, cover = null) {
+    currentResultTitle = title;
+    currentResultCover = cover;
+    posterTitleInput.value = title;
+}
+
+/**
+ * Show a status or error message inside the export modal
+ * @param {string} message - Message to show ('' hides the status line)
+ * @param {boolean} isError - Whether to style the message as an error
+ */
+function showExportStatus(message, isError = false) {
+    exportStatus.textContent = message;
+    exportStatus.classList.toggle('error', isError);
+    exportStatus.classList.toggle('hidden', !message);
+}
+
+/**
+ * Open export modal
+ */
+function openExportModal() {
+    if (currentGeometries.length === 0) {
+        showExportStatus('Run a query or import a file first - there is nothing to export yet.', true);
+    } else {
+        showExportStatus('');
+    }
+    // Imported ways have made-up IDs, which must not end up as relation members
+    osmChangeExportBtn.disabled = lazyLoadState.isImported;
+    osmChangeExportBtn.title = lazyLoadState.isImported ? 'Not available for imported files: their ways have no OSM IDs' : '';
+    updatePosterSizeInfo();
+    updateFlipbookInfo();
+    exportModal.classList.remove('hidden');
+}
+
+/**
+ * Close export modal
+ */
+function closeExportModal() {
+    exportModal.classList.add('hidden');
+}
+
+/**
+ * Read poster options from the export modal
+ * @returns {Object} Options for renderPoster
+ */
+function getPosterOptions() {
+    return {
+        title: posterTitleInput.value.trim(),
+        columns: parseInt(posterColumnsInput.value) || 8,
+        cellSize: parseInt(posterCellSizeInput.value) || 200,
+        margin: Math.max(0, parseInt(posterMarginInput.value) || 0),
+        dpi: parseInt(posterDpiSelect.value) || 150,
+        showLabels: posterLabelsToggle.checked,
+        attribution: posterAttributionToggle.checked ? OSM_ATTRIBUTION : '',
+        renderOptions: getRenderOptions()
+    };
+}
+
+/**
+ * Show the output size of the poster with the current options
+ */
+function updatePosterSizeInfo() {
+    if (currentGeometries.length === 0) {
+        posterSizeInfo.textContent = '';
+        return;
+    }
+    const layout = calculatePosterLayout(currentGeometries.length, getPosterOptions());
+    posterSizeInfo.textContent = `${currentGeometries.length} geometries in ${layout.rows} row(s): ${layout.pixelWidth} × ${layout.pixelHeight} pixels`;
+}
+
+/**
+ * Handle poster export button click
+ */
+async function handlePosterExport() {
+    if (currentGeometries.length === 0) {
+        showExportStatus('Run a query or import a file first - there is nothing to export yet.', true);
+        return;
+    }
+
+    const options = getPosterOptions();
+    posterExportBtn.disabled = true;
+    showExportStatus(`Rendering ${currentGeometries.length} geometries...`);
+
+    try {
+        // Let the status message paint before the (synchronous) heavy rendering
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        const poster = renderPoster(currentGeometries, options);
+        const blob = await canvasToBlob(poster);
+        downloadBlob(blob, `${slugifyFilename(options.title || currentResultTitle)}.png`);
+        showExportStatus('Poster downloaded.');
+    } catch (error) {
+        console.error('Poster export error:', error);
+        showExportStatus(error.message || 'Failed to export poster', true);
+    } finally {
+        posterExportBtn.disabled = false;
+    }
+}
+
+/**
+ * Handle SVG export of the whole result set
+ */
+function handleSvgExport() {
+    if (currentGeometries.length === 0) {
+        showExportStatus('Run a query or import a file first - there is nothing to export yet.', true);
+        return;
+    }
+
+    try {
+        const options = getPosterOptions();
+        const svg = renderGridSvg(currentGeometries, options);
+        downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), `${slugifyFilename(options.title || currentResultTitle)}.svg`);
+        showExportStatus('SVG downloaded.');
+    } catch (error) {
+        console.error('SVG export error:', error);
+        showExportStatus(error.message || 'Failed to export SVG', true);
     }
 }
 
 /**
- * Handle GeoJSON file selection (step 1 of two-step import)
+ * Handle GeoJSON export of the whole result set
  */
-function handleGeojsonFileSelect(event) {
-    const file = event.target.files[0];
-    if (!file) {
-        pendingImportFile = null;
-        importFileLabel.textContent = 'Choose GeoJSON file...';
-        importBtn.disabled = true;
-        document.querySelector('.import-file-btn').classList.remove('has-file');
+function handleGeojsonExport() {
+    if (currentGeometries.length === 0) {
+        showExportStatus('Run a query or import a file first - there is nothing to export yet.', true);
         return;
     }
 
-    // Store the file for later import
-    pendingImportFile = file;
-    importFileLabel.textContent = file.name;
-    importBtn.disabled = false;
-    document.querySelector('.import-file-btn').classList.add('has-file');
+    const featureCollection = geometriesToFeatureCollection(currentGeometries);
+    const json = JSON.stringify(featureCollection);
+    downloadBlob(new Blob([json], { type: 'application/geo+json' }), `${slugifyFilename(posterTitleInput.value.trim() || currentResultTitle)}.geojson`);
+    showExportStatus(`GeoJSON with ${featureCollection.features.length} feature(s) downloaded.`);
 }
 
 /**
- * Handle Import button click (step 2 of two-step import)
+ * Handle KML export of the whole result set
  */
-async function handleImportSubmit() {
-    if (!pendingImportFile) {
-        showError('Please select a GeoJSON file first');
+function handleKmlExport() {
+    if (currentGeometries.length === 0) {
+        showExportStatus('Run a query or import a file first - there is nothing to export yet.', true);
         return;
     }
 
-    try {
-        showLoading();
+    const title = posterTitleInput.value.trim() || currentResultTitle;
+    // Without "respect OSM colours" everything uses the fill colour, as in the grid
+    const geometries = respectOsmColors ? currentGeometries : currentGeometries.map(geom => ({ ...geom, color: null }));
+    const kml = geometriesToKml(geometries, { title, defaultColor: currentFillColor, isImported: lazyLoadState.isImported });
+    downloadBlob(new Blob([kml], { type: 'application/vnd.google-earth.kml+xml' }), `${slugifyFilename(title)}.kml`);
+    showExportStatus('KML downloaded.');
+}
 
-        const text = await pendingImportFile.text();
-        const geojson = JSON.parse(text);
+/**
+ * Handle GPX export of the whole result set
+ */
+function handleGpxExport() {
+    if (currentGeometries.length === 0) {
+        showExportStatus('Run a query or import a file first - there is nothing to export yet.', true);
+        return;
+    }
 
-        // Convert GeoJSON to Overpass element format, then parse with merging logic
-        const elements = convertGeoJsonToElements(geojson);
+    const title = posterTitleInput.value.trim() || currentResultTitle;
+    const gpx = geometriesToGpx(currentGeometries, {
+        title,
+        attribution: posterAttributionToggle.checked ? OSM_ATTRIBUTION : '',
+        isImported: lazyLoadState.isImported
+    });
+    downloadBlob(new Blob([gpx], { type: 'application/gpx+xml' }), `${slugifyFilename(title)}.gpx`);
+    showExportStatus('GPX downloaded.');
+}
 
-        if (elements.length === 0) {
-            hideLoading();
-            showError('No valid geometries found in GeoJSON file');
-            return;
-        }
+/**
+ * Handle OSM XML export of the whole result set
+ */
+function handleOsmExport() {
+    if (currentGeometries.length === 0) {
+        showExportStatus('Run a query or import a file first - there is nothing to export yet.', true);
+        return;
+    }
 
-        // Parse elements with grouping options from IMPORT tab controls
-        const groupByTag = importGroupByTagInput.value.trim();
-        const parseOptions = {
-            groupByEnabled: groupByTag.length > 0,
-            groupByTag: groupByTag || 'name'
-        };
-        const { geometries, warnings } = parseElements(elements, parseOptions);
+    const xml = geometriesToOsmXml(currentGeometries);
+    downloadBlob(new Blob([xml], { type: 'application/xml' }), `${slugifyFilename(posterTitleInput.value.trim() || currentResultTitle)}.osm`);
+    showExportStatus('OSM XML downloaded. Open it in JOSM with File > Open.');
+}
 
-        if (geometries.length === 0) {
-            hideLoading();
-            showError('No valid geometries found after parsing');
-            if (warnings.length > 0) {
-                showWarnings(warnings);
-            }
-            return;
-        }
+/**
+ * Handle osmChange export proposing one relation per merged component
+ */
+function handleOsmChangeExport() {
+    if (lazyLoadState.isImported) {
+        showExportStatus('The osmChange skeleton is only available for query results: imported ways have no OSM IDs.', true);
+        return;
+    }
 
-        // Show warnings
-        showWarnings(warnings);
+    try {
+        const xml = componentsToOsmChange(currentGeometries);
+        downloadBlob(new Blob([xml], { type: 'application/xml' }), `${slugifyFilename(posterTitleInput.value.trim() || currentResultTitle)}.osc`);
+        showExportStatus(`osmChange skeleton with ${countComponents(currentGeometries)} proposed relation(s) downloaded. Review every relation before uploading.`);
+    } catch (error) {
+        showExportStatus(error.message, true);
+    }
+}
 
-        // Process geometries same as Overpass results
-        // Apply sorting before storing
-        currentGeometries = sortGeometries(geometries, sortSelect.value);
+/**
+ * Handle CSV/TSV export of the whole result set
+ */
+function handleTableExport() {
+    if (currentGeometries.length === 0) {
+        showExportStatus('Run a query or import a file first - there is nothing to export yet.', true);
+        return;
+    }
 
-        // Calculate global bounds and max dimension
-        currentGlobalBounds = getGlobalBounds(currentGeometries);
+    const format = tableFormatSelect.value;
+    const text = geometriesToDelimited(currentGeometries, format);
+    const type = format === 'tsv' ? 'text/tab-separated-values' : 'text/csv';
+    downloadBlob(new Blob([text], { type }), `${slugifyFilename(posterTitleInput.value.trim() || currentResultTitle)}.${format}`);
+    showExportStatus(`${format.toUpperCase()} with ${currentGeometries.length} row(s) downloaded.`);
+}
 
-        // Find the largest dimension (for relative size scaling)
-        // Use reprojected bounds to match the renderer's coordinate space
-        currentMaxDimension = Math.max(
-            ...currentGeometries.map(geom => {
-                const projBounds = reprojectBounds(geom.bounds);
-                return Math.max(projBounds.width, projBounds.height);
-            })
-        );
+/**
+ * Handle ZIP export of one image per geometry
+ */
+async function handleBundleExport() {
+    if (currentGeometries.length === 0) {
+        showExportStatus('Run a query or import a file first - there is nothing to export yet.', true);
+        return;
+    }
 
-        // Show statistics
-        showStats(
-            currentGeometries.length,
-            currentGeometries,
-            warnings.length
-        );
+    const size = Math.min(4096, Math.max(32, parseInt(bundleSizeInput.value) || 512));
+    const background = bundleBackgroundSelect.value === 'solid' ? bundleColorInput.value : null;
 
-        // Create grid with lazy loading support (hide OSM/JOSM links for imported data)
-        const gridResult = createGrid(gridContainer, currentGeometries, {
-            initialBatch: 50,
-            lazyLoadThreshold: 100,
-            isImported: true
+    bundleExportBtn.disabled = true;
+    showExportStatus(`Rendering 0 of ${currentGeometries.length} images...`);
+
+    try {
+        const blob = await buildImageBundle(currentGeometries, {
+            size,
+            background,
+            renderOptions: getRenderOptions(),
+            onProgress: (done, total) => showExportStatus(`Rendering ${done} of ${total} images...`)
         });
+        downloadBlob(blob, `${slugifyFilename(posterTitleInput.value.trim() || currentResultTitle)}.zip`);
+        showExportStatus(`ZIP with ${currentGeometries.length} images downloaded.`);
+    } catch (error) {
+        console.error('Image bundle export error:', error);
+        showExportStatus(error.message || 'Failed to export images', true);
+    } finally {
+        bundleExportBtn.disabled = false;
+    }
+}
 
-        // Update lazy loading state
-        lazyLoadState.enabled = gridResult.isLazyLoaded;
-        lazyLoadState.renderedCount = gridResult.renderedCount;
-        lazyLoadState.totalCount = gridResult.totalCount;
-        lazyLoadState.isImported = gridResult.isImported;
+/**
+ * Read flipbook options from the export modal
+ * @returns {Object} Options for buildFlipbookGif / recordFlipbookWebm
+ */
+function getFlipbookOptions() {
+    return {
+        size: Math.min(1080, Math.max(100, parseInt(flipbookSizeInput.value) || 400)),
+        frameDuration: Math.min(10000, Math.max(50, parseInt(flipbookDurationInput.value) || 500)),
+        showName: flipbookShowNameToggle.checked,
+        showId: flipbookShowIdToggle.checked,
+        renderOptions: getRenderOptions()
+    };
+}
 
-        // Render geometries (only those currently in DOM)
-        renderAllGeometries();
+/**
+ * Show the running time of the flipbook with the current options
+ */
+function updateFlipbookInfo() {
+    if (currentGeometries.length === 0) {
+        flipbookInfo.textContent = '';
+        return;
+    }
+    const seconds = (currentGeometries.length * getFlipbookOptions().frameDuration) / 1000;
+    const recordingNote = flipbookFormatSelect.value === 'webm' ? ' (video is recorded in real time)' : '';
+    flipbookInfo.textContent = `${currentGeometries.length} frames, ${seconds.toFixed(1)} seconds${recordingNote}`;
+}
 
-        // Setup hover preview listeners
-        setupPreviewListeners();
+/**
+ * Handle flipbook (animated GIF or WebM) export
+ */
+async function handleFlipbookExport() {
+    if (currentGeometries.length === 0) {
+        showExportStatus('Run a query or import a file first - there is nothing to export yet.', true);
+        return;
+    }
 
-        hideLoading();
+    const format = flipbookFormatSelect.value;
+    const options = {
+        ...getFlipbookOptions(),
+        onProgress: (done, total) => showExportStatus(`${format === 'webm' ? 'Recording' : 'Encoding'} frame ${done} of ${total}...`)
+    };
 
-        // Reset import state after successful import
-        pendingImportFile = null;
-        geojsonImport.value = '';
-        importFileLabel.textContent = 'Choose GeoJSON file...';
-        importBtn.disabled = true;
-        document.querySelector('.import-file-btn').classList.remove('has-file');
+    flipbookExportBtn.disabled = true;
+    showExportStatus(`Preparing ${currentGeometries.length} frames...`);
 
+    try {
+        const blob = format === 'webm'
+            ? await recordFlipbookWebm(currentGeometries, options)
+            : await buildFlipbookGif(currentGeometries, options);
+        downloadBlob(blob, `${slugifyFilename(posterTitleInput.value.trim() || currentResultTitle)}.${format}`);
+        showExportStatus('Flipbook downloaded.');
     } catch (error) {
-        hideLoading();
-        console.error('GeoJSON import error:', error);
-        showError(`Failed to load GeoJSON: ${error.message}`);
+        console.error('Flipbook export error:', error);
+        showExportStatus(error.message || 'Failed to export flipbook', true);
+    } finally {
+        flipbookExportBtn.disabled = false;
     }
 }
 
-
 /**
- * Handle feature selection - updates area dropdown and syncs query
+ * Handle PDF catalogue export of the whole result set
  */
-function handleFeatureSelect() {
-    const selectedFeature = featureSelect.value;
-
-    // Update area dropdown based on selected feature
-    updateAreaDropdown(selectedFeature);
+async function handlePdfExport() {
+    if (currentGeometries.length === 0) {
+        showExportStatus('Run a query or import a file first - there is nothing to export yet.', true);
+        return;
+    }
 
-    // Reset area selection when feature changes
-    areaSelect.value = '';
+    const [columns, rows] = pdfDensitySelect.value.split('x').map(n => parseInt(n));
+    const posterTitle = posterTitleInput.value.trim();
+    // Use the feature/area split for the cover unless the title was edited by hand
+    const cover = (currentResultCover && posterTitle === currentResultTitle)
+        ? currentResultCover
+        : { title: posterTitle || currentResultTitle, subtitle: '' };
 
-    // Disable submit button until both are selected
-    curatedSubmitBtn.disabled = true;
+    pdfExportBtn.disabled = true;
+    showExportStatus(`Building PDF with ${currentGeometries.length} geometries...`);
 
-    // Clear the query preview in Overpass tab
-    if (!selectedFeature) {
-        return;
+    try {
+        const blob = await buildPdfCatalogue(currentGeometries, {
+            pageSize: pdfPageSizeSelect.value,
+            orientation: pdfOrientationSelect.value,
+            columns,
+            rows,
+            title: cover.title,
+            subtitle: cover.subtitle,
+            showIds: pdfShowIdsToggle.checked,
+            attribution: posterAttributionToggle.checked ? OSM_ATTRIBUTION : '',
+            renderOptions: getRenderOptions()
+        });
+        downloadBlob(blob, `${slugifyFilename(posterTitle || currentResultTitle)}.pdf`);
+        showExportStatus('PDF catalogue downloaded.');
+    } catch (error) {
+        console.error('PDF export error:', error);
+        showExportStatus(error.message || 'Failed to export PDF', true);
+    } finally {
+        pdfExportBtn.disabled = false;
     }
-
-    saveSettings();
 }
 
 /**
- * Handle area selection - builds and syncs query to Overpass tab
+ * Handle SVG download of the geometry shown in the detail modal
  */
-function handleAreaSelect() {
-    const selectedFeature = featureSelect.value;
-    const selectedArea = areaSelect.value;
-
-    // Enable submit only if both are selected
-    curatedSubmitBtn.disabled = !(selectedFeature && selectedArea);
+function handleDetailSvgDownload() {
+    const geom = currentGeometries[detailModalState.currentIndex];
+    if (!geom) return;
 
-    if (selectedFeature && selectedArea) {
-        const feature = FEATURES[selectedFeature];
+    const svg = renderGeometrySvg(geom, { ...getRenderOptions(), size: 600 });
+    downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), `${getGeometryFileStem(geom, detailModalState.currentIndex)}.svg`);
+}
 
-        // Build the query
-        const query = buildQuery(selectedFeature, selectedArea);
-        queryTextarea.value = query;
+// ==========================================
+// Print Functions
+// ==========================================
 
-        // Apply group by settings from feature
-        groupByTagInput.value = feature.groupBy || '';
+/**
+ * Build the title, detail line and legend for the printout
+ * @returns {Object} Options for buildPrintLayout
+ */
+function getPrintOptions() {
+    const details = [
+        `${currentGeometries.length} geometr${currentGeometries.length === 1 ? 'y' : 'ies'}`,
+        sortSelect.options[sortSelect.selectedIndex].text,
+        new Date().toLocaleDateString()
+    ];
 
-        // Update Overpass submit button state since query changed
-        updateOverpassSubmitState();
-        saveSettings();
+    const legend = [{ color: currentFillColor, text: 'Fill colour' }];
+    if (respectOsmColors) {
+        legend.push({ text: 'OSM colour tags used where present' });
     }
+    legend.push({ text: scaleToggle.checked ? 'Drawn to scale relative to the largest result' : 'Each shape scaled to fit its card' });
+    if (!lazyLoadState.isImported) {
+        legend.push({ text: OSM_ATTRIBUTION });
+    }
+
+    return {
+        title: posterTitleInput.value.trim() || currentResultTitle,
+        details,
+        legend,
+        renderOptions: getRenderOptions()
+    };
 }
 
 /**
- * Handle curated tab Execute button - runs the built query
+ * Switch the page to print mode: every result is rendered into the print view
+ * at print resolution, and everything else is hidden from the printout
+ * @returns {Promise} Resolves when the print view is ready
  */
-function handleCuratedSubmit() {
-    const selectedFeature = featureSelect.value;
-    const selectedArea = areaSelect.value;
-
-    if (!selectedFeature || !selectedArea) {
-        showError('Please select both a feature and an area');
-        return;
-    }
-
-    // The query is already synced to the Overpass tab via handleAreaSelect
-    // Just execute it
-    handleSubmit();
+function enterPrintMode() {
+    document.body.classList.add('print-mode');
+    return buildPrintLayout(printView, currentGeometries, getPrintOptions());
 }
 
 /**
- * Open settings modal
+ * Leave print mode and release the print view
  */
-function openSettings() {
-    settingsModal.classList.remove('hidden');
+function exitPrintMode() {
+    document.body.classList.remove('print-mode');
+    clearPrintLayout(printView);
 }
 
 /**
- * Close settings modal
+ * Handle print button click
  */
-function closeSettings() {
-    settingsModal.classList.add('hidden');
+async function handlePrint() {
+    if (currentGeometries.length === 0) {
+        // Nothing to lay out - print the page as it is
+        window.print();
+        return;
+    }
+
+    printBtn.disabled = true;
+    try {
+        await enterPrintMode();
+        window.print();
+    } finally {
+        printBtn.disabled = false;
+    }
 }
 
 /**
- * Toggle display panel expand/collapse
+ * Handle the browser's own print command (e.g. Ctrl+P)
  */
-function toggleDisplayPanel() {
-    displayPanel.classList.toggle('collapsed');
+function handleBeforePrint() {
+    if (currentGeometries.length > 0 && !document.body.classList.contains('print-mode')) {
+        // Cannot wait for images to decode here; the browser usually waits for data URLs anyway
+        enterPrintMode();
+    }
 }
 
 // ==========================================
@@ -1681,7 +3576,8 @@ function showPreviewTooltip(index, x, y) {
         maintainRelativeSize: scaleToggle.checked,
         maxDimension: currentMaxDimension,
         fillColor: currentFillColor,
-        respectOsmColors
+        respectOsmColors,
+        markerSymbol
     };
     renderGeometry(previewCanvas, geom, renderOptions);
 
@@ -1833,7 +3729,8 @@ function renderDetailModal(index) {
         maintainRelativeSize: scaleToggle.checked,
         maxDimension: currentMaxDimension,
         fillColor: currentFillColor,
-        respectOsmColors
+        respectOsmColors,
+        markerSymbol
     };
     renderGeometry(detailCanvas, geom, renderOptions);
 
@@ -1852,7 +3749,7 @@ function renderDetailModal(index) {
             const objects = geom.sourceWayIds.map(id => `w${id}`).join(',');
             linksHtml += `<a href="#" class="josm-link" data-josm-url="http://127.0.0.1:8111/load_object?objects=${objects}">Open in JOSM</a>`;
         } else {
-            // Way or relation
+            // Node, way or relation
             const displayType = geom.type.charAt(0).toUpperCase() + geom.type.slice(1);
             linksHtml += `<a href="https://www.openstreetmap.org/${geom.type}/${geom.id}" target="_blank" rel="noopener noreferrer">OSM ${displayType} ${geom.id}</a>`;
 
@@ -1988,19 +3885,45 @@ function init() {
     sortSelect.value = settings.sortBy; // Sort preference persists
     currentFillColor = finalSettings.fillColor;
     respectOsmColors = finalSettings.respectOsmColors;
+    markerSymbol = settings.markerSymbol; // Marker preference persists
+    markerSelect.value = markerSymbol;
     currentOverpassUrl = settings.overpassUrl; // Overpass URL not shared
+    overpassFailover = settings.overpassFailover;
+    overpassFailoverToggle.checked = overpassFailover;
+    waitForFreeSlot = settings.waitForFreeSlot;
+    waitForSlotToggle.checked = waitForFreeSlot;
+    cacheTtl = settings.cacheTtl;
+    cacheTtlSelect.value = cacheTtl.toString();
+    cacheMaxBytes = settings.cacheMaxBytes;
+    cacheMaxSizeSelect.value = cacheMaxBytes.toString();
+    queueConcurrency = settings.queueConcurrency;
+    queueConcurrencySelect.value = queueConcurrency.toString();
+    queueMinInterval = settings.queueMinInterval;
+    queueMinIntervalSelect.value = queueMinInterval.toString();
+    ringGapTolerance = settings.ringGapTolerance;
+    ringGapToleranceSelect.value = ringGapTolerance.toString();
+    requestScheduler = createRequestScheduler({
+        concurrency: queueConcurrency,
+        minIntervalMs: queueMinInterval,
+        onChange: handleQueueChange
+    });
+
+    // Turn the query textarea into an editor
+    queryEditor = createQlEditor(queryTextarea, { getTagSuggestions });
+    QL_SNIPPETS.forEach(snippet => {
+        const option = document.createElement('option');
+        option.value = snippet.id;
+        option.textContent = snippet.label;
+        snippetSelect.appendChild(option);
+    });
+    snippetSelect.addEventListener('change', handleSnippetSelect);
 
-    // Set initial state of Overpass submit button
+    // Set initial state of Overpass submit button and query checks
     updateOverpassSubmitState();
+    updateQueryLint();
 
     // Set Overpass server select
-    const predefinedServers = [
-        'https://overpass.private.coffee/api/interpreter',
-        'https://overpass-api.de/api/interpreter',
-        'https://maps.mail.ru/osm/tools/overpass/api/interpreter'
-    ];
-
-    if (predefinedServers.includes(settings.overpassUrl)) {
+    if (OVERPASS_SERVERS.includes(settings.overpassUrl)) {
         overpassServerSelect.value = settings.overpassUrl;
         customUrlGroup.classList.add('hidden');
     } else {
@@ -2055,17 +3978,40 @@ function init() {
     }
 
     // Event listeners
-    submitBtn.addEventListener('click', handleSubmit);
+    submitBtn.addEventListener('click', handleOverpassSubmit);
+    stopQueryBtn.addEventListener('click', handleStopQuery);
     curatedSubmitBtn.addEventListener('click', handleCuratedSubmit);
+    curatedQueueBtn.addEventListener('click', handleQueueCurated);
     sortSelect.addEventListener('change', handleSortChange);
     scaleToggle.addEventListener('change', handleScaleToggle);
     fillColorInput.addEventListener('input', handleFillColorChange);
     respectOsmColorsToggle.addEventListener('change', handleRespectOsmColorsToggle);
+    markerSelect.addEventListener('change', handleMarkerSymbolChange);
     overpassServerSelect.addEventListener('change', handleOverpassServerChange);
     overpassCustomUrlInput.addEventListener('blur', handleOverpassCustomUrlChange);
+    overpassFailoverToggle.addEventListener('change', () => {
+        overpassFailover = overpassFailoverToggle.checked;
+        saveSettings();
+    });
+    checkStatusBtn.addEventListener('click', updateServerStatus);
+    waitForSlotToggle.addEventListener('change', () => {
+        waitForFreeSlot = waitForSlotToggle.checked;
+        saveSettings();
+    });
+    queueConcurrencySelect.addEventListener('change', handleQueueConcurrencyChange);
+    queueMinIntervalSelect.addEventListener('change', handleQueueMinIntervalChange);
+    ringGapToleranceSelect.addEventListener('change', handleRingGapToleranceChange);
+    cacheTtlSelect.addEventListener('change', handleCacheTtlChange);
+    cacheMaxSizeSelect.addEventListener('change', handleCacheMaxSizeChange);
+    clearCacheBtn.addEventListener('click', handleClearCache);
     themeToggle.addEventListener('click', handleThemeToggle);
     groupByTagInput.addEventListener('blur', handleGroupByTagChange);
     backToTopBtn.addEventListener('click', handleBackToTop);
+
+    // Print mode
+    printBtn.addEventListener('click', handlePrint);
+    window.addEventListener('beforeprint', handleBeforePrint);
+    window.addEventListener('afterprint', exitPrintMode);
     shareBtn.addEventListener('click', handleShare);
 
     // Ensure modal is hidden on startup
@@ -2074,6 +4020,26 @@ function init() {
     // Display panel toggle
     displayPanelToggle.addEventListener('click', toggleDisplayPanel);
 
+    // Query history panel
+    historyBtn.addEventListener('click', toggleHistoryPanel);
+    closeHistoryBtn.addEventListener('click', closeHistoryPanel);
+    historyCompareBtn.addEventListener('click', handleHistoryCompare);
+    historyClearBtn.addEventListener('click', handleClearHistory);
+
+    // Request queue panel
+    queueBtn.addEventListener('click', toggleQueuePanel);
+    closeQueueBtn.addEventListener('click', closeQueuePanel);
+    queueClearBtn.addEventListener('click', () => requestScheduler.clearFinished());
+
+    // Close side panels with Escape, unless a modal is open over them
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && settingsModal.classList.contains('hidden') &&
+            exportModal.classList.contains('hidden') && detailModal.classList.contains('hidden')) {
+            closeHistoryPanel();
+            closeQueuePanel();
+        }
+    });
+
     // Settings modal
     settingsBtn.addEventListener('click', openSettings);
     closeSettingsBtn.addEventListener('click', closeSettings);
@@ -2093,10 +4059,53 @@ function init() {
         }
     });
 
+    // Export modal
+    exportBtn.addEventListener('click', openExportModal);
+    closeExportBtn.addEventListener('click', closeExportModal);
+    posterExportBtn.addEventListener('click', handlePosterExport);
+    svgExportBtn.addEventListener('click', handleSvgExport);
+    geojsonExportBtn.addEventListener('click', handleGeojsonExport);
+    pdfExportBtn.addEventListener('click', handlePdfExport);
+    bundleExportBtn.addEventListener('click', handleBundleExport);
+    tableExportBtn.addEventListener('click', handleTableExport);
+    osmExportBtn.addEventListener('click', handleOsmExport);
+    kmlExportBtn.addEventListener('click', handleKmlExport);
+    gpxExportBtn.addEventListener('click', handleGpxExport);
+    osmChangeExportBtn.addEventListener('click', handleOsmChangeExport);
+    flipbookExportBtn.addEventListener('click', handleFlipbookExport);
+    [flipbookFormatSelect, flipbookDurationInput, flipbookSizeInput].forEach(input => {
+        input.addEventListener('input', updateFlipbookInfo);
+        input.addEventListener('change', updateFlipbookInfo);
+    });
+    if (!isWebmSupported()) {
+        flipbookFormatSelect.querySelector('option[value="webm"]').disabled = true;
+    }
+    bundleBackgroundSelect.addEventListener('change', () => {
+        bundleColorGroup.classList.toggle('hidden', bundleBackgroundSelect.value !== 'solid');
+    });
+    [posterColumnsInput, posterCellSizeInput, posterMarginInput, posterDpiSelect, posterTitleInput,
+        posterLabelsToggle, posterAttributionToggle].forEach(input => {
+        input.addEventListener('input', updatePosterSizeInfo);
+        input.addEventListener('change', updatePosterSizeInfo);
+    });
+
+    exportModal.addEventListener('click', (e) => {
+        if (e.target.classList.contains('modal')) {
+            closeExportModal();
+        }
+    });
+
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && !exportModal.classList.contains('hidden')) {
+            closeExportModal();
+        }
+    });
+
     // Detail modal event listeners
     closeDetailBtn.addEventListener('click', closeDetailModal);
     detailPrevBtn.addEventListener('click', showPrevGeometry);
     detailNextBtn.addEventListener('click', showNextGeometry);
+    detailSvgBtn.addEventListener('click', handleDetailSvgDownload);
 
     // Close detail modal when clicking on backdrop
     detailModal.addEventListener('click', (e) => {
@@ -2126,13 +4135,18 @@ function init() {
     // Save query when user clicks out of textarea
     queryTextarea.addEventListener('blur', saveSettings);
 
-    // Update submit button state as user types
-    queryTextarea.addEventListener('input', updateOverpassSubmitState);
+    // Update submit button state as user types, and re-check the query once they pause
+    let queryLintTimeout = null;
+    queryTextarea.addEventListener('input', () => {
+        updateOverpassSubmitState();
+        clearTimeout(queryLintTimeout);
+        queryLintTimeout = setTimeout(updateQueryLint, 400);
+    });
 
     // Allow Ctrl+Enter to submit
     queryTextarea.addEventListener('keydown', (e) => {
         if (e.ctrlKey && e.key === 'Enter') {
-            handleSubmit();
+            handleOverpassSubmit();
         }
     });
 
@@ -0,0 +1,300 @@
+/**
+ * osmXmlExporter.js
+ * Writes parsed geometries as OSM XML for offline editing in JOSM,
+ * and proposes relations for merged components as an osmChange file
+ */
+
+import { escapeXml, isOsmId } from './exportUtils.js';
+import { isArea } from './geometryParser.js';
+
+const GENERATOR = 'XofY OSM Geometry Viewer';
+
+/**
+ * Convert a coordinate to a stable string key (same precision as OSM: 7 decimals)
+ * @param {Array} coord - [lon, lat] coordinate pair
+ * @returns {string} Coordinate key
+ */
+function coordinateToKey(coord) {
+    return `${coord[0].toFixed(7)},${coord[1].toFixed(7)}`;
+}
+
+/**
+ * Get the OSM tags of a geometry, without internal _ tags
+ * @param {Object} tags - Tag object
+ * @returns {Array<Array>} Array of [key, value] pairs
+ */
+function getOsmTags(tags) {
+    return Object.entries(tags || {}).filter(([key]) => !key.startsWith('_'));
+}
+
+/**
+ * Serialise tags as <tag> elements
+ * @param {Array<Array>} tags - Array of [key, value] pairs
+ * @returns {Array<string>} XML lines
+ */
+function tagLines(tags) {
+    return tags.map(([key, value]) => `    <tag k="${escapeXml(key)}" v="${escapeXml(value)}"/>`);
+}
+
+/**
+ * Collects nodes, ways and relations with new (negative) IDs
+ * Nodes at the same coordinate are shared so connected ways stay connected.
+ * @returns {Object} Builder with addNode(), addWay(), addRelation() and toXml()
+ */
+function createOsmBuilder() {
+    const nodes = new Map(); // coordinate key -> {id, lon, lat}
+    const ways = [];
+    const relations = [];
+    let nextId = -1;
+
+    const getNodeId = (coord) => {
+        const key = coordinateToKey(coord);
+        let node = nodes.get(key);
+        if (!node) {
+            node = { id: nextId--, lon: coord[0], lat: coord[1], tags: [] };
+            nodes.set(key, node);
+        }
+        return node.id;
+    };
+
+    return {
+        /**
+         * Add a node, sharing an existing untagged node at the same coordinate
+         * @param {Array} coord - [lon, lat] coordinate
+         * @param {Array<Array>} tags - Array of [key, value] pairs
+         * @returns {number} Node ID
+         */
+        addNode(coord, tags) {
+            const key = coordinateToKey(coord);
+            const existing = nodes.get(key);
+            if (existing && existing.tags.length > 0 && tags.length > 0) {
+                // Two tagged features at one spot stay separate nodes
+                const id = nextId--;
+                nodes.set(`${key}#${id}`, { id, lon: coord[0], lat: coord[1], tags });
+                return id;
+            }
+            const id = getNodeId(coord);
+            if (tags.length > 0) {
+                nodes.get(key).tags = tags;
+            }
+            return id;
+        },
+
+        /**
+         * Add a way through the given coordinates
+         * @param {Array<Array>} coords - Array of [lon, lat] coordinates
+         * @param {Array<Array>} tags - Array of [key, value] pairs
+         * @param {boolean} closed - Whether the way is a ring (last node repeats the first)
+         * @returns {number} New way ID
+         */
+        addWay(coords, tags, closed = false) {
+            const nodeIds = coords.map(getNodeId);
+            // Drop consecutive duplicates (coordinates that collapse at 7 decimals)
+            const refs = nodeIds.filter((id, i) => i === 0 || id !== nodeIds[i - 1]);
+            if (closed && refs.length > 1 && refs[0] !== refs[refs.length - 1]) {
+                refs.push(refs[0]);
+            }
+            const id = nextId--;
+            ways.push({ id, refs, tags });
+            return id;
+        },
+
+        /**
+         * Add a relation
+         * @param {Array<Object>} members - Array of {type, ref, role}
+         * @param {Array<Array>} tags - Array of [key, value] pairs
+         */
+        addRelation(members, tags) {
+            relations.push({ id: nextId--, members, tags });
+        },
+
+        /**
+         * Serialise as an OSM XML document
+         * @returns {string} XML document
+         */
+        toXml() {
+            const lines = [
+                '<?xml version="1.0" encoding="UTF-8"?>',
+                // upload="never": IDs and geometry are reconstructed, so this file must not be uploaded as-is
+                `<osm version="0.6" generator="${GENERATOR}" upload="never">`
+            ];
+
+            nodes.forEach(node => {
+                const attributes = `id="${node.id}" lat="${node.lat.toFixed(7)}" lon="${node.lon.toFixed(7)}"`;
+                if (node.tags.length === 0) {
+                    lines.push(`  <node ${attributes}/>`);
+                } else {
+                    lines.push(`  <node ${attributes}>`, ...tagLines(node.tags), '  </node>');
+                }
+            });
+
+            ways.forEach(way => {
+                lines.push(`  <way id="${way.id}">`);
+                way.refs.forEach(ref => lines.push(`    <nd ref="${ref}"/>`));
+                lines.push(...tagLines(way.tags));
+                lines.push('  </way>');
+            });
+
+            relations.forEach(relation => {
+                lines.push(`  <relation id="${relation.id}">`);
+                relation.members.forEach(member => {
+                    lines.push(`    <member type="${member.type}" ref="${member.ref}" role="${escapeXml(member.role)}"/>`);
+                });
+                lines.push(...tagLines(relation.tags));
+                lines.push('  </relation>');
+            });
+
+            lines.push('</osm>');
+            return lines.join('\n') + '\n';
+        }
+    };
+}
+
+/**
+ * Add one geometry to the builder
+ * Relations become relations with untagged member ways (roles outer/inner for areas) or member nodes;
+ * ways and merged components become tagged ways, and nodes tagged nodes.
+ * Note: internally a 'Polygon' stores a single ring, not an array of rings
+ * @param {Object} builder - OSM builder
+ * @param {Object} geom - GeometryObject
+ */
+function addGeometry(builder, geom) {
+    const tags = getOsmTags(geom.tags);
+    const { type, coordinates } = geom.geometry;
+    const isPolygon = type === 'Polygon' || type === 'MultiPolygon';
+
+    if (geom.type === 'relation') {
+        const members = [];
+        if (type === 'MultiPoint') {
+            coordinates.forEach(point => members.push({ type: 'node', ref: builder.addNode(point, []), role: '' }));
+        } else if (isPolygon) {
+            const polygons = type === 'Polygon' ? [[coordinates]] : coordinates;
+            polygons.forEach(polygon => {
+                polygon.forEach((ring, index) => {
+                    members.push({ type: 'way', ref: builder.addWay(ring, [], true), role: index === 0 ? 'outer' : 'inner' });
+                });
+            });
+        } else {
+            const lines = type === 'LineString' ? [coordinates] : coordinates;
+            lines.forEach(line => members.push({ type: 'way', ref: builder.addWay(line, []), role: '' }));
+        }
+        const hasType = tags.some(([key]) => key === 'type');
+        builder.addRelation(members, hasType || !isPolygon ? tags : [['type', 'multipolygon'], ...tags]);
+        return;
+    }
+
+    switch (type) {
+        case 'Point':
+            builder.addNode(coordinates, tags);
+            break;
+        case 'Polygon':
+            builder.addWay(coordinates, tags, true);
+            break;
+        case 'LineString':
+            builder.addWay(coordinates, tags);
+            break;
+        case 'MultiLineString':
+            // Merged ways that could not be joined into one line: one tagged way per part
+            coordinates.forEach(line => builder.addWay(line, tags));
+            break;
+        default:
+            break;
+    }
+}
+
+/**
+ * Convert parsed geometries to an OSM XML document
+ * All objects get new negative IDs because node IDs are not kept after parsing;
+ * the file is marked as not uploadable.
+ * @param {Array} geometries - Array of GeometryObject
+ * @returns {string} OSM XML document
+ */
+export function geometriesToOsmXml(geometries) {
+    if (!geometries || geometries.length === 0) {
+        throw new Error('Nothing to export: there are no geometries');
+    }
+
+    const builder = createOsmBuilder();
+    geometries.forEach(geom => addGeometry(builder, geom));
+    return builder.toXml();
+}
+
+/**
+ * Build the tags for a proposed relation grouping a component's ways
+ * Closed rings with area tags become multipolygons carrying those tags; everything else becomes a route.
+ * @param {Object} geom - Component GeometryObject
+ * @returns {Array<Array>} Array of [key, value] pairs
+ */
+function proposeRelationTags(geom) {
+    const tags = getOsmTags(geom.tags);
+
+    if (isAreaComponent(geom)) {
+        return [['type', 'multipolygon'], ...tags.filter(([key]) => key !== 'type')];
+    }
+
+    const kept = tags.filter(([key]) => ['name', 'ref', 'colour', 'network', 'operator'].includes(key));
+    return [['type', 'route'], ...kept, ['fixme', 'set route=* and check member order and roles']];
+}
+
+/**
+ * Check whether a component is an area: a single closed ring with area tags
+ * @param {Object} geom - Component GeometryObject
+ * @returns {boolean} True if the merged line ends where it starts and is tagged as an area
+ */
+function isAreaComponent(geom) {
+    if (geom.geometry.type !== 'LineString') {
+        return false;
+    }
+    const coords = geom.geometry.coordinates;
+    const first = coords[0];
+    const last = coords[coords.length - 1];
+    return coords.length > 3 && first[0] === last[0] && first[1] === last[1] && isArea(geom.tags);
+}
+
+/**
+ * Count the merged components in a result set
+ * @param {Array} geometries - Array of GeometryObject
+ * @returns {number} Number of component geometries
+ */
+export function countComponents(geometries) {
+    return geometries.filter(geom => geom.type === 'component').length;
+}
+
+/**
+ * Build an osmChange skeleton that creates one relation per merged component,
+ * with the component's source ways (existing OSM ways) as members
+ * Throws if a component has ways without real OSM IDs (e.g. from an imported file), as the relations
+ * would point at unrelated or invalid ways.
+ * @param {Array} geometries - Array of GeometryObject
+ * @returns {string} osmChange document
+ */
+export function componentsToOsmChange(geometries) {
+    const components = (geometries || []).filter(geom => geom.type === 'component');
+    if (components.length === 0) {
+        throw new Error('No merged components in these results - there are no relations to propose');
+    }
+    if (components.some(geom => !geom.sourceWayIds.every(isOsmId))) {
+        throw new Error('Some merged components have ways without OSM IDs - relations can only be proposed for ways loaded from OpenStreetMap');
+    }
+
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<osmChange version="0.6" generator="${GENERATOR}">`,
+        '  <create>'
+    ];
+
+    components.forEach((geom, index) => {
+        const role = isAreaComponent(geom) ? 'outer' : '';
+        lines.push(`    <relation id="${-(index + 1)}" version="0">`);
+        geom.sourceWayIds.forEach(wayId => {
+            lines.push(`      <member type="way" ref="${wayId}" role="${role}"/>`);
+        });
+        proposeRelationTags(geom).forEach(([key, value]) => {
+            lines.push(`      <tag k="${escapeXml(key)}" v="${escapeXml(value)}"/>`);
+        });
+        lines.push('    </relation>');
+    });
+
+    lines.push('  </create>', '</osmChange>');
+    return lines.join('\n') + '\n';
+}
@@ -3,45 +3,501 @@
  * Handles communication with the Overpass API
  */
 
+import { createOverpassStreamParser } from './overpassStreamParser.js';
+
 export const DEFAULT_OVERPASS_URL = 'https://overpass.private.coffee/api/interpreter';
 
+/**
+ * Public Overpass servers offered in the settings (and tried in this order on failover)
+ */
+export const OVERPASS_SERVERS = [
+    'https://overpass.private.coffee/api/interpreter',
+    'https://overpass-api.de/api/interpreter',
+    'https://maps.mail.ru/osm/tools/overpass/api/interpreter'
+];
+
+/**
+ * Overpass runs queries for up to 180 seconds unless the query sets [timeout:]
+ */
+const DEFAULT_SERVER_TIMEOUT_SECONDS = 180;
+
+/**
+ * Extra time to allow on top of the server-side timeout before giving up on a server
+ */
+const CLIENT_TIMEOUT_GRACE_SECONDS = 30;
+
+/**
+ * Delay before the first retry on failover; doubled for every further retry
+ */
+const FAILOVER_BASE_DELAY_MS = 1000;
+
+/**
+ * Longest single wait for a slot; the status is checked again afterwards
+ */
+const MAX_SLOT_WAIT_SECONDS = 120;
+
+/**
+ * Error types worth retrying on another server: the server (or the network) was the problem, not the query
+ */
+const RETRYABLE_ERROR_TYPES = ['TIMEOUT', 'RATE_LIMITED', 'GATEWAY_TIMEOUT', 'NETWORK_ERROR'];
+
+/**
+ * Error types for runtime errors reported in a response's remark, by kind (see classifyRemark)
+ */
+const REMARK_ERROR_TYPES = {
+    timeout: 'QUERY_TIMEOUT',
+    memory: 'OUT_OF_MEMORY',
+    syntax: 'INVALID_QUERY',
+    other: 'RUNTIME_ERROR'
+};
+
+/**
+ * Create an error with a type (and optional HTTP status) for callers to branch on
+ * @param {string} message - User-facing message
+ * @param {string} type - Error type
+ * @param {number} status - HTTP status (optional)
+ * @returns {Error} The error
+ */
+function createQueryError(message, type, status = null) {
+    const error = new Error(message);
+    error.type = type;
+    error.status = status;
+    return error;
+}
+
+/**
+ * Work out how long to wait for a server before treating the request as timed out
+ * @param {string} query - The Overpass QL query string
+ * @returns {number} Timeout in milliseconds
+ */
+function getClientTimeout(query) {
+    const match = query.match(/\[\s*timeout\s*:\s*(\d+)\s*\]/);
+    const serverTimeout = match ? parseInt(match[1]) : DEFAULT_SERVER_TIMEOUT_SECONDS;
+    return (serverTimeout + CLIENT_TIMEOUT_GRACE_SECONDS) * 1000;
+}
+
+/**
+ * Read a Retry-After header, which is either a number of seconds or an HTTP date
+ * Browsers only let scripts read the header when the server exposes it (Access-Control-Expose-Headers).
+ * @param {string|null} value - Header value
+ * @returns {number|null} Delay in milliseconds, or null if there is no usable header
+ */
+export function parseRetryAfter(value) {
+    if (!value || !value.trim()) {
+        return null;
+    }
+    if (/^\d+$/.test(value.trim())) {
+        return parseInt(value.trim()) * 1000;
+    }
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Create the error thrown when the caller cancels a query
+ * @returns {Error} Error with type 'CANCELLED'
+ */
+function createCancelledError() {
+    return createQueryError('Query cancelled.', 'CANCELLED');
+}
+
+/**
+ * Wait before a retry, stopping early if the query is cancelled
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} signal - Cancellation signal (optional)
+ * @returns {Promise} Resolves after the delay; rejects with a CANCELLED error on abort
+ */
+function waitForRetry(ms, signal) {
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            clearTimeout(timeoutId);
+            reject(createCancelledError());
+        };
+        const timeoutId = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Get a short display name for a server
+ * @param {string} apiUrl - Overpass API URL
+ * @returns {string} Host name (e.g. "overpass-api.de"), or the URL if it cannot be parsed
+ */
+export function getServerName(apiUrl) {
+    try {
+        return new URL(apiUrl).host;
+    } catch (e) {
+        return apiUrl;
+    }
+}
+
+/**
+ * Pull the individual errors, with their query line numbers, out of an Overpass error page or remark
+ * Error pages have lines like "Error: line 3: parse error: Unknown type "wy"";
+ * runtime errors look like "runtime error: Query timed out in "query" at line 4 after 26 seconds."
+ * Informational "runtime remark:" lines are not errors and are left out, as in classifyRemark.
+ * @param {string} text - HTML error page or remark text
+ * @returns {Array<Object>} Array of {line, message}; line is null when the error names no line
+ */
+export function extractQueryErrors(text) {
+    if (!text) {
+        return [];
+    }
+
+    const plain = text
+        .replace(/<\/p>|<br\s*\/?>/gi, '\n')
+        .replace(/<[^>]*>/g, '')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;|&#39;/g, "'")
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&');
+
+    return plain.split('\n')
+        .map(line => line.trim())
+        .filter(line => /^(Error:|runtime error:)/.test(line))
+        .map(line => {
+            const lineMatch = line.match(/\bline (\d+)/);
+            return {
+                line: lineMatch ? parseInt(lineMatch[1]) : null,
+                message: line.replace(/^Error:\s*(line \d+:\s*)?/, '')
+            };
+        });
+}
+
+/**
+ * Classify the error in a response's remark, if it reports one
+ * Overpass reports errors that happen while a query runs with HTTP 200, a remark such as
+ * "runtime error: Query timed out in "query" at line 4 after 26 seconds." and whatever elements
+ * it had collected before it stopped. Informational remarks ("runtime remark: ...") are not errors.
+ * @param {string} remark - The response's remark field
+ * @returns {Object|null} {kind, line, remark} - kind is 'timeout', 'memory', 'syntax' or 'other';
+ *   line is null when the remark names no line. Null if the remark is not an error.
+ */
+export function classifyRemark(remark) {
+    if (!remark || !/\berror\b/i.test(remark)) {
+        return null;
+    }
+
+    let kind = 'other';
+    if (/timed out|timeout/i.test(remark)) {
+        kind = 'timeout';
+    } else if (/out of memory|\bmemory\b/i.test(remark)) {
+        kind = 'memory';
+    } else if (/parse error|static error|syntax|^\s*Error: line/i.test(remark)) {
+        kind = 'syntax';
+    }
+
+    const lineMatch = remark.match(/\bline (\d+)/);
+    return {
+        kind,
+        line: lineMatch ? parseInt(lineMatch[1]) : null,
+        remark: remark.trim()
+    };
+}
+
+/**
+ * Build the error for a response whose remark reports an error and that has no elements
+ * @param {Object} runtimeError - Result of classifyRemark
+ * @returns {Error} Error of type QUERY_TIMEOUT, OUT_OF_MEMORY, INVALID_QUERY or RUNTIME_ERROR, with
+ *   details {kind, line, remark, errors} (errors as from extractQueryErrors, for editor markers)
+ */
+function createRemarkError(runtimeError) {
+    const messages = {
+        timeout: 'The query ran out of time on the Overpass server before it returned any results.',
+        memory: 'The query ran out of memory on the Overpass server before it returned any results.',
+        syntax: 'The Overpass server could not run the query.',
+        other: 'The Overpass server stopped the query with an error.'
+    };
+    const error = createQueryError(`${messages[runtimeError.kind]} (${runtimeError.remark})`, REMARK_ERROR_TYPES[runtimeError.kind]);
+    error.details = { ...runtimeError, errors: extractQueryErrors(runtimeError.remark) };
+    return error;
+}
+
+/**
+ * Derive the status endpoint from an interpreter URL
+ * @param {string} apiUrl - Overpass API URL ending in /interpreter
+ * @returns {string|null} Status URL, or null if the URL does not end in /interpreter
+ */
+export function getStatusUrl(apiUrl) {
+    const match = apiUrl.match(/^(.*)\/interpreter\/?$/);
+    return match ? `${match[1]}/status` : null;
+}
+
+/**
+ * Parse the plain-text response of /api/status
+ * Example lines: "Rate limit: 2", "2 slots available now.",
+ * "Slot available after: 2024-01-01T12:00:30Z, in 12 seconds."
+ * @param {string} text - Status response body
+ * @returns {Object} {rateLimit, slotsAvailable, nextSlotIn, runningQueries}; rateLimit 0 means unlimited,
+ *   nextSlotIn is in seconds (null if a slot is free now)
+ */
+export function parseOverpassStatus(text) {
+    const rateLimitMatch = text.match(/Rate limit:\s*(\d+)/);
+    if (!rateLimitMatch) {
+        throw createQueryError('Unrecognised status response.', 'STATUS_UNAVAILABLE');
+    }
+
+    const availableMatch = text.match(/(\d+) slots? available now/);
+    const waits = [...text.matchAll(/Slot available after:[^,]*, in (-?\d+) seconds?/g)].map(match => Math.max(0, parseInt(match[1])));
+    const runningSection = text.split(/Currently running queries[^\n]*\n/)[1] || '';
+
+    return {
+        rateLimit: parseInt(rateLimitMatch[1]),
+        slotsAvailable: availableMatch ? parseInt(availableMatch[1]) : 0,
+        nextSlotIn: waits.length > 0 ? Math.min(...waits) : null,
+        runningQueries: runningSection.split('\n').filter(line => /^\d+/.test(line.trim())).length
+    };
+}
+
+/**
+ * Fetch a server's slot status
+ * Errors have type 'STATUS_UNAVAILABLE' (e.g. the server has no status endpoint or blocks it), or 'CANCELLED'.
+ * @param {string} apiUrl - Overpass API URL
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Cancels the request when aborted
+ * @returns {Promise<Object>} Status as returned by parseOverpassStatus
+ */
+export async function fetchServerStatus(apiUrl, options = {}) {
+    const { signal = null } = options;
+    const statusUrl = getStatusUrl(apiUrl);
+    if (!statusUrl) {
+        throw createQueryError(`${getServerName(apiUrl)} has no status endpoint.`, 'STATUS_UNAVAILABLE');
+    }
+
+    let response;
+    try {
+        response = await fetch(statusUrl, { signal });
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            throw createCancelledError();
+        }
+        throw createQueryError(`Could not reach the status endpoint of ${getServerName(apiUrl)}.`, 'STATUS_UNAVAILABLE');
+    }
+    if (!response.ok) {
+        throw createQueryError(`${getServerName(apiUrl)} did not report its status (${response.status}).`, 'STATUS_UNAVAILABLE', response.status);
+    }
+    return parseOverpassStatus(await response.text());
+}
+
+/**
+ * Wait until a server has a free slot
+ * Returns straight away if the server has no rate limit, has a free slot, or cannot report its status.
+ * @param {string} apiUrl - Overpass API URL
+ * @param {Object} options - Wait options
+ * @param {AbortSignal} options.signal - Stops waiting when aborted (rejects with a CANCELLED error)
+ * @param {Function} options.onWait - Called with (secondsRemaining) once per second while waiting
+ * @returns {Promise<Object|null>} The last status, or null if it was unavailable
+ */
+export async function waitForSlot(apiUrl, options = {}) {
+    const { signal = null, onWait = () => {} } = options;
+
+    for (;;) {
+        let status;
+        try {
+            status = await fetchServerStatus(apiUrl, { signal });
+        } catch (error) {
+            if (error.type === 'CANCELLED') {
+                throw error;
+            }
+            console.warn(`[overpassClient] ${error.message} Running the query without waiting.`);
+            return null;
+        }
+
+        if (status.rateLimit === 0 || status.slotsAvailable > 0) {
+            return status;
+        }
+
+        // No slot and no announced time (all slots taken by running queries): check again shortly
+        const wait = Math.min(status.nextSlotIn !== null ? status.nextSlotIn + 1 : 5, MAX_SLOT_WAIT_SECONDS);
+        for (let remaining = wait; remaining > 0; remaining--) {
+            onWait(remaining);
+            await waitForRetry(1000, signal);
+        }
+    }
+}
+
+/**
+ * Read and parse a JSON response body as it arrives
+ * @param {Response} response - Fetch response
+ * @param {Function} onDownloadProgress - Called with {bytesReceived, totalBytes, elementCount} per chunk
+ * @returns {Promise<Object>} The parsed response
+ */
+async function readJsonStream(response, onDownloadProgress) {
+    // Browsers without streamed bodies: read it in one go
+    if (!response.body || typeof TextDecoder === 'undefined') {
+        return response.json();
+    }
+
+    const contentLength = parseInt(response.headers.get('Content-Length'));
+    const totalBytes = Number.isFinite(contentLength) ? contentLength : null;
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    const parser = createOverpassStreamParser();
+    let bytesReceived = 0;
+
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) {
+            break;
+        }
+        bytesReceived += value.byteLength;
+        parser.push(decoder.decode(value, { stream: true }));
+        onDownloadProgress({ bytesReceived, totalBytes, elementCount: parser.elementCount });
+    }
+    parser.push(decoder.decode());
+
+    return parser.finish();
+}
+
 /**
  * Execute an Overpass QL query
+ * Errors carry a `type` ('TIMEOUT', 'RATE_LIMITED', 'GATEWAY_TIMEOUT', 'NETWORK_ERROR',
+ * 'INVALID_QUERY', 'HTTP_ERROR' or 'CANCELLED') and, for HTTP errors, a `status`. RATE_LIMITED errors
+ * also carry `retryAfter`, the server's Retry-After delay in milliseconds (null if it sent none).
+ * A response whose remark reports a runtime error is an error too ('QUERY_TIMEOUT', 'OUT_OF_MEMORY',
+ * 'INVALID_QUERY' or 'RUNTIME_ERROR') when it has no elements; with elements it is returned as is,
+ * and callers should check classifyRemark(data.remark) to tell that the results are partial.
  * @param {string} query - The Overpass QL query string
  * @param {string} apiUrl - The Overpass API URL (optional, defaults to DEFAULT_OVERPASS_URL)
+ * @param {Object} options - Request options
+ * @param {number} options.timeout - Give up after this many milliseconds (0 = wait as long as the browser does)
+ * @param {AbortSignal} options.signal - Cancels the request (and the download of the response) when aborted
+ * @param {Function} options.onDownloadProgress - Called with {bytesReceived, totalBytes, elementCount} as the
+ *   response arrives; totalBytes is null when the server does not send a length
  * @returns {Promise<Object>} - The JSON response from the API
  */
-export async function executeQuery(query, apiUrl = DEFAULT_OVERPASS_URL) {
+export async function executeQuery(query, apiUrl = DEFAULT_OVERPASS_URL, options = {}) {
     if (!query || query.trim() === '') {
         throw new Error('Query cannot be empty');
     }
 
+    const { timeout = 0, signal = null, onDownloadProgress = () => {} } = options;
+    if (signal && signal.aborted) {
+        throw createCancelledError();
+    }
+
+    // One controller for both the caller's signal and the timeout
+    const controller = new AbortController();
+    const abortFromCaller = () => controller.abort();
+    const timeoutId = timeout > 0 ? setTimeout(() => controller.abort(), timeout) : null;
+    if (signal) {
+        signal.addEventListener('abort', abortFromCaller, { once: true });
+    }
+
     try {
         const response = await fetch(apiUrl, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/x-www-form-urlencoded',
             },
-            body: 'data=' + encodeURIComponent(query)
+            body: 'data=' + encodeURIComponent(query),
+            signal: controller.signal
         });
 
         if (!response.ok) {
             if (response.status === 429) {
-                throw new Error('Rate limit exceeded. Please wait a moment and try again.');
+                const error = createQueryError('Rate limit exceeded. Please wait a moment and try again.', 'RATE_LIMITED', 429);
+                error.retryAfter = parseRetryAfter(response.headers.get('Retry-After'));
+                throw error;
             } else if (response.status === 400) {
-                throw new Error('Invalid query syntax. Please check your Overpass QL.');
+                const errors = extractQueryErrors(await response.text().catch(() => ''));
+                const error = createQueryError(
+                    errors.length > 0
+                        ? `Invalid query syntax: ${errors.map(e => (e.line ? `line ${e.line}: ` : '') + e.message).join('; ')}`
+                        : 'Invalid query syntax. Please check your Overpass QL.',
+                    'INVALID_QUERY',
+                    400
+                );
+                error.details = { errors };
+                throw error;
+            } else if (response.status === 504) {
+                throw createQueryError('The Overpass server is too busy to run this query right now (504 Gateway Timeout).', 'GATEWAY_TIMEOUT', 504);
             } else {
-                throw new Error(`Overpass API error: ${response.status} ${response.statusText}`);
+                throw createQueryError(`Overpass API error: ${response.status} ${response.statusText}`, 'HTTP_ERROR', response.status);
             }
         }
 
-        const data = await response.json();
+        const data = await readJsonStream(response, onDownloadProgress);
+
+        const runtimeError = classifyRemark(data && data.remark);
+        if (runtimeError && !(data.elements && data.elements.length > 0)) {
+            throw createRemarkError(runtimeError);
+        }
         return data;
 
     } catch (error) {
+        if (error.name === 'AbortError') {
+            if (signal && signal.aborted) {
+                throw createCancelledError();
+            }
+            throw createQueryError(`No response from ${getServerName(apiUrl)} after ${Math.round(timeout / 1000)} seconds.`, 'TIMEOUT');
+        }
         if (error instanceof TypeError && error.message.includes('fetch')) {
-            throw new Error('Network error. Please check your connection and try again.');
+            throw createQueryError('Network error. Please check your connection and try again.', 'NETWORK_ERROR');
         }
         throw error;
+    } finally {
+        clearTimeout(timeoutId);
+        if (signal) {
+            signal.removeEventListener('abort', abortFromCaller);
+        }
     }
 }
+
+/**
+ * Execute an Overpass QL query, moving on to the next server when one is unavailable
+ * Servers are tried in order; a timeout, 429, 504 or network failure moves on to the next
+ * server after an exponentially growing delay. Other errors (e.g. a bad query) fail immediately.
+ * @param {string} query - The Overpass QL query string
+ * @param {Array<string>} servers - Overpass API URLs, preferred server first
+ * @param {Object} options - Failover options
+ * @param {Function} options.onProgress - Called with {stage: 'trying'|'waiting'|'answered', url, attempt, total, delay, error}
+ * @param {AbortSignal} options.signal - Cancels the current request and any pending retry when aborted
+ * @param {Function} options.onDownloadProgress - As for executeQuery
+ * @param {Function} options.runAttempt - Called with (url, request) for each attempt, where request(signal) sends
+ *   the query to url; returns request's result. Lets callers queue each attempt on its own server (optional)
+ * @returns {Promise<Object>} - The JSON response from the first server that answered
+ */
+export async function executeQueryWithFailover(query, servers, options = {}) {
+    const { onProgress = () => {}, signal = null, onDownloadProgress } = options;
+    const runAttempt = options.runAttempt || ((url, request) => request(signal));
+    const urls = [...new Set(servers)];
+    const timeout = getClientTimeout(query);
+    let lastError = null;
+
+    for (let attempt = 1; attempt <= urls.length; attempt++) {
+        const url = urls[attempt - 1];
+
+        if (lastError) {
+            const delay = FAILOVER_BASE_DELAY_MS * (2 ** (attempt - 2));
+            onProgress({ stage: 'waiting', url, attempt, total: urls.length, delay, error: lastError });
+            await waitForRetry(delay, signal);
+        }
+
+        onProgress({ stage: 'trying', url, attempt, total: urls.length });
+
+        try {
+            const data = await runAttempt(url, (attemptSignal) => executeQuery(query, url, { timeout, signal: attemptSignal, onDownloadProgress }));
+            onProgress({ stage: 'answered', url, attempt, total: urls.length });
+            return data;
+        } catch (error) {
+            if (!RETRYABLE_ERROR_TYPES.includes(error.type)) {
+                throw error;
+            }
+            console.warn(`[overpassClient] ${getServerName(url)} failed (${error.type}), trying next server`);
+            lastError = error;
+        }
+    }
+
+    const error = createQueryError(
+        `All ${urls.length} Overpass server(s) failed. Last error: ${lastError.message}`,
+        lastError.type,
+        lastError.status
+    );
+    error.retryAfter = lastError.retryAfter || null;
+    throw error;
+}
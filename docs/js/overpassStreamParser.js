@@ -0,0 +1,105 @@
+/**
+ * overpassStreamParser.js
+ * Incremental parser for Overpass JSON responses
+ * Each entry of the top-level "elements" array is parsed as soon as it has fully arrived,
+ * so a large response never has to be held as one string.
+ */
+
+/**
+ * Create a parser that is fed the response text chunk by chunk
+ * @returns {Object} Parser with push(text), finish() and elementCount
+ */
+export function createOverpassStreamParser() {
+    const elements = [];
+    let skeleton = ''; // Everything except the elements themselves
+    let elementBuffer = '';
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+    let inElementsArray = false;
+    let inElement = false;
+
+    return {
+        /**
+         * Feed the next piece of response text
+         * @param {string} text - Decoded text chunk
+         */
+        push(text) {
+            let skeletonStart = inElementsArray ? -1 : 0;
+            let elementStart = inElement ? 0 : -1;
+
+            for (let i = 0; i < text.length; i++) {
+                const char = text[i];
+
+                if (inString) {
+                    if (escaped) {
+                        escaped = false;
+                    } else if (char === '\\') {
+                        escaped = true;
+                    } else if (char === '"') {
+                        inString = false;
+                    }
+                    continue;
+                }
+
+                if (char === '"') {
+                    inString = true;
+                } else if (char === '{' || char === '[') {
+                    depth++;
+                    if (inElementsArray && depth === 3 && !inElement) {
+                        inElement = true;
+                        elementStart = i;
+                    } else if (depth === 2 && char === '[' && !inElementsArray) {
+                        skeleton += text.slice(skeletonStart, i + 1);
+                        if (/"elements"\s*:\s*\[$/.test(skeleton)) {
+                            // Elements are collected separately; the skeleton keeps an empty array
+                            inElementsArray = true;
+                            skeletonStart = -1;
+                        } else {
+                            skeletonStart = i + 1;
+                        }
+                    }
+                } else if (char === '}' || char === ']') {
+                    depth--;
+                    if (inElement && depth === 2) {
+                        elements.push(JSON.parse(elementBuffer + text.slice(elementStart, i + 1)));
+                        elementBuffer = '';
+                        inElement = false;
+                        elementStart = -1;
+                    } else if (inElementsArray && depth === 1) {
+                        inElementsArray = false;
+                        skeletonStart = i;
+                    }
+                }
+            }
+
+            if (skeletonStart >= 0) {
+                skeleton += text.slice(skeletonStart);
+            }
+            if (inElement) {
+                elementBuffer += text.slice(elementStart);
+            }
+        },
+
+        /**
+         * Number of elements parsed so far
+         * @returns {number} Element count
+         */
+        get elementCount() {
+            return elements.length;
+        },
+
+        /**
+         * Finish parsing once the whole response has been pushed
+         * @returns {Object} The response object, with all elements
+         * @throws {SyntaxError} If the response is not valid JSON
+         */
+        finish() {
+            const data = JSON.parse(skeleton);
+            if (data && Array.isArray(data.elements)) {
+                data.elements = elements;
+            }
+            return data;
+        }
+    };
+}
@@ -0,0 +1,227 @@
+/**
+ * pdfCatalogue.js
+ * Builds a multi-page "X of Y" PDF booklet with vector geometry drawings
+ */
+
+import { prepareGeometryRender, getMarkerOutline } from './canvasRenderer.js';
+import { selectTagsToDisplay } from './gridLayout.js';
+import { createPdfDocument, PAGE_SIZES, fitText } from './pdfWriter.js';
+import { getGeometryIdLabel } from './exportUtils.js';
+
+/**
+ * Catalogue colours - fixed light palette for print
+ */
+const CATALOGUE_COLORS = {
+    cellBackground: '#fafafa',
+    cellBorder: '#e0e0e0',
+    heading: '#2c3e50',
+    text: '#333333',
+    secondary: '#7f8c8d'
+};
+
+/**
+ * Geometry line widths were designed for 200px grid cells; scale them with the cell size
+ */
+const REFERENCE_CELL_SIZE = 200;
+
+/**
+ * Draw a geometry as vector paths into a square cell on a page
+ * @param {Object} page - PDF page
+ * @param {Object} geom - GeometryObject
+ * @param {number} x - Cell left
+ * @param {number} y - Cell top
+ * @param {number} size - Cell size in points
+ * @param {Object} renderOptions - Options as for renderGeometry
+ */
+function drawGeometry(page, geom, x, y, size, renderOptions) {
+    const render = prepareGeometryRender(geom, size, size, renderOptions);
+    const lineScale = size / REFERENCE_CELL_SIZE;
+
+    if (render.backgroundColor) {
+        page.setFillColor(render.backgroundColor);
+        page.rect(x, y, size, size);
+        page.fill();
+    }
+
+    if (render.markers) {
+        page.setFillColor(render.fillColor);
+        page.setStrokeColor(render.strokeColor);
+        page.setLineWidth(1.5 * lineScale);
+        page.setRoundLines(true);
+
+        // Marker sizes are in output units, so scale them like the line widths
+        render.markers.forEach(marker => {
+            getMarkerOutline(render.markerSymbol, marker.x, marker.y, render.markerRadius * lineScale).forEach(([px, py], i) => {
+                if (i === 0) {
+                    page.moveTo(x + px, y + py);
+                } else {
+                    page.lineTo(x + px, y + py);
+                }
+            });
+            page.closePath();
+        });
+        page.fillAndStroke(false);
+        return;
+    }
+
+    const traceLine = (coords, close) => {
+        coords.forEach(([lon, lat], i) => {
+            const p = render.projectFn(lon, lat);
+            if (i === 0) {
+                page.moveTo(x + p.x, y + p.y);
+            } else {
+                page.lineTo(x + p.x, y + p.y);
+            }
+        });
+        if (close) {
+            page.closePath();
+        }
+    };
+
+    if (render.isPolygon) {
+        page.setFillColor(render.fillColor);
+        page.setStrokeColor(render.strokeColor);
+        page.setLineWidth(2 * lineScale);
+        page.setRoundLines(false);
+
+        // One path per polygon so even-odd filling cuts holes only within that polygon
+        const polygons = render.geomType === 'Polygon' ? [[render.coordinates]] : render.coordinates;
+        polygons.forEach(polygon => {
+            polygon.forEach(ring => traceLine(ring, true));
+            page.fillAndStroke(true);
+        });
+    } else if (render.isLinestring) {
+        page.setStrokeColor(render.fillColor);
+        page.setLineWidth(4 * lineScale);
+        page.setRoundLines(true);
+
+        const lines = render.geomType === 'LineString' ? [render.coordinates] : render.coordinates;
+        lines.forEach(line => traceLine(line, false));
+        page.stroke();
+    }
+}
+
+/**
+ * Draw the cover page
+ * @param {Object} page - PDF page
+ * @param {Object} options - Catalogue options
+ * @param {number} count - Number of geometries
+ */
+function drawCoverPage(page, options, count) {
+    const { title, subtitle, attribution } = options;
+    const centerX = page.width / 2;
+    const maxWidth = page.width - 120;
+    let y = page.height * 0.38;
+
+    page.text(fitText(title || 'XofY', maxWidth, 36, true), centerX, y, { size: 36, bold: true, align: 'center', color: CATALOGUE_COLORS.heading });
+    y += 44;
+
+    if (subtitle) {
+        page.text(fitText(subtitle, maxWidth, 22), centerX, y, { size: 22, align: 'center', color: CATALOGUE_COLORS.text });
+        y += 40;
+    }
+
+    page.text(`${count} geometr${count === 1 ? 'y' : 'ies'}`, centerX, y, { size: 12, align: 'center', color: CATALOGUE_COLORS.secondary });
+    page.text(new Date().toISOString().slice(0, 10), centerX, y + 18, { size: 12, align: 'center', color: CATALOGUE_COLORS.secondary });
+
+    if (attribution) {
+        page.text(attribution, centerX, page.height - 50, { size: 9, align: 'center', color: CATALOGUE_COLORS.secondary });
+    }
+}
+
+/**
+ * Build a PDF catalogue with a grid of geometries on each page
+ * @param {Array} geometries - Array of GeometryObject, in the order they should appear
+ * @param {Object} options - Catalogue options
+ * @param {string} options.pageSize - 'a4', 'a3' or 'letter' (default 'a4')
+ * @param {string} options.orientation - 'portrait' or 'landscape' (default 'portrait')
+ * @param {number} options.columns - Columns per page (default 3)
+ * @param {number} options.rows - Rows per page (default 4)
+ * @param {string} options.title - Cover title (e.g. "Named Parks")
+ * @param {string} options.subtitle - Cover subtitle (e.g. "of Seattle, WA")
+ * @param {boolean} options.showIds - Show the OSM ID line for each entry (default true)
+ * @param {string} options.attribution - Footer text (optional)
+ * @param {Object} options.renderOptions - Options as for renderGeometry
+ * @returns {Promise<Blob>} The PDF file
+ */
+export async function buildPdfCatalogue(geometries, options = {}) {
+    if (!geometries || geometries.length === 0) {
+        throw new Error('Nothing to export: there are no geometries');
+    }
+
+    const {
+        pageSize = 'a4',
+        orientation = 'portrait',
+        columns = 3,
+        rows = 4,
+        title = '',
+        subtitle = '',
+        showIds = true,
+        attribution = '',
+        renderOptions = {}
+    } = options;
+
+    const size = PAGE_SIZES[pageSize] || PAGE_SIZES.a4;
+    const pageWidth = orientation === 'landscape' ? size.height : size.width;
+    const pageHeight = orientation === 'landscape' ? size.width : size.height;
+
+    const doc = createPdfDocument({ title: [title, subtitle].filter(Boolean).join(' ') });
+    drawCoverPage(doc.addPage(pageWidth, pageHeight), options, geometries.length);
+
+    // Page layout (points)
+    const margin = 36;
+    const footerHeight = 24;
+    const gap = 12;
+    const lineHeight = 10;
+    const textLines = (showIds ? 1 : 0) + 2; // ID line + up to MAX_TAGS_DISPLAY tag lines
+    const textHeight = 6 + textLines * lineHeight;
+
+    const cellWidth = (pageWidth - 2 * margin - (columns - 1) * gap) / columns;
+    const cellHeight = (pageHeight - 2 * margin - footerHeight - (rows - 1) * gap) / rows;
+    const drawingSize = Math.max(10, Math.min(cellWidth, cellHeight - textHeight));
+
+    const perPage = columns * rows;
+    const pageCount = Math.ceil(geometries.length / perPage);
+
+    for (let pageIndex = 0; pageIndex < pageCount; pageIndex++) {
+        const page = doc.addPage(pageWidth, pageHeight);
+        const pageItems = geometries.slice(pageIndex * perPage, (pageIndex + 1) * perPage);
+
+        pageItems.forEach((geom, i) => {
+            const col = i % columns;
+            const row = Math.floor(i / columns);
+            const cellX = margin + col * (cellWidth + gap);
+            const cellY = margin + row * (cellHeight + gap);
+            const drawX = cellX + (cellWidth - drawingSize) / 2;
+
+            page.setFillColor(CATALOGUE_COLORS.cellBackground);
+            page.setStrokeColor(CATALOGUE_COLORS.cellBorder);
+            page.setLineWidth(0.5);
+            page.rect(drawX, cellY, drawingSize, drawingSize);
+            page.fillAndStroke();
+
+            drawGeometry(page, geom, drawX, cellY, drawingSize, renderOptions);
+
+            // Caption: OSM ID then the same tags as the grid card
+            let textY = cellY + drawingSize + 6 + lineHeight - 2;
+            if (showIds) {
+                page.text(fitText(getGeometryIdLabel(geom), cellWidth, 8, true), cellX, textY, { size: 8, bold: true, color: CATALOGUE_COLORS.heading });
+                textY += lineHeight;
+            }
+            selectTagsToDisplay(geom.tags).forEach(({ key, value }) => {
+                const line = key === 'name' ? value : `${key}: ${value}`;
+                page.text(fitText(line, cellWidth, 8), cellX, textY, { size: 8, color: CATALOGUE_COLORS.text });
+                textY += lineHeight;
+            });
+        });
+
+        // Footer
+        const footerY = pageHeight - margin + 6;
+        page.text(`${pageIndex + 1} / ${pageCount}`, pageWidth - margin, footerY, { size: 8, align: 'right', color: CATALOGUE_COLORS.secondary });
+        if (attribution) {
+            page.text(fitText(attribution, pageWidth - 2 * margin - 60, 8), margin, footerY, { size: 8, color: CATALOGUE_COLORS.secondary });
+        }
+    }
+
+    return doc.toBlob();
+}
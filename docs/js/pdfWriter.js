@@ -0,0 +1,307 @@
+/**
+ * pdfWriter.js
+ * Minimal client-side PDF writer for vector graphics and simple text
+ * Uses the built-in Helvetica fonts, so text is limited to the Latin-1 (WinAnsi) character set
+ */
+
+/**
+ * Page sizes in PDF points (1/72 inch), portrait orientation
+ */
+export const PAGE_SIZES = {
+    a4: { width: 595.28, height: 841.89 },
+    a3: { width: 841.89, height: 1190.55 },
+    letter: { width: 612, height: 792 }
+};
+
+/**
+ * Helvetica glyph widths (per 1000 units of font size) for characters 32-126
+ * From the standard Adobe font metrics
+ */
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+/**
+ * Bold glyphs are roughly this much wider than regular ones
+ */
+const BOLD_WIDTH_FACTOR = 1.07;
+
+/**
+ * Format a number for PDF content streams
+ * @param {number} n - Number
+ * @returns {string} Number with at most 2 decimal places
+ */
+function num(n) {
+    return String(Math.round(n * 100) / 100);
+}
+
+/**
+ * Convert a hex colour to PDF RGB operands
+ * @param {string} hexColor - Hex color (e.g., '#3388ff')
+ * @returns {string} "r g b" with components in 0-1
+ */
+function rgb(hexColor) {
+    const hex = hexColor.replace('#', '');
+    const r = parseInt(hex.substring(0, 2), 16) / 255;
+    const g = parseInt(hex.substring(2, 4), 16) / 255;
+    const b = parseInt(hex.substring(4, 6), 16) / 255;
+    return `${num(r)} ${num(g)} ${num(b)}`;
+}
+
+/**
+ * Encode text as a PDF literal string in WinAnsi encoding
+ * Characters outside Latin-1 are replaced with '?'
+ * @param {string} text - Text to encode
+ * @returns {string} PDF string literal including parentheses (pure ASCII)
+ */
+function pdfString(text) {
+    let out = '(';
+    for (const char of String(text)) {
+        const code = char.codePointAt(0);
+        if (char === '(' || char === ')' || char === '\\') {
+            out += '\\' + char;
+        } else if (code >= 32 && code <= 126) {
+            out += char;
+        } else if (code >= 160 && code <= 255) {
+            out += '\\' + code.toString(8).padStart(3, '0');
+        } else {
+            out += '?';
+        }
+    }
+    return out + ')';
+}
+
+/**
+ * Measure the width of a text string in points
+ * @param {string} text - Text to measure
+ * @param {number} size - Font size in points
+ * @param {boolean} bold - Whether the bold font is used
+ * @returns {number} Width in points
+ */
+export function measureText(text, size, bold = false) {
+    let units = 0;
+    for (const char of String(text)) {
+        const code = char.codePointAt(0);
+        units += (code >= 32 && code <= 126) ? HELVETICA_WIDTHS[code - 32] : 556;
+    }
+    return (units / 1000) * size * (bold ? BOLD_WIDTH_FACTOR : 1);
+}
+
+/**
+ * Shorten text with "..." until it fits the given width
+ * @param {string} text - Text to fit
+ * @param {number} maxWidth - Available width in points
+ * @param {number} size - Font size in points
+ * @param {boolean} bold - Whether the bold font is used
+ * @returns {string} Text that fits
+ */
+export function fitText(text, maxWidth, size, bold = false) {
+    if (measureText(text, size, bold) <= maxWidth) {
+        return text;
+    }
+    let truncated = text;
+    while (truncated.length > 0 && measureText(truncated + '...', size, bold) > maxWidth) {
+        truncated = truncated.slice(0, -1);
+    }
+    return truncated + '...';
+}
+
+/**
+ * Create a page that records drawing operations
+ * All coordinates are in points from the TOP-LEFT corner (like canvas);
+ * they are flipped to PDF's bottom-left origin when written.
+ * @param {number} width - Page width in points
+ * @param {number} height - Page height in points
+ * @returns {Object} Page with drawing methods
+ */
+function createPage(width, height) {
+    const ops = [];
+    const flipY = (y) => num(height - y);
+
+    return {
+        width,
+        height,
+        ops,
+
+        setFillColor(hexColor) {
+            ops.push(`${rgb(hexColor)} rg`);
+        },
+
+        setStrokeColor(hexColor) {
+            ops.push(`${rgb(hexColor)} RG`);
+        },
+
+        setLineWidth(lineWidth) {
+            ops.push(`${num(lineWidth)} w`);
+        },
+
+        /**
+         * Set line cap and join to round (1) or butt/miter (0)
+         * @param {boolean} round - Whether to use round caps and joins
+         */
+        setRoundLines(round) {
+            ops.push(round ? '1 J 1 j' : '0 J 0 j');
+        },
+
+        moveTo(x, y) {
+            ops.push(`${num(x)} ${flipY(y)} m`);
+        },
+
+        lineTo(x, y) {
+            ops.push(`${num(x)} ${flipY(y)} l`);
+        },
+
+        closePath() {
+            ops.push('h');
+        },
+
+        rect(x, y, w, h) {
+            ops.push(`${num(x)} ${flipY(y + h)} ${num(w)} ${num(h)} re`);
+        },
+
+        fill(evenOdd = false) {
+            ops.push(evenOdd ? 'f*' : 'f');
+        },
+
+        stroke() {
+            ops.push('S');
+        },
+
+        fillAndStroke(evenOdd = false) {
+            ops.push(evenOdd ? 'B*' : 'B');
+        },
+
+        /**
+         * Draw a line of text
+         * @param {string} text - Text to draw
+         * @param {number} x - Anchor x
+         * @param {number} y - Baseline y
+         * @param {Object} options - {size, bold, align ('left'|'center'|'right'), color}
+         */
+        text(text, x, y, options = {}) {
+            const { size = 10, bold = false, align = 'left', color = '#000000' } = options;
+            const textWidth = measureText(text, size, bold);
+            let left = x;
+            if (align === 'center') left = x - textWidth / 2;
+            if (align === 'right') left = x - textWidth;
+
+            ops.push(`q BT /${bold ? 'F2' : 'F1'} ${num(size)} Tf ${rgb(color)} rg ${num(left)} ${flipY(y)} Td ${pdfString(text)} Tj ET Q`);
+        }
+    };
+}
+
+/**
+ * Compress data with zlib (FlateDecode) if the browser supports CompressionStream
+ * @param {Uint8Array} data - Data to compress
+ * @returns {Promise<Uint8Array|null>} Compressed data, or null if unsupported
+ */
+async function deflate(data) {
+    if (typeof CompressionStream === 'undefined') {
+        return null;
+    }
+    const stream = new Blob([data]).stream().pipeThrough(new CompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Create a PDF document
+ * @param {Object} options - {title, author}
+ * @returns {Object} Document with addPage() and toBlob()
+ */
+export function createPdfDocument(options = {}) {
+    const pages = [];
+
+    return {
+        /**
+         * Add a new page
+         * @param {number} width - Page width in points
+         * @param {number} height - Page height in points
+         * @returns {Object} Page with drawing methods
+         */
+        addPage(width, height) {
+            const page = createPage(width, height);
+            pages.push(page);
+            return page;
+        },
+
+        /**
+         * Serialise the document
+         * @returns {Promise<Blob>} The PDF file
+         */
+        async toBlob() {
+            const encoder = new TextEncoder();
+            const chunks = [];
+            const offsets = [];
+            let length = 0;
+
+            const write = (data) => {
+                const bytes = typeof data === 'string' ? encoder.encode(data) : data;
+                chunks.push(bytes);
+                length += bytes.length;
+            };
+
+            // Object numbers: 1 catalog, 2 pages, 3-4 fonts, 5 info, then page + content pairs
+            const firstPageObj = 6;
+            const objectCount = 5 + (pages.length * 2);
+            const startObject = (objNum) => {
+                offsets[objNum] = length;
+                write(`${objNum} 0 obj\n`);
+            };
+
+            write('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n');
+
+            startObject(1);
+            write('<< /Type /Catalog /Pages 2 0 R >>\nendobj\n');
+
+            const kids = pages.map((_, i) => `${firstPageObj + i * 2} 0 R`).join(' ');
+            startObject(2);
+            write(`<< /Type /Pages /Kids [${kids}] /Count ${pages.length} >>\nendobj\n`);
+
+            startObject(3);
+            write('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>\nendobj\n');
+
+            startObject(4);
+            write('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>\nendobj\n');
+
+            startObject(5);
+            write(`<< /Title ${pdfString(options.title || 'XofY')} /Author ${pdfString(options.author || '')} /Producer (XofY OSM Geometry Viewer) >>\nendobj\n`);
+
+            for (let i = 0; i < pages.length; i++) {
+                const page = pages[i];
+                const pageObj = firstPageObj + i * 2;
+                const contentObj = pageObj + 1;
+
+                startObject(pageObj);
+                write(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(page.width)} ${num(page.height)}] ` +
+                    `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${contentObj} 0 R >>\nendobj\n`);
+
+                const content = encoder.encode(page.ops.join('\n'));
+                const compressed = await deflate(content);
+
+                startObject(contentObj);
+                if (compressed) {
+                    write(`<< /Length ${compressed.length} /Filter /FlateDecode >>\nstream\n`);
+                    write(compressed);
+                } else {
+                    write(`<< /Length ${content.length} >>\nstream\n`);
+                    write(content);
+                }
+                write('\nendstream\nendobj\n');
+            }
+
+            const xrefOffset = length;
+            write(`xref\n0 ${objectCount + 1}\n0000000000 65535 f \n`);
+            for (let objNum = 1; objNum <= objectCount; objNum++) {
+                write(`${String(offsets[objNum]).padStart(10, '0')} 00000 n \n`);
+            }
+            write(`trailer\n<< /Size ${objectCount + 1} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+            return new Blob(chunks, { type: 'application/pdf' });
+        }
+    };
+}
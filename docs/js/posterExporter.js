@@ -0,0 +1,175 @@
+/**
+ * posterExporter.js
+ * Lays out a whole result set onto one large offscreen canvas for PNG export
+ */
+
+import { renderGeometry } from './canvasRenderer.js';
+import { getGeometryLabel, fitText } from './exportUtils.js';
+
+/**
+ * Browsers refuse to allocate canvases beyond these limits
+ * (Chrome/Firefox: 32767px per side, Safari: 16384px; ~268M pixels total)
+ */
+const MAX_CANVAS_SIDE = 16384;
+const MAX_CANVAS_AREA = 268435456;
+
+/**
+ * Layout units are CSS pixels (96 per inch) that get scaled by DPI / 96
+ */
+const CSS_DPI = 96;
+
+/**
+ * Poster colours - fixed light palette so exports look the same regardless of the UI theme
+ */
+const POSTER_COLORS = {
+    background: '#ffffff',
+    cellBackground: '#fafafa',
+    cellBorder: '#e0e0e0',
+    title: '#2c3e50',
+    label: '#333333',
+    footer: '#7f8c8d'
+};
+
+/**
+ * Compute the poster layout without drawing anything
+ * @param {number} count - Number of geometries on the poster
+ * @param {Object} options - Layout options (see renderPoster)
+ * @returns {Object} Layout in CSS pixels plus output size in device pixels
+ */
+export function calculatePosterLayout(count, options = {}) {
+    const {
+        columns = 8,
+        cellSize = 200,
+        margin = 40,
+        gap = 16,
+        dpi = 150,
+        title = '',
+        showLabels = true,
+        attribution = ''
+    } = options;
+
+    const cols = Math.max(1, Math.min(columns, count));
+    const rows = Math.ceil(count / cols);
+    const labelHeight = showLabels ? 22 : 0;
+    const titleHeight = title ? 72 : 0;
+    const footerHeight = attribution ? 36 : 0;
+
+    const width = (2 * margin) + (cols * cellSize) + ((cols - 1) * gap);
+    const height = (2 * margin) + titleHeight + (rows * (cellSize + labelHeight)) +
+        ((rows - 1) * gap) + footerHeight;
+
+    const scale = dpi / CSS_DPI;
+
+    return {
+        cols,
+        rows,
+        cellSize,
+        margin,
+        gap,
+        labelHeight,
+        titleHeight,
+        footerHeight,
+        width,
+        height,
+        scale,
+        pixelWidth: Math.round(width * scale),
+        pixelHeight: Math.round(height * scale)
+    };
+}
+
+/**
+ * Render every geometry onto a single poster canvas
+ * Geometries are drawn in the order given, so pass them already sorted
+ * @param {Array} geometries - Array of GeometryObject
+ * @param {Object} options - Poster options
+ * @param {number} options.columns - Number of columns (default 8)
+ * @param {number} options.cellSize - Cell size in CSS pixels (default 200)
+ * @param {number} options.margin - Outer margin in CSS pixels (default 40)
+ * @param {number} options.dpi - Output resolution (default 150; 96 = 1 pixel per CSS pixel)
+ * @param {string} options.title - Title drawn above the grid (optional)
+ * @param {boolean} options.showLabels - Draw a name/ID label under each cell (default true)
+ * @param {string} options.attribution - Footer text (optional, e.g. OSM attribution)
+ * @param {Object} options.renderOptions - Options passed through to renderGeometry
+ * @returns {HTMLCanvasElement} The poster canvas
+ */
+export function renderPoster(geometries, options = {}) {
+    if (!geometries || geometries.length === 0) {
+        throw new Error('Nothing to export: there are no geometries');
+    }
+
+    const { title = '', attribution = '', renderOptions = {} } = options;
+    const layout = calculatePosterLayout(geometries.length, options);
+
+    if (layout.pixelWidth > MAX_CANVAS_SIDE || layout.pixelHeight > MAX_CANVAS_SIDE ||
+        layout.pixelWidth * layout.pixelHeight > MAX_CANVAS_AREA) {
+        throw new Error(`Poster would be ${layout.pixelWidth}×${layout.pixelHeight} pixels, which is larger than browsers can draw. Reduce the DPI or cell size, or change the number of columns.`);
+    }
+
+    const poster = document.createElement('canvas');
+    poster.width = layout.pixelWidth;
+    poster.height = layout.pixelHeight;
+    const ctx = poster.getContext('2d');
+
+    // Work in CSS pixels from here on
+    ctx.scale(layout.scale, layout.scale);
+
+    ctx.fillStyle = POSTER_COLORS.background;
+    ctx.fillRect(0, 0, layout.width, layout.height);
+
+    const fontFamily = '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif';
+
+    // Title block
+    if (title) {
+        ctx.fillStyle = POSTER_COLORS.title;
+        ctx.font = `bold 36px ${fontFamily}`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        const titleText = fitText(ctx, title, layout.width - (2 * layout.margin));
+        ctx.fillText(titleText, layout.width / 2, layout.margin + (layout.titleHeight / 2));
+    }
+
+    // Geometry cells - each one is rendered by the normal renderer into a scratch canvas
+    const cellPixels = Math.round(layout.cellSize * layout.scale);
+    const cellCanvas = document.createElement('canvas');
+    cellCanvas.width = cellPixels;
+    cellCanvas.height = cellPixels;
+
+    const gridTop = layout.margin + layout.titleHeight;
+
+    geometries.forEach((geom, index) => {
+        const col = index % layout.cols;
+        const row = Math.floor(index / layout.cols);
+        const x = layout.margin + col * (layout.cellSize + layout.gap);
+        const y = gridTop + row * (layout.cellSize + layout.labelHeight + layout.gap);
+
+        ctx.fillStyle = POSTER_COLORS.cellBackground;
+        ctx.fillRect(x, y, layout.cellSize, layout.cellSize);
+
+        renderGeometry(cellCanvas, geom, renderOptions);
+        ctx.drawImage(cellCanvas, x, y, layout.cellSize, layout.cellSize);
+
+        ctx.strokeStyle = POSTER_COLORS.cellBorder;
+        ctx.lineWidth = 1;
+        ctx.strokeRect(x + 0.5, y + 0.5, layout.cellSize - 1, layout.cellSize - 1);
+
+        if (layout.labelHeight > 0) {
+            ctx.fillStyle = POSTER_COLORS.label;
+            ctx.font = `12px ${fontFamily}`;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            const label = fitText(ctx, getGeometryLabel(geom), layout.cellSize);
+            ctx.fillText(label, x + layout.cellSize / 2, y + layout.cellSize + layout.labelHeight / 2);
+        }
+    });
+
+    // Attribution footer
+    if (attribution) {
+        ctx.fillStyle = POSTER_COLORS.footer;
+        ctx.font = `12px ${fontFamily}`;
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(attribution, layout.width - layout.margin, layout.height - layout.margin - (layout.footerHeight / 2));
+    }
+
+    return poster;
+}
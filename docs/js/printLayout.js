@@ -0,0 +1,133 @@
+/**
+ * printLayout.js
+ * Builds a print-only catalogue of every result, for the browser's print / print-to-PDF
+ */
+
+import { renderGeometry } from './canvasRenderer.js';
+import { selectTagsToDisplay } from './gridLayout.js';
+import { getGeometryIdLabel } from './exportUtils.js';
+
+/**
+ * Cards per printed row
+ */
+const PRINT_COLUMNS = 4;
+
+/**
+ * Drawing size in pixels: a ~1.7 inch card at ~250 DPI
+ * Canvases are turned into images so hundreds of results do not each keep a large canvas alive
+ */
+const PRINT_RESOLUTION = 420;
+
+/**
+ * Create the title and legend block at the top of the printout
+ * @param {Object} options - {title, details, legend}
+ * @returns {HTMLElement} Header element
+ */
+function createPrintHeader(options) {
+    const { title, details = [], legend = [] } = options;
+    const header = document.createElement('div');
+    header.className = 'print-header';
+
+    const heading = document.createElement('h1');
+    heading.textContent = title || 'XofY OSM Geometry Viewer';
+    header.appendChild(heading);
+
+    if (details.length > 0) {
+        const detailLine = document.createElement('p');
+        detailLine.className = 'print-details';
+        detailLine.textContent = details.join(' · ');
+        header.appendChild(detailLine);
+    }
+
+    if (legend.length > 0) {
+        const legendList = document.createElement('ul');
+        legendList.className = 'print-legend';
+        legend.forEach(({ color, text }) => {
+            const entry = document.createElement('li');
+            if (color) {
+                const swatch = document.createElement('span');
+                swatch.className = 'print-swatch';
+                swatch.style.backgroundColor = color;
+                entry.appendChild(swatch);
+            }
+            entry.appendChild(document.createTextNode(text));
+            legendList.appendChild(entry);
+        });
+        header.appendChild(legendList);
+    }
+
+    return header;
+}
+
+/**
+ * Create a printable card for a geometry
+ * @param {Object} geom - GeometryObject
+ * @param {HTMLCanvasElement} canvas - Scratch canvas at print resolution
+ * @param {Object} renderOptions - Options as for renderGeometry
+ * @returns {HTMLElement} Card element
+ */
+function createPrintCard(geom, canvas, renderOptions) {
+    const card = document.createElement('div');
+    card.className = 'print-card';
+
+    renderGeometry(canvas, geom, renderOptions);
+    const image = document.createElement('img');
+    image.src = canvas.toDataURL('image/png');
+    image.alt = getGeometryIdLabel(geom);
+    card.appendChild(image);
+
+    const label = document.createElement('div');
+    label.className = 'print-card-id';
+    label.textContent = getGeometryIdLabel(geom);
+    card.appendChild(label);
+
+    selectTagsToDisplay(geom.tags).forEach(({ key, value }) => {
+        const tag = document.createElement('div');
+        tag.className = 'print-card-tag';
+        tag.textContent = `${key}: ${value}`;
+        card.appendChild(tag);
+    });
+
+    return card;
+}
+
+/**
+ * Fill a container with a print layout of all geometries
+ * Every geometry is rendered, regardless of how many the on-screen grid has loaded.
+ * Cards are grouped into rows that the printer will not split across pages.
+ * @param {HTMLElement} container - Print container (emptied first)
+ * @param {Array} geometries - Array of GeometryObject, in display order
+ * @param {Object} options - {title, details: string[], legend: [{color, text}], renderOptions}
+ * @returns {Promise} Resolves once every image is decoded and ready to print
+ */
+export function buildPrintLayout(container, geometries, options = {}) {
+    const { renderOptions = {} } = options;
+    container.innerHTML = '';
+    container.appendChild(createPrintHeader(options));
+
+    const canvas = document.createElement('canvas');
+    canvas.width = PRINT_RESOLUTION;
+    canvas.height = PRINT_RESOLUTION;
+
+    const fragment = document.createDocumentFragment();
+    for (let start = 0; start < geometries.length; start += PRINT_COLUMNS) {
+        const row = document.createElement('div');
+        row.className = 'print-row';
+        geometries.slice(start, start + PRINT_COLUMNS).forEach(geom => {
+            row.appendChild(createPrintCard(geom, canvas, renderOptions));
+        });
+        fragment.appendChild(row);
+    }
+    container.appendChild(fragment);
+
+    const images = Array.from(container.querySelectorAll('img'));
+    return Promise.all(images.map(image => image.decode().catch(() => {})));
+}
+
+/**
+ * Empty the print container, releasing the rendered images
+ * @param {HTMLElement} container - Print container
+ */
+export function clearPrintLayout(container) {
+    container.innerHTML = '';
+}
@@ -0,0 +1,533 @@
+/**
+ * qlEditor.js
+ * Turns the Overpass query textarea into a small code editor: QL syntax highlighting,
+ * line numbers, bracket matching, error markers, snippets and tag autocompletion.
+ * The textarea stays the source of truth (and keeps its id and events); a highlighted copy of the
+ * text is drawn behind it, so the rest of the app can keep reading and writing textarea.value.
+ */
+
+/**
+ * Statement and filter keywords highlighted as keywords
+ */
+const KEYWORDS = new Set([
+    'node', 'way', 'rel', 'relation', 'area', 'nwr', 'nw', 'nr', 'wr', 'derived',
+    'out', 'is_in', 'map_to_area', 'foreach', 'if', 'make', 'convert', 'for', 'complete',
+    'retro', 'compare', 'timeline', 'local', 'around', 'poly', 'pivot', 'user', 'uid', 'newer', 'changed', 'id'
+]);
+
+/**
+ * out statement parameters
+ */
+const OUT_PARAMS = new Set(['geom', 'body', 'skel', 'ids', 'tags', 'meta', 'noids', 'center', 'bb', 'qt', 'asc', 'count']);
+
+const BRACKET_PAIRS = { '(': ')', '[': ']', '{': '}' };
+const CLOSING_BRACKETS = { ')': '(', ']': '[', '}': '{' };
+
+/**
+ * Most suggestions shown at once in the completion list
+ */
+const MAX_COMPLETIONS = 12;
+
+/**
+ * Query templates offered in the snippet menu
+ * `select` is the placeholder text selected after inserting, ready to be typed over.
+ */
+export const QL_SNIPPETS = [
+    {
+        id: 'area-search',
+        label: 'Search within a named area',
+        body: '[out:json][timeout:180];\nrel["type"="boundary"]["name"="YourCity"];\nmap_to_area->.searchArea;\nwr(area.searchArea)["key"="value"];\nout geom;',
+        select: 'YourCity'
+    },
+    {
+        id: 'area-by-id',
+        label: 'Search within a relation by ID',
+        body: '[out:json][timeout:180];\nrel(RELATION_ID);\nmap_to_area->.searchArea;\nwr(area.searchArea)["key"="value"];\nout geom;',
+        select: 'RELATION_ID'
+    },
+    {
+        id: 'bbox-search',
+        label: 'Search within a bounding box',
+        body: '[out:json][timeout:180];\nwr["key"="value"](SOUTH,WEST,NORTH,EAST);\nout geom;',
+        select: 'SOUTH,WEST,NORTH,EAST'
+    },
+    {
+        id: 'union',
+        label: 'Combine several searches',
+        body: '(\n  way["key"="value"](area.searchArea);\n  rel["key"="value"](area.searchArea);\n);',
+        select: null
+    }
+];
+
+/**
+ * Escape text for use in HTML
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Split a query into tokens for highlighting
+ * @param {string} text - Query text
+ * @returns {Array<Object>} Array of {type, start, end}; type is null for plain text
+ */
+export function tokenizeQl(text) {
+    const tokens = [];
+    let i = 0;
+
+    const push = (type, start, end) => tokens.push({ type, start, end });
+
+    while (i < text.length) {
+        const char = text[i];
+        const rest = text.slice(i);
+        let match;
+
+        if (char === '"' || char === "'") {
+            let end = i + 1;
+            while (end < text.length && text[end] !== char && text[end] !== '\n') {
+                end += text[end] === '\\' ? 2 : 1;
+            }
+            end = Math.min(end + 1, text.length);
+            push('string', i, end);
+            i = end;
+        } else if (rest.startsWith('//')) {
+            const end = text.indexOf('\n', i);
+            push('comment', i, end === -1 ? text.length : end);
+            i = end === -1 ? text.length : end;
+        } else if (rest.startsWith('/*')) {
+            const end = text.indexOf('*/', i + 2);
+            push('comment', i, end === -1 ? text.length : end + 2);
+            i = end === -1 ? text.length : end + 2;
+        } else if (char === '[' && (match = rest.match(/^\[\s*(out|timeout|maxsize|bbox|date|diff|adiff)\s*:[^\]]*\]/))) {
+            push('setting', i, i + match[0].length);
+            i += match[0].length;
+        } else if ((match = rest.match(/^\.[A-Za-z_]\w*/))) {
+            push('set', i, i + match[0].length);
+            i += match[0].length;
+        } else if ((match = rest.match(/^-?\d+(\.\d+)?/))) {
+            push('number', i, i + match[0].length);
+            i += match[0].length;
+        } else if ((match = rest.match(/^[A-Za-z_]\w*/))) {
+            const word = match[0];
+            push(KEYWORDS.has(word) ? 'keyword' : OUT_PARAMS.has(word) ? 'param' : null, i, i + word.length);
+            i += word.length;
+        } else if ((match = rest.match(/^(->|!=|!~|=|~)/))) {
+            push('operator', i, i + match[0].length);
+            i += match[0].length;
+        } else {
+            push(null, i, i + 1);
+            i++;
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * Find the bracket matching the one at or just before the caret
+ * @param {string} text - Query text
+ * @param {number} caret - Caret offset
+ * @returns {Object|null} {open, close} offsets (close is -1 if unmatched), or null if the caret is not at a bracket
+ */
+export function findMatchingBracket(text, caret) {
+    // Brackets inside strings and comments do not count
+    const codeOffsets = new Set();
+    tokenizeQl(text).forEach(token => {
+        if (token.type !== 'string' && token.type !== 'comment') {
+            for (let i = token.start; i < token.end; i++) codeOffsets.add(i);
+        }
+    });
+
+    const isBracket = (offset) => codeOffsets.has(offset) && (BRACKET_PAIRS[text[offset]] || CLOSING_BRACKETS[text[offset]]);
+    const position = isBracket(caret) ? caret : isBracket(caret - 1) ? caret - 1 : -1;
+    if (position === -1) {
+        return null;
+    }
+
+    const char = text[position];
+    const forward = Boolean(BRACKET_PAIRS[char]);
+    const partner = forward ? BRACKET_PAIRS[char] : CLOSING_BRACKETS[char];
+    let depth = 0;
+
+    for (let i = position; forward ? i < text.length : i >= 0; i += forward ? 1 : -1) {
+        if (!codeOffsets.has(i)) continue;
+        if (text[i] === char) depth++;
+        if (text[i] === partner && --depth === 0) {
+            return forward ? { open: position, close: i } : { open: i, close: position };
+        }
+    }
+
+    return forward ? { open: position, close: -1 } : { open: -1, close: position };
+}
+
+/**
+ * Work out what the caret is in the middle of typing, for autocompletion
+ * @param {string} textBeforeCaret - Text of the current line up to the caret
+ * @returns {Object|null} {kind: 'key'|'value', key, prefix, quoted} or null outside a tag filter
+ */
+export function getCompletionContext(textBeforeCaret) {
+    let match = textBeforeCaret.match(/\[\s*(")?([^"\]=!~\s]*)$/);
+    if (match) {
+        return { kind: 'key', key: null, prefix: match[2], quoted: Boolean(match[1]) };
+    }
+    match = textBeforeCaret.match(/\[\s*"?([^"\]=!~]+?)"?\s*(?:=|!=|~|!~)\s*(")?([^"\]]*)$/);
+    if (match) {
+        return { kind: 'value', key: match[1].trim(), prefix: match[3], quoted: Boolean(match[2]) };
+    }
+    return null;
+}
+
+/**
+ * Create the editor around a textarea
+ * @param {HTMLTextAreaElement} textarea - The query textarea
+ * @param {Object} options - Editor options
+ * @param {Function} options.getTagSuggestions - Returns a Map of tag key -> array of values, most useful first
+ * @returns {Object} Editor with refresh(), setErrorMarkers(), clearErrorMarkers(), insertSnippet()
+ */
+export function createQlEditor(textarea, options = {}) {
+    const { getTagSuggestions = () => new Map() } = options;
+    let errorMarkers = []; // Array of {line, message}
+    let completion = null; // {context, items, selected, start}
+
+    // Build: [gutter | body: highlight behind textarea] + completion list + error list
+    const wrapper = document.createElement('div');
+    wrapper.className = 'ql-editor';
+    const gutter = document.createElement('div');
+    gutter.className = 'ql-gutter';
+    gutter.setAttribute('aria-hidden', 'true');
+    const body = document.createElement('div');
+    body.className = 'ql-body';
+    const highlight = document.createElement('pre');
+    highlight.className = 'ql-highlight';
+    highlight.setAttribute('aria-hidden', 'true');
+    const completionList = document.createElement('ul');
+    completionList.className = 'ql-completions hidden';
+    completionList.setAttribute('role', 'listbox');
+    const errorList = document.createElement('ul');
+    errorList.className = 'ql-error-list hidden';
+
+    textarea.parentNode.insertBefore(wrapper, textarea);
+    body.appendChild(highlight);
+    body.appendChild(textarea);
+    body.appendChild(completionList);
+    wrapper.appendChild(gutter);
+    wrapper.appendChild(body);
+    wrapper.parentNode.insertBefore(errorList, wrapper.nextSibling);
+
+    textarea.classList.add('ql-input');
+    textarea.setAttribute('wrap', 'off');
+    textarea.setAttribute('spellcheck', 'false');
+    textarea.setAttribute('autocomplete', 'off');
+
+    /**
+     * Redraw the highlighted text, line numbers and bracket match
+     */
+    const render = () => {
+        const text = textarea.value;
+        const bracket = document.activeElement === textarea && textarea.selectionStart === textarea.selectionEnd
+            ? findMatchingBracket(text, textarea.selectionStart)
+            : null;
+        const errorLines = new Map(errorMarkers.map(marker => [marker.line, marker.message]));
+
+        // Split bracket positions out as their own tokens so they can be marked
+        const marks = new Map();
+        if (bracket) {
+            const unmatched = bracket.open === -1 || bracket.close === -1;
+            [bracket.open, bracket.close].filter(offset => offset >= 0).forEach(offset => {
+                marks.set(offset, unmatched ? 'ql-bracket-unmatched' : 'ql-bracket-match');
+            });
+        }
+
+        let html = '';
+        let line = 1;
+        let lineHtml = '';
+        const flushLine = () => {
+            html += `<span class="ql-line${errorLines.has(line) ? ' ql-line-error' : ''}">${lineHtml}</span>\n`;
+            lineHtml = '';
+            line++;
+        };
+        const addText = (type, start, end) => {
+            const parts = text.slice(start, end).split('\n');
+            parts.forEach((part, index) => {
+                if (index > 0) flushLine();
+                if (part) {
+                    lineHtml += type ? `<span class="ql-${type}">${escapeHtml(part)}</span>` : escapeHtml(part);
+                }
+            });
+        };
+
+        tokenizeQl(text).forEach(token => {
+            let start = token.start;
+            for (let offset = token.start; offset < token.end; offset++) {
+                if (marks.has(offset)) {
+                    addText(token.type, start, offset);
+                    lineHtml += `<span class="${marks.get(offset)}">${escapeHtml(text[offset])}</span>`;
+                    start = offset + 1;
+                }
+            }
+            addText(token.type, start, token.end);
+        });
+        flushLine();
+        highlight.innerHTML = html;
+
+        const lineCount = line - 1;
+        gutter.innerHTML = '';
+        for (let n = 1; n <= lineCount; n++) {
+            const number = document.createElement('div');
+            number.textContent = n;
+            if (errorLines.has(n)) {
+                number.className = 'ql-gutter-error';
+                number.title = errorLines.get(n);
+            }
+            gutter.appendChild(number);
+        }
+
+        syncScroll();
+    };
+
+    const syncScroll = () => {
+        highlight.scrollTop = textarea.scrollTop;
+        highlight.scrollLeft = textarea.scrollLeft;
+        gutter.scrollTop = textarea.scrollTop;
+    };
+
+    /**
+     * Show the error markers under the editor, each linking to its line
+     */
+    const renderErrorList = () => {
+        errorList.innerHTML = '';
+        errorList.classList.toggle('hidden', errorMarkers.length === 0);
+        errorMarkers.forEach(marker => {
+            const item = document.createElement('li');
+            const link = document.createElement('button');
+            link.type = 'button';
+            link.textContent = marker.line ? `Line ${marker.line}` : 'Query';
+            link.addEventListener('click', () => goToLine(marker.line));
+            item.appendChild(link);
+            item.appendChild(document.createTextNode(` ${marker.message}`));
+            errorList.appendChild(item);
+        });
+    };
+
+    /**
+     * Put the caret at the start of a line
+     * @param {number} lineNumber - 1-based line number
+     */
+    const goToLine = (lineNumber) => {
+        const lines = textarea.value.split('\n');
+        const offset = lines.slice(0, Math.max(0, lineNumber - 1)).reduce((sum, text) => sum + text.length + 1, 0);
+        textarea.focus();
+        textarea.setSelectionRange(offset, offset + (lines[lineNumber - 1] || '').length);
+        render();
+    };
+
+    /**
+     * Measure the caret position in pixels, relative to the editor body
+     * @returns {Object} {left, top, lineHeight}
+     */
+    const getCaretCoordinates = () => {
+        const style = getComputedStyle(textarea);
+        const before = textarea.value.slice(0, textarea.selectionStart).split('\n');
+        const probe = document.createElement('span');
+        probe.textContent = 'M'.repeat(10);
+        probe.style.font = style.font;
+        probe.style.visibility = 'hidden';
+        probe.style.position = 'absolute';
+        document.body.appendChild(probe);
+        const charWidth = probe.getBoundingClientRect().width / 10;
+        probe.remove();
+
+        const lineHeight = parseFloat(style.lineHeight) || parseFloat(style.fontSize) * 1.5;
+        return {
+            left: parseFloat(style.paddingLeft) + before[before.length - 1].length * charWidth - textarea.scrollLeft,
+            top: parseFloat(style.paddingTop) + before.length * lineHeight - textarea.scrollTop,
+            lineHeight
+        };
+    };
+
+    const closeCompletions = () => {
+        completion = null;
+        completionList.classList.add('hidden');
+        completionList.innerHTML = '';
+    };
+
+    /**
+     * Show tag key / value suggestions for what is being typed at the caret
+     */
+    const updateCompletions = () => {
+        if (textarea.selectionStart !== textarea.selectionEnd) {
+            closeCompletions();
+            return;
+        }
+
+        const caret = textarea.selectionStart;
+        const lineStart = textarea.value.lastIndexOf('\n', caret - 1) + 1;
+        const context = getCompletionContext(textarea.value.slice(lineStart, caret));
+        if (!context) {
+            closeCompletions();
+            return;
+        }
+
+        const suggestions = getTagSuggestions();
+        const candidates = context.kind === 'key'
+            ? Array.from(suggestions.keys())
+            : suggestions.get(context.key) || [];
+        const prefix = context.prefix.toLowerCase();
+        const items = candidates
+            .filter(item => item.toLowerCase().startsWith(prefix) && item !== context.prefix)
+            .slice(0, MAX_COMPLETIONS);
+
+        if (items.length === 0) {
+            closeCompletions();
+            return;
+        }
+
+        completion = { context, items, selected: 0, start: caret - context.prefix.length };
+        completionList.innerHTML = '';
+        items.forEach((item, index) => {
+            const option = document.createElement('li');
+            option.textContent = item;
+            option.setAttribute('role', 'option');
+            option.classList.toggle('selected', index === 0);
+            // mousedown, not click, so the textarea keeps focus
+            option.addEventListener('mousedown', (event) => {
+                event.preventDefault();
+                completion.selected = index;
+                acceptCompletion();
+            });
+            completionList.appendChild(option);
+        });
+
+        const { left, top } = getCaretCoordinates();
+        completionList.style.left = `${Math.max(0, left)}px`;
+        completionList.style.top = `${top + 4}px`;
+        completionList.classList.remove('hidden');
+    };
+
+    const moveCompletionSelection = (step) => {
+        completion.selected = (completion.selected + step + completion.items.length) % completion.items.length;
+        Array.from(completionList.children).forEach((option, index) => {
+            option.classList.toggle('selected', index === completion.selected);
+        });
+    };
+
+    /**
+     * Replace the typed prefix with the selected suggestion
+     */
+    const acceptCompletion = () => {
+        const { context, items, selected, start } = completion;
+        const caret = textarea.selectionStart;
+        const quote = context.quoted && textarea.value[caret] !== '"' ? '"' : '';
+        replaceRange(start, caret, items[selected] + quote);
+        closeCompletions();
+    };
+
+    /**
+     * Replace part of the text, keeping the browser's undo history where possible
+     * @param {number} start - Start offset
+     * @param {number} end - End offset
+     * @param {string} text - Replacement text
+     */
+    const replaceRange = (start, end, text) => {
+        textarea.focus();
+        textarea.setSelectionRange(start, end);
+        // execCommand keeps Ctrl+Z working; fall back to setRangeText where it is unavailable
+        if (!document.execCommand || !document.execCommand('insertText', false, text)) {
+            textarea.setRangeText(text, start, end, 'end');
+            textarea.dispatchEvent(new Event('input', { bubbles: true }));
+        }
+    };
+
+    textarea.addEventListener('input', () => {
+        render();
+        updateCompletions();
+    });
+    textarea.addEventListener('scroll', syncScroll);
+    textarea.addEventListener('keyup', (event) => {
+        if (['ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown', 'Home', 'End', 'PageUp', 'PageDown'].includes(event.key) && !completion) {
+            render();
+        }
+    });
+    textarea.addEventListener('click', () => {
+        render();
+        closeCompletions();
+    });
+    textarea.addEventListener('focus', render);
+    textarea.addEventListener('blur', () => {
+        closeCompletions();
+        render();
+    });
+    textarea.addEventListener('keydown', (event) => {
+        if (!completion) {
+            return;
+        }
+        if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+            event.preventDefault();
+            moveCompletionSelection(event.key === 'ArrowDown' ? 1 : -1);
+        } else if ((event.key === 'Enter' && !event.ctrlKey) || event.key === 'Tab') {
+            event.preventDefault();
+            acceptCompletion();
+        } else if (event.key === 'Escape') {
+            event.preventDefault();
+            closeCompletions();
+        }
+    });
+
+    // The textarea can be resized by the user
+    if (typeof ResizeObserver !== 'undefined') {
+        new ResizeObserver(syncScroll).observe(textarea);
+    }
+
+    render();
+
+    return {
+        /**
+         * Redraw after textarea.value was set from code (setting value does not fire input)
+         */
+        refresh() {
+            render();
+        },
+
+        /**
+         * Mark lines with errors, e.g. from an Overpass error response or remark
+         * @param {Array<Object>} markers - Array of {line, message}; line may be null for errors without a line
+         */
+        setErrorMarkers(markers) {
+            errorMarkers = markers;
+            renderErrorList();
+            render();
+        },
+
+        /**
+         * Remove all error markers
+         */
+        clearErrorMarkers() {
+            if (errorMarkers.length > 0) {
+                errorMarkers = [];
+                renderErrorList();
+                render();
+            }
+        },
+
+        /**
+         * Insert a snippet at the caret, or replace the query if it is empty
+         * @param {Object} snippet - Entry of QL_SNIPPETS
+         */
+        insertSnippet(snippet) {
+            const empty = textarea.value.trim() === '';
+            const start = empty ? 0 : textarea.selectionStart;
+            const end = empty ? textarea.value.length : textarea.selectionEnd;
+            const needsNewline = !empty && start > 0 && textarea.value[start - 1] !== '\n';
+            const text = (needsNewline ? '\n' : '') + snippet.body;
+            replaceRange(start, end, text);
+
+            if (snippet.select) {
+                const selectStart = start + text.indexOf(snippet.select);
+                textarea.setSelectionRange(selectStart, selectStart + snippet.select.length);
+            }
+            render();
+        }
+    };
+}
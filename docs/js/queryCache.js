@@ -0,0 +1,313 @@
+/**
+ * queryCache.js
+ * Persistent cache of Overpass responses in IndexedDB, keyed by server URL and normalised query text
+ */
+
+const DB_NAME = 'xofy-osm-cache';
+const DB_VERSION = 1;
+
+/**
+ * Entry metadata (small, read in full for stats and eviction) and response bodies (large) are
+ * kept in separate stores so that eviction never has to load the responses themselves
+ */
+const META_STORE = 'entries';
+const DATA_STORE = 'responses';
+
+export const DEFAULT_CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+export const DEFAULT_CACHE_MAX_BYTES = 50 * 1024 * 1024;
+
+let dbPromise = null;
+
+/**
+ * Normalise a query so that formatting changes do not miss the cache
+ * Comments are removed and whitespace is dropped (or collapsed to one space between two words),
+ * except inside string literals.
+ * @param {string} query - Overpass QL query
+ * @returns {string} Normalised query
+ */
+export function normalizeQuery(query) {
+    let result = '';
+    let pendingSpace = false;
+    let i = 0;
+
+    const append = (text) => {
+        if (pendingSpace && /\w$/.test(result) && /^\w/.test(text)) {
+            result += ' ';
+        }
+        pendingSpace = false;
+        result += text;
+    };
+
+    while (i < query.length) {
+        const char = query[i];
+
+        if (char === '"' || char === "'") {
+            // Copy string literals verbatim, including escaped quotes
+            let end = i + 1;
+            while (end < query.length && query[end] !== char) {
+                end += query[end] === '\\' ? 2 : 1;
+            }
+            append(query.slice(i, end + 1));
+            i = end + 1;
+        } else if (char === '/' && query[i + 1] === '/') {
+            const end = query.indexOf('\n', i);
+            pendingSpace = true;
+            i = end === -1 ? query.length : end;
+        } else if (char === '/' && query[i + 1] === '*') {
+            const end = query.indexOf('*/', i + 2);
+            pendingSpace = true;
+            i = end === -1 ? query.length : end + 2;
+        } else if (/\s/.test(char)) {
+            pendingSpace = true;
+            i++;
+        } else {
+            append(char);
+            i++;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Build the cache key for a query on a server
+ * @param {string} query - Overpass QL query
+ * @param {string} serverUrl - Overpass API URL
+ * @returns {string} Cache key
+ */
+function getCacheKey(query, serverUrl) {
+    return `${serverUrl}\n${normalizeQuery(query)}`;
+}
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - The request
+ * @returns {Promise} Resolves with the request's result
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Wait for a transaction to finish
+ * @param {IDBTransaction} transaction - The transaction
+ * @returns {Promise} Resolves when the transaction completes
+ */
+function transactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Cache transaction aborted'));
+    });
+}
+
+/**
+ * Open (and create or upgrade) the cache database
+ * @returns {Promise<IDBDatabase>} The database
+ */
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                const meta = db.createObjectStore(META_STORE, { keyPath: 'key' });
+                meta.createIndex('createdAt', 'createdAt');
+                db.createObjectStore(DATA_STORE, { keyPath: 'key' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // Let a later call try again (e.g. after the user leaves private browsing)
+        dbPromise.catch(() => {
+            dbPromise = null;
+        });
+    }
+    return dbPromise;
+}
+
+/**
+ * Delete entries by key
+ * @param {IDBDatabase} db - The database
+ * @param {Array<string>} keys - Cache keys
+ * @returns {Promise} Resolves when deleted
+ */
+async function deleteEntries(db, keys) {
+    if (keys.length === 0) {
+        return;
+    }
+    const transaction = db.transaction([META_STORE, DATA_STORE], 'readwrite');
+    keys.forEach(key => {
+        transaction.objectStore(META_STORE).delete(key);
+        transaction.objectStore(DATA_STORE).delete(key);
+    });
+    await transactionDone(transaction);
+}
+
+/**
+ * Look up a cached response
+ * Expired entries are removed. Cache failures are logged and treated as a miss.
+ * @param {string} query - Overpass QL query
+ * @param {string} serverUrl - Overpass API URL
+ * @param {Object} options - Lookup options
+ * @param {number} options.ttl - Maximum age in milliseconds (default 24 hours)
+ * @returns {Promise<Object|null>} {data, createdAt} or null on a miss
+ */
+export async function getCachedResponse(query, serverUrl, options = {}) {
+    const { ttl = DEFAULT_CACHE_TTL_MS } = options;
+    const key = getCacheKey(query, serverUrl);
+
+    try {
+        const db = await openDatabase();
+        const meta = await promisifyRequest(db.transaction(META_STORE).objectStore(META_STORE).get(key));
+        if (!meta) {
+            return null;
+        }
+        if (Date.now() - meta.createdAt > ttl) {
+            await deleteEntries(db, [key]);
+            return null;
+        }
+
+        const entry = await promisifyRequest(db.transaction(DATA_STORE).objectStore(DATA_STORE).get(key));
+        return entry ? { data: entry.data, createdAt: meta.createdAt } : null;
+    } catch (error) {
+        console.warn('[queryCache] Cache lookup failed:', error);
+        return null;
+    }
+}
+
+/**
+ * Store a response, then evict the oldest entries until the cache fits the size cap
+ * Responses larger than the whole cap are not stored. Cache failures are logged and ignored.
+ * @param {string} query - Overpass QL query
+ * @param {string} serverUrl - Overpass API URL that answered
+ * @param {Object} data - JSON response
+ * @param {Object} options - Storage options
+ * @param {number} options.maxBytes - Size cap for the whole cache (default 50 MB)
+ * @returns {Promise<boolean>} True if the response was stored
+ */
+export async function putCachedResponse(query, serverUrl, data, options = {}) {
+    const { maxBytes = DEFAULT_CACHE_MAX_BYTES } = options;
+    const key = getCacheKey(query, serverUrl);
+
+    try {
+        // Approximate size: the JSON text length (UTF-16 code units, close enough for a cap)
+        const size = JSON.stringify(data).length;
+        if (size > maxBytes) {
+            return false;
+        }
+
+        const db = await openDatabase();
+        const transaction = db.transaction([META_STORE, DATA_STORE], 'readwrite');
+        transaction.objectStore(META_STORE).put({ key, serverUrl, createdAt: Date.now(), size });
+        transaction.objectStore(DATA_STORE).put({ key, data });
+        await transactionDone(transaction);
+
+        await enforceSizeCap(db, maxBytes);
+        return true;
+    } catch (error) {
+        console.warn('[queryCache] Could not store response:', error);
+        return false;
+    }
+}
+
+/**
+ * Remove the oldest entries until the total size is within the cap
+ * @param {IDBDatabase} db - The database
+ * @param {number} maxBytes - Size cap
+ * @returns {Promise} Resolves when done
+ */
+async function enforceSizeCap(db, maxBytes) {
+    const index = db.transaction(META_STORE).objectStore(META_STORE).index('createdAt');
+    const entries = await promisifyRequest(index.getAll()); // Oldest first
+
+    let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+    const evicted = [];
+    for (const entry of entries) {
+        if (total <= maxBytes) {
+            break;
+        }
+        total -= entry.size;
+        evicted.push(entry.key);
+    }
+
+    await deleteEntries(db, evicted);
+}
+
+/**
+ * Get the number and total size of cached responses
+ * @returns {Promise<Object>} {count, bytes}; zeros if the cache is unavailable
+ */
+export async function getCacheStats() {
+    try {
+        const db = await openDatabase();
+        const entries = await promisifyRequest(db.transaction(META_STORE).objectStore(META_STORE).getAll());
+        return {
+            count: entries.length,
+            bytes: entries.reduce((sum, entry) => sum + entry.size, 0)
+        };
+    } catch (error) {
+        console.warn('[queryCache] Could not read cache stats:', error);
+        return { count: 0, bytes: 0 };
+    }
+}
+
+/**
+ * Shrink the cache to a (new) size cap
+ * @param {number} maxBytes - Size cap
+ * @returns {Promise} Resolves when done
+ */
+export async function trimCache(maxBytes) {
+    try {
+        const db = await openDatabase();
+        await enforceSizeCap(db, maxBytes);
+    } catch (error) {
+        console.warn('[queryCache] Could not trim cache:', error);
+    }
+}
+
+/**
+ * Delete every cached response
+ * @returns {Promise} Resolves when the cache is empty
+ */
+export async function clearCache() {
+    const db = await openDatabase();
+    const transaction = db.transaction([META_STORE, DATA_STORE], 'readwrite');
+    transaction.objectStore(META_STORE).clear();
+    transaction.objectStore(DATA_STORE).clear();
+    await transactionDone(transaction);
+}
+
+/**
+ * Format the age of a cache entry for display
+ * @param {number} createdAt - Timestamp in milliseconds
+ * @returns {string} e.g. "just now", "5 min ago", "3 h ago", "2 days ago"
+ */
+export function formatCacheAge(createdAt) {
+    const minutes = Math.floor((Date.now() - createdAt) / 60000);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes} min ago`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours} h ago`;
+    const days = Math.floor(hours / 24);
+    return `${days} day${days === 1 ? '' : 's'} ago`;
+}
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} e.g. "512 KB", "3.4 MB"
+ */
+export function formatBytes(bytes) {
+    if (bytes < 1024 * 1024) {
+        return `${Math.round(bytes / 1024)} KB`;
+    }
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
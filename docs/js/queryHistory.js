@@ -0,0 +1,269 @@
+/**
+ * queryHistory.js
+ * Persistent history of executed Overpass queries in localStorage, with pinning, renaming and
+ * comparison of two runs by OSM ID
+ */
+
+const STORAGE_KEY = 'xofy-osm-query-history';
+
+/**
+ * Unpinned entries beyond this are dropped, oldest first (pinned entries are always kept)
+ */
+export const MAX_HISTORY_ENTRIES = 100;
+
+/**
+ * OSM IDs kept per entry for comparisons; larger results are stored truncated to stay within
+ * the localStorage quota
+ */
+const MAX_STORED_IDS = 20000;
+
+/**
+ * Largest size of the stored history, in characters of JSON
+ * localStorage allows about 5 million characters per site, shared with the settings; the history is kept
+ * well below that so settings can always be saved.
+ */
+const MAX_HISTORY_SIZE = 1000000;
+
+/**
+ * JSON size of each entry object (entries are replaced, never changed, so sizes stay valid)
+ */
+const entrySizes = new WeakMap();
+
+/**
+ * Read the stored entries, newest first
+ * @returns {Array<Object>} History entries
+ */
+function readEntries() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        return Array.isArray(stored) ? stored : [];
+    } catch (error) {
+        console.warn('[queryHistory] Could not read history:', error);
+        return [];
+    }
+}
+
+/**
+ * Get the size the entries take up when stored
+ * @param {Array<Object>} entries - History entries
+ * @returns {number} Characters of JSON
+ */
+function getHistorySize(entries) {
+    return entries.reduce((total, entry) => {
+        if (!entrySizes.has(entry)) {
+            entrySizes.set(entry, JSON.stringify(entry).length);
+        }
+        return total + entrySizes.get(entry) + 1;
+    }, 1);
+}
+
+/**
+ * Free some space: drop the stored IDs of the oldest entry that has them, then remove the oldest
+ * unpinned entry. The newest entry keeps its IDs and is never removed while there is another way.
+ * @param {Array<Object>} entries - History entries, newest first; changed in place
+ * @returns {boolean} False if there is nothing left to remove
+ */
+function shrinkEntries(entries) {
+    const withIds = entries.map(entry => entry.elementIds.length > 0).lastIndexOf(true);
+    const unpinned = entries.map(entry => !entry.pinned).lastIndexOf(true);
+    if (withIds > 0) {
+        entries[withIds] = { ...entries[withIds], elementIds: [], idsTruncated: true };
+    } else if (unpinned > 0) {
+        entries.splice(unpinned, 1);
+    } else if (withIds === 0) {
+        entries[0] = { ...entries[0], elementIds: [], idsTruncated: true };
+    } else {
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Store the entries within MAX_HISTORY_SIZE, freeing more space if the quota is still exceeded
+ * The stored IDs of the oldest entries are dropped first (they can then no longer be compared),
+ * then the oldest unpinned entries.
+ * @param {Array<Object>} entries - History entries, newest first
+ * @returns {Array<Object>} The entries that were stored
+ */
+function writeEntries(entries) {
+    // Trimmed before writing, so the history never fills the storage the settings need
+    const remaining = entries.slice();
+    while (getHistorySize(remaining) > MAX_HISTORY_SIZE) {
+        if (!shrinkEntries(remaining)) {
+            break;
+        }
+    }
+
+    for (;;) {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(remaining));
+            return remaining;
+        } catch (error) {
+            if (!shrinkEntries(remaining)) {
+                console.warn('[queryHistory] Could not store history:', error);
+                return remaining;
+            }
+        }
+    }
+}
+
+/**
+ * Drop unpinned entries beyond MAX_HISTORY_ENTRIES
+ * @param {Array<Object>} entries - History entries, newest first
+ * @returns {Array<Object>} Trimmed entries
+ */
+function trimEntries(entries) {
+    let unpinnedCount = 0;
+    return entries.filter(entry => entry.pinned || ++unpinnedCount <= MAX_HISTORY_ENTRIES);
+}
+
+/**
+ * Get the OSM IDs of a response's elements
+ * @param {Array<Object>} elements - Overpass elements
+ * @returns {Array<string>} IDs such as "way/123", in response order
+ */
+export function getElementIds(elements) {
+    return elements
+        .filter(element => element.type && element.id !== undefined)
+        .map(element => `${element.type}/${element.id}`);
+}
+
+/**
+ * Get the history, pinned entries first, then newest first
+ * @returns {Array<Object>} History entries
+ */
+export function getHistory() {
+    const entries = readEntries();
+    return [...entries.filter(entry => entry.pinned), ...entries.filter(entry => !entry.pinned)];
+}
+
+/**
+ * Record an executed query
+ * @param {Object} details - What was run and how it went
+ * @param {string} details.query - Overpass QL query
+ * @param {string} details.title - Automatic name, e.g. "Named Parks of Seattle, WA" (optional)
+ * @param {Object} details.curated - {feature, area} when run from the Curated tab (optional)
+ * @param {string} details.groupByTag - Grouping hint in effect (optional)
+ * @param {string} details.serverUrl - Overpass API URL that answered (or was asked, on failure)
+ * @param {boolean} details.fromCache - True if the response came from the response cache
+ * @param {number} details.durationMs - Time from submission to response
+ * @param {Array<string>} details.elementIds - OSM IDs from getElementIds (optional)
+ * @param {number|null} details.warningCount - Number of parser warnings (null if the results were not parsed)
+ * @param {boolean} details.partial - True if the query stopped early and the results are incomplete (optional)
+ * @param {string} details.error - Error message if the query failed (optional)
+ * @returns {Object} The new entry
+ */
+export function addHistoryEntry(details) {
+    const elementIds = details.elementIds || [];
+    const entry = {
+        id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        createdAt: Date.now(),
+        name: null,
+        title: details.title || '',
+        query: details.query,
+        curated: details.curated || null,
+        groupByTag: details.groupByTag || '',
+        serverUrl: details.serverUrl,
+        fromCache: Boolean(details.fromCache),
+        durationMs: details.durationMs,
+        elementCount: elementIds.length,
+        warningCount: details.warningCount === null ? null : details.warningCount || 0,
+        partial: Boolean(details.partial),
+        error: details.error || null,
+        elementIds: elementIds.slice(0, MAX_STORED_IDS),
+        idsTruncated: elementIds.length > MAX_STORED_IDS,
+        pinned: false
+    };
+
+    writeEntries(trimEntries([entry, ...readEntries()]));
+    return entry;
+}
+
+/**
+ * Change an entry's name or pinned state
+ * @param {string} id - Entry ID
+ * @param {Object} changes - {name} (empty to go back to the automatic name) and/or {pinned}
+ * @returns {Object|null} The updated entry, or null if it no longer exists
+ */
+export function updateHistoryEntry(id, changes) {
+    const entries = readEntries();
+    const index = entries.findIndex(entry => entry.id === id);
+    if (index === -1) {
+        return null;
+    }
+
+    const updated = { ...entries[index] };
+    if ('name' in changes) {
+        updated.name = changes.name && changes.name.trim() ? changes.name.trim() : null;
+    }
+    if ('pinned' in changes) {
+        updated.pinned = Boolean(changes.pinned);
+    }
+    entries[index] = updated;
+
+    writeEntries(trimEntries(entries));
+    return updated;
+}
+
+/**
+ * Delete an entry
+ * @param {string} id - Entry ID
+ */
+export function deleteHistoryEntry(id) {
+    writeEntries(readEntries().filter(entry => entry.id !== id));
+}
+
+/**
+ * Delete every unpinned entry
+ */
+export function clearHistory() {
+    writeEntries(readEntries().filter(entry => entry.pinned));
+}
+
+/**
+ * Get the name to display for an entry
+ * @param {Object} entry - History entry
+ * @returns {string} The custom name, the automatic title, or the start of the query
+ */
+export function getEntryLabel(entry) {
+    if (entry.name) {
+        return entry.name;
+    }
+    if (entry.title) {
+        return entry.title;
+    }
+    // First line that is not a settings statement or comment
+    const line = entry.query.split('\n')
+        .map(text => text.trim())
+        .find(text => text && !text.startsWith('[') && !text.startsWith('//'));
+    return line || entry.query.trim().slice(0, 60);
+}
+
+/**
+ * Compare the results of two entries by OSM ID
+ * @param {Object} a - Older (or first selected) entry
+ * @param {Object} b - Newer (or second selected) entry
+ * @returns {Object} {onlyInA, onlyInB, inBoth, truncated} - ID lists and the number shared
+ */
+export function compareHistoryEntries(a, b) {
+    const idsA = new Set(a.elementIds);
+    const idsB = new Set(b.elementIds);
+    return {
+        onlyInA: a.elementIds.filter(id => !idsB.has(id)),
+        onlyInB: b.elementIds.filter(id => !idsA.has(id)),
+        inBoth: a.elementIds.filter(id => idsB.has(id)).length,
+        truncated: a.idsTruncated || b.idsTruncated
+    };
+}
+
+/**
+ * Format a query duration for display
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} e.g. "850 ms", "12.3 s", "2 min 5 s"
+ */
+export function formatDuration(ms) {
+    if (ms < 1000) return `${Math.round(ms)} ms`;
+    if (ms < 60000) return `${(ms / 1000).toFixed(1)} s`;
+    const seconds = Math.round(ms / 1000);
+    return `${Math.floor(seconds / 60)} min ${seconds % 60} s`;
+}
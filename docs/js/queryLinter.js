@@ -0,0 +1,252 @@
+/**
+ * queryLinter.js
+ * Lightweight checks for Overpass QL queries before they are sent, with one-click fixes
+ * This is not a full QL parser: it looks at settings, statement heads and out statements only.
+ */
+
+/**
+ * Settings added by the timeout / maxsize fixes (the Overpass defaults are 180 s and 512 MiB)
+ */
+const SUGGESTED_TIMEOUT = 180;
+const SUGGESTED_MAXSIZE = 1073741824;
+
+/**
+ * out statement parameters that are kept by the "out geom" fix (sort order and limit)
+ */
+const KEPT_OUT_PARAMS = /^(qt|asc|\d+)$/;
+
+/**
+ * Replace the contents of string literals and comments with spaces
+ * Offsets stay the same, so matches on the masked text can be applied to the original query.
+ * @param {string} query - Overpass QL query
+ * @returns {string} Masked query
+ */
+function maskQuery(query) {
+    let masked = '';
+    let i = 0;
+
+    while (i < query.length) {
+        const char = query[i];
+        let end = -1;
+
+        if (char === '"' || char === "'") {
+            end = i + 1;
+            while (end < query.length && query[end] !== char) {
+                end += query[end] === '\\' ? 2 : 1;
+            }
+            end = Math.min(end, query.length - 1);
+            // Keep the quotes so the masked text still shows a string was there
+            masked += char + ' '.repeat(Math.max(0, end - i - 1)) + (end > i ? query[end] : '');
+            i = end + 1;
+            continue;
+        } else if (char === '/' && query[i + 1] === '/') {
+            end = query.indexOf('\n', i);
+            end = end === -1 ? query.length : end;
+        } else if (char === '/' && query[i + 1] === '*') {
+            end = query.indexOf('*/', i + 2);
+            end = end === -1 ? query.length : end + 2;
+        }
+
+        if (end > i) {
+            masked += query.slice(i, end).replace(/[^\n]/g, ' ');
+            i = end;
+        } else {
+            masked += char;
+            i++;
+        }
+    }
+
+    return masked;
+}
+
+/**
+ * Find the settings statement (e.g. "[out:json][timeout:60];") at the start of the query
+ * @param {string} masked - Masked query
+ * @returns {Object|null} {start, end, text} of the statement without its ";", or null if there is none
+ */
+function findSettings(masked) {
+    const start = masked.search(/\S/);
+    if (start === -1 || masked[start] !== '[') {
+        return null;
+    }
+    const end = masked.indexOf(';', start);
+    if (end === -1) {
+        return null;
+    }
+    return { start, end, text: masked.slice(start, end) };
+}
+
+/**
+ * Add a setting to the query's settings statement, creating the statement if needed
+ * @param {string} query - Overpass QL query
+ * @param {string} setting - Setting to add, e.g. "[timeout:180]"
+ * @returns {string} Rewritten query
+ */
+function addSetting(query, setting) {
+    const settings = findSettings(maskQuery(query));
+    if (!settings) {
+        return `${setting};\n${query.replace(/^\s+/, '')}`;
+    }
+    return query.slice(0, settings.end) + setting + query.slice(settings.end);
+}
+
+/**
+ * Find the out statements of the query (not the [out:...] setting)
+ * @param {string} masked - Masked query
+ * @returns {Array<Object>} Array of {start, end, params} - offsets of "out ...;" and its parameters
+ */
+function findOutStatements(masked) {
+    const statements = [];
+    const pattern = /(^|[;(){}\s])(?:\.\w+\s+)?(out)\b([^;]*);/g;
+    let match;
+    while ((match = pattern.exec(masked)) !== null) {
+        const start = match.index + match[0].length - (match[2] + match[3] + ';').length;
+        statements.push({
+            start,
+            end: match.index + match[0].length,
+            params: match[3].trim().split(/\s+/).filter(Boolean)
+        });
+        pattern.lastIndex = match.index + match[0].length;
+    }
+    return statements;
+}
+
+/**
+ * Find statements that only select nodes (e.g. node["amenity"="cafe"];)
+ * Recursions such as node(w) are not flagged, as they are only used to fetch way nodes.
+ * @param {string} masked - Masked query
+ * @returns {Array<Object>} Array of {start, end} offsets of the "node" keyword
+ */
+function findNodeStatements(masked) {
+    const statements = [];
+    const pattern = /(^|[;(){}])(\s*)(node)(?=\s*[[(.;])/g;
+    let match;
+    while ((match = pattern.exec(masked)) !== null) {
+        const start = match.index + match[1].length + match[2].length;
+        const rest = masked.slice(start + 4);
+        if (!/^\s*\(\s*[wr](\.\w+)?\s*(:[^)]*)?\)/.test(rest)) {
+            statements.push({ start, end: start + 4 });
+        }
+    }
+    return statements;
+}
+
+/**
+ * Check a query for common problems
+ * Each issue has an id, a severity ('error': the results cannot be shown, 'warning': some results will be
+ * skipped, 'info': a suggestion), a message and, when it can be fixed automatically, a fix label and
+ * a fix(query) function that returns the rewritten query.
+ * @param {string} query - Overpass QL query
+ * @returns {Array<Object>} Array of {id, severity, message, fixLabel, fix}
+ */
+export function lintQuery(query) {
+    const issues = [];
+    if (!query || query.trim() === '') {
+        return issues;
+    }
+
+    const masked = maskQuery(query);
+    const settings = findSettings(masked);
+    const settingsText = settings ? settings.text : '';
+
+    // Output format
+    const outFormat = settingsText.match(/\[\s*out\s*:\s*(\w+)/);
+    if (!outFormat || outFormat[1] !== 'json') {
+        issues.push({
+            id: 'out-json',
+            severity: 'error',
+            message: outFormat
+                ? `The query asks for [out:${outFormat[1]}] output, but only JSON can be displayed.`
+                : 'The query does not ask for JSON output ([out:json]); Overpass returns XML by default.',
+            fixLabel: outFormat ? 'Use [out:json]' : 'Add [out:json]',
+            fix: (current) => {
+                const currentSettings = findSettings(maskQuery(current));
+                const existing = currentSettings && currentSettings.text.match(/\[\s*out\s*:[^\]]*\]/);
+                if (existing) {
+                    const start = currentSettings.start + existing.index;
+                    return current.slice(0, start) + '[out:json]' + current.slice(start + existing[0].length);
+                }
+                return addSetting(current, '[out:json]');
+            }
+        });
+    }
+
+    // Coordinates
+    const outStatements = findOutStatements(masked);
+    if (outStatements.length === 0) {
+        issues.push({
+            id: 'out-geom',
+            severity: 'error',
+            message: 'The query has no out statement, so nothing will be returned.',
+            fixLabel: 'Add out geom;',
+            fix: (current) => `${current.replace(/\s+$/, '')}\nout geom;`
+        });
+    } else if (outStatements.some(statement => !statement.params.some(param => param.startsWith('geom')))) {
+        issues.push({
+            id: 'out-geom',
+            severity: 'error',
+            message: 'An out statement does not include geom, so the results will have no coordinates to draw.',
+            fixLabel: 'Use out geom',
+            fix: (current) => {
+                // Rewrite from the end so earlier offsets stay valid
+                const statements = findOutStatements(maskQuery(current)).reverse();
+                return statements.reduce((text, statement) => {
+                    if (statement.params.some(param => param.startsWith('geom'))) {
+                        return text;
+                    }
+                    const kept = statement.params.filter(param => KEPT_OUT_PARAMS.test(param));
+                    return text.slice(0, statement.start) + ['out', ...kept, 'geom'].join(' ') + ';' + text.slice(statement.end);
+                }, current);
+            }
+        });
+    }
+
+    // Node searches
+    const nodeStatements = findNodeStatements(masked);
+    if (nodeStatements.length > 0) {
+        issues.push({
+            id: 'node-only',
+            severity: 'info',
+            message: `${nodeStatements.length === 1 ? 'A statement searches' : `${nodeStatements.length} statements search`} for nodes only. Nodes are drawn as single points, so features mapped as areas or lines will be missed.`,
+            fixLabel: 'Also search ways and relations',
+            fix: (current) => {
+                const statements = findNodeStatements(maskQuery(current)).reverse();
+                return statements.reduce((text, statement) => text.slice(0, statement.start) + 'nwr' + text.slice(statement.end), current);
+            }
+        });
+    }
+
+    // Resource limits
+    if (!/\[\s*timeout\s*:/.test(settingsText)) {
+        issues.push({
+            id: 'timeout',
+            severity: 'info',
+            message: `No [timeout:] setting: the server will stop the query after its default of ${SUGGESTED_TIMEOUT} seconds.`,
+            fixLabel: `Add [timeout:${SUGGESTED_TIMEOUT}]`,
+            fix: (current) => addSetting(current, `[timeout:${SUGGESTED_TIMEOUT}]`)
+        });
+    }
+    if (!/\[\s*maxsize\s*:/.test(settingsText)) {
+        issues.push({
+            id: 'maxsize',
+            severity: 'info',
+            message: 'No [maxsize:] setting: large areas may fail with an out-of-memory error at the default limit of 512 MiB.',
+            fixLabel: 'Add [maxsize:1GiB]',
+            fix: (current) => addSetting(current, `[maxsize:${SUGGESTED_MAXSIZE}]`)
+        });
+    }
+
+    return issues;
+}
+
+/**
+ * Apply every available fix to a query
+ * @param {string} query - Overpass QL query
+ * @param {Array<string>} severities - Only fix issues of these severities (default: all)
+ * @returns {string} Rewritten query
+ */
+export function fixAllIssues(query, severities = ['error', 'warning', 'info']) {
+    return lintQuery(query)
+        .filter(issue => issue.fix && severities.includes(issue.severity))
+        .reduce((current, issue) => issue.fix(current), query);
+}
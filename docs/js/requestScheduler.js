@@ -0,0 +1,310 @@
+/**
+ * requestScheduler.js
+ * Client-side queue for Overpass requests
+ * Limits how many requests run at once on each server and how soon one may start after the
+ * previous one, and holds a server's requests back after a rate limit (429) until its Retry-After.
+ */
+
+/**
+ * How long to hold a server back after a 429 that came without a usable Retry-After
+ */
+const DEFAULT_RATE_LIMIT_DELAY_MS = 10000;
+
+/**
+ * How many times a rate-limited request is put back in the queue before it fails
+ */
+const MAX_RATE_LIMIT_RETRIES = 3;
+
+/**
+ * Finished entries kept for the queue view; older ones are dropped
+ */
+const MAX_FINISHED_ENTRIES = 100;
+
+/**
+ * Create the error a request rejects with when it is cancelled before or while running
+ * @returns {Error} Error with type 'CANCELLED'
+ */
+function createCancelledError() {
+    const error = new Error('Query cancelled.');
+    error.type = 'CANCELLED';
+    return error;
+}
+
+/**
+ * Create a request scheduler
+ * Entries move from 'pending' to 'running' to 'done', 'failed' or 'cancelled'; a rate-limited entry
+ * goes back to 'pending' until the server is free again.
+ * @param {Object} options - Scheduler options
+ * @param {number} options.concurrency - Requests allowed to run at once on each server (default 1)
+ * @param {number} options.minIntervalMs - Minimum time between the starts of two requests to the same server (default 0)
+ * @param {Function} options.onChange - Called whenever an entry changes state
+ * @returns {Object} Scheduler with schedule(task), cancel(id), retry(id), clearFinished(), getEntries() and setOptions(options)
+ */
+export function createRequestScheduler(options = {}) {
+    let concurrency = options.concurrency || 1;
+    let minIntervalMs = options.minIntervalMs || 0;
+    const onChange = options.onChange || (() => {});
+
+    const entries = [];
+    const servers = new Map(); // serverUrl -> {running, lastStartedAt, blockedUntil}
+    let nextId = 1;
+    let pumpTimer = null;
+
+    /**
+     * Get (or create) the bookkeeping for a server
+     * @param {string} serverUrl - Overpass API URL
+     * @returns {Object} {running, lastStartedAt, blockedUntil}
+     */
+    function getServer(serverUrl) {
+        if (!servers.has(serverUrl)) {
+            servers.set(serverUrl, { running: 0, lastStartedAt: 0, blockedUntil: 0 });
+        }
+        return servers.get(serverUrl);
+    }
+
+    /**
+     * Start every pending entry that its server has room for, oldest first (priority entries first),
+     * and check again when the next one is due
+     */
+    function pump() {
+        clearTimeout(pumpTimer);
+        pumpTimer = null;
+
+        const now = Date.now();
+        let nextCheck = Infinity;
+
+        entries.filter(entry => entry.status === 'pending').forEach(entry => {
+            const server = getServer(entry.serverUrl);
+            entry.startsAt = Math.max(server.lastStartedAt + minIntervalMs, server.blockedUntil);
+            if (server.running >= concurrency) {
+                return; // Checked again when a request on this server finishes
+            }
+            if (entry.startsAt > now) {
+                nextCheck = Math.min(nextCheck, entry.startsAt);
+                return;
+            }
+            start(entry, server);
+        });
+
+        if (nextCheck < Infinity) {
+            pumpTimer = setTimeout(pump, nextCheck - now);
+        }
+        onChange();
+    }
+
+    /**
+     * Run an entry's task
+     * @param {Object} entry - Queue entry
+     * @param {Object} server - Its server's bookkeeping
+     */
+    function start(entry, server) {
+        entry.status = 'running';
+        entry.startedAt = Date.now();
+        entry.startsAt = null;
+        entry.attempts++;
+        server.running++;
+        server.lastStartedAt = entry.startedAt;
+
+        Promise.resolve()
+            .then(() => entry.task.run(entry.controller.signal))
+            .then(result => {
+                entry.status = 'done';
+                entry.error = null;
+                entry.resolve(result);
+            }, error => {
+                if (error.type === 'RATE_LIMITED') {
+                    // Every request to this server waits, not just this one
+                    server.blockedUntil = Date.now() + (error.retryAfter || DEFAULT_RATE_LIMIT_DELAY_MS);
+                }
+                entry.error = error;
+                if (entry.controller.signal.aborted || error.type === 'CANCELLED') {
+                    entry.status = 'cancelled';
+                    entry.reject(createCancelledError());
+                } else if (error.type === 'RATE_LIMITED' && entry.task.retryOnRateLimit !== false &&
+                    entry.attempts <= MAX_RATE_LIMIT_RETRIES) {
+                    entry.status = 'pending';
+                } else {
+                    entry.status = 'failed';
+                    entry.reject(error);
+                    if (entry.task.onFailed) {
+                        entry.task.onFailed(error);
+                    }
+                }
+            })
+            .finally(() => {
+                server.running--;
+                if (entry.status !== 'pending') {
+                    entry.finishedAt = Date.now();
+                }
+                dropOldFinished();
+                pump();
+            });
+    }
+
+    /**
+     * Forget the oldest finished entries beyond MAX_FINISHED_ENTRIES
+     */
+    function dropOldFinished() {
+        const finished = entries.filter(entry => ['done', 'failed', 'cancelled'].includes(entry.status));
+        finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_ENTRIES)).forEach(entry => {
+            entries.splice(entries.indexOf(entry), 1);
+        });
+    }
+
+    /**
+     * Put an entry (back) in the queue with a fresh promise and abort controller
+     * @param {Object} entry - Queue entry
+     * @returns {Promise} Settles when the entry finishes
+     */
+    function enqueue(entry) {
+        entry.status = 'pending';
+        entry.error = null;
+        entry.attempts = 0;
+        entry.queuedAt = Date.now();
+        entry.startedAt = null;
+        entry.finishedAt = null;
+        entry.controller = new AbortController();
+        const promise = new Promise((resolve, reject) => {
+            entry.resolve = resolve;
+            entry.reject = reject;
+        });
+        // Callers that do not wait for the result should not cause unhandled rejections
+        promise.catch(() => {});
+
+        entries.splice(entries.indexOf(entry), 1);
+        if (entry.task.priority) {
+            const firstPending = entries.findIndex(other => other.status === 'pending' && !other.task.priority);
+            entries.splice(firstPending === -1 ? entries.length : firstPending, 0, entry);
+        } else {
+            entries.push(entry);
+        }
+
+        pump();
+        return promise;
+    }
+
+    /**
+     * Cancel a pending or running request
+     * @param {number} id - Entry ID
+     */
+    function cancel(id) {
+        const entry = entries.find(other => other.id === id);
+        if (!entry) {
+            return;
+        }
+        if (entry.status === 'pending') {
+            entry.status = 'cancelled';
+            entry.finishedAt = Date.now();
+            entry.reject(createCancelledError());
+            pump();
+        } else if (entry.status === 'running') {
+            entry.controller.abort();
+        }
+    }
+
+    /**
+     * Whether a finished entry can be queued again
+     * @param {Object} entry - Queue entry
+     * @returns {boolean} True for failed or cancelled entries of retryable tasks
+     */
+    function canRetry(entry) {
+        return ['failed', 'cancelled'].includes(entry.status) && entry.task.retryable !== false;
+    }
+
+    return {
+        /**
+         * Add a request to the queue
+         * @param {Object} task - The request
+         * @param {string} task.serverUrl - Server the request goes to (limits are per server)
+         * @param {string} task.label - Name shown in the queue view
+         * @param {Function} task.run - Called with an AbortSignal when the request may start; returns a promise
+         * @param {AbortSignal} task.signal - Cancels the request when aborted (optional)
+         * @param {boolean} task.priority - Run before queued non-priority requests (optional)
+         * @param {boolean} task.retryable - False if the request cannot be queued again from the queue view,
+         *   e.g. because its caller no longer waits for the result (optional, default true)
+         * @param {boolean} task.retryOnRateLimit - False to fail on a 429 instead of waiting in the queue and
+         *   trying again, e.g. when the caller moves on to another server (optional, default true)
+         * @param {Function} task.onFailed - Called with the error when the request fails for good - not when it is
+         *   cancelled or a rate-limited request is queued again; also after a retry from the queue view (optional)
+         * @param {Object} task.meta - Extra information for the queue view (optional)
+         * @returns {Promise} Resolves with the task's result; rejects with its error, or a CANCELLED error
+         */
+        schedule(task) {
+            const entry = { id: nextId++, task, serverUrl: task.serverUrl, label: task.label, meta: task.meta || {} };
+            entries.push(entry);
+            if (task.signal) {
+                if (task.signal.aborted) {
+                    entry.status = 'cancelled';
+                    entry.finishedAt = Date.now();
+                    onChange();
+                    return Promise.reject(createCancelledError());
+                }
+                task.signal.addEventListener('abort', () => cancel(entry.id), { once: true });
+            }
+            return enqueue(entry);
+        },
+
+        cancel,
+
+        /**
+         * Queue a failed or cancelled request again
+         * @param {number} id - Entry ID
+         * @returns {Promise|null} As for schedule, or null if the entry cannot be retried
+         */
+        retry(id) {
+            const entry = entries.find(other => other.id === id);
+            if (!entry || !canRetry(entry)) {
+                return null;
+            }
+            return enqueue(entry);
+        },
+
+        /**
+         * Remove finished (done, failed or cancelled) entries from the queue view
+         */
+        clearFinished() {
+            for (let i = entries.length - 1; i >= 0; i--) {
+                if (['done', 'failed', 'cancelled'].includes(entries[i].status)) {
+                    entries.splice(i, 1);
+                }
+            }
+            onChange();
+        },
+
+        /**
+         * Get a snapshot of the queue, in queue order
+         * @returns {Array<Object>} Entries with {id, label, serverUrl, status, queuedAt, startedAt, finishedAt,
+         *   startsAt (when a pending entry may start), attempts, error, meta, retryable}
+         */
+        getEntries() {
+            return entries.map(entry => ({
+                id: entry.id,
+                label: entry.label,
+                serverUrl: entry.serverUrl,
+                status: entry.status,
+                queuedAt: entry.queuedAt,
+                startedAt: entry.startedAt,
+                finishedAt: entry.finishedAt,
+                startsAt: entry.status === 'pending' ? entry.startsAt : null,
+                attempts: entry.attempts,
+                error: entry.error,
+                meta: entry.meta,
+                retryable: canRetry(entry)
+            }));
+        },
+
+        /**
+         * Change the limits; queued requests are re-checked straight away
+         * @param {Object} newOptions - {concurrency} and/or {minIntervalMs}
+         */
+        setOptions(newOptions) {
+            if (newOptions.concurrency !== undefined) {
+                concurrency = Math.max(1, newOptions.concurrency);
+            }
+            if (newOptions.minIntervalMs !== undefined) {
+                minIntervalMs = Math.max(0, newOptions.minIntervalMs);
+            }
+            pump();
+        }
+    };
+}
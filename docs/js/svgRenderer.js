@@ -0,0 +1,159 @@
+/**
+ * svgRenderer.js
+ * Renders OSM geometries as SVG vector documents
+ * Uses the same projection and styling as canvasRenderer.js
+ */
+
+import { prepareGeometryRender, getMarkerOutline } from './canvasRenderer.js';
+import { calculatePosterLayout } from './posterExporter.js';
+import { escapeXml, getGeometryLabel } from './exportUtils.js';
+
+const FONT_FAMILY = '-apple-system, BlinkMacSystemFont, Segoe UI, Roboto, sans-serif';
+
+/**
+ * Format a number for SVG output (2 decimal places, no trailing zeros)
+ * @param {number} n - Number to format
+ * @returns {string} Formatted number
+ */
+function fmt(n) {
+    return String(Math.round(n * 100) / 100);
+}
+
+/**
+ * Shorten a label so it roughly fits a cell (SVG has no text measuring)
+ * @param {string} text - Label text
+ * @param {number} width - Available width in pixels
+ * @returns {string} Possibly truncated label
+ */
+function truncateLabel(text, width) {
+    // Assume an average glyph width of ~6.5px at 12px font size
+    const maxChars = Math.max(4, Math.floor(width / 6.5));
+    return text.length > maxChars ? text.substring(0, maxChars - 1) + '…' : text;
+}
+
+/**
+ * Build SVG path data for a list of [lon, lat] coordinates
+ * @param {Array<Array>} coords - Coordinate array
+ * @param {Function} projectFn - Function to project [lon, lat] to {x, y}
+ * @param {boolean} close - Whether to close the path
+ * @returns {string} Path data
+ */
+function coordsToPathData(coords, projectFn, close) {
+    const parts = coords.map(([lon, lat], i) => {
+        const { x, y } = projectFn(lon, lat);
+        return `${i === 0 ? 'M' : 'L'}${fmt(x)} ${fmt(y)}`;
+    });
+    return parts.join('') + (close ? 'Z' : '');
+}
+
+/**
+ * Build SVG elements for a geometry drawn into a width x height area at the origin
+ * @param {Object} geometry - GeometryObject to render
+ * @param {number} width - Area width
+ * @param {number} height - Area height
+ * @param {Object} options - Rendering options (same as renderGeometry)
+ * @returns {string} SVG markup (no wrapping element)
+ */
+function geometryToSvgElements(geometry, width, height, options) {
+    const render = prepareGeometryRender(geometry, width, height, options);
+    const elements = [];
+
+    if (render.backgroundColor) {
+        elements.push(`<rect width="${fmt(width)}" height="${fmt(height)}" fill="${render.backgroundColor}"/>`);
+    }
+
+    if (render.markers) {
+        const d = render.markers.map(({ x, y }) => {
+            const outline = getMarkerOutline(render.markerSymbol, x, y, render.markerRadius);
+            return outline.map(([px, py], i) => `${i === 0 ? 'M' : 'L'}${fmt(px)} ${fmt(py)}`).join('') + 'Z';
+        }).join('');
+        elements.push(`<path d="${d}" fill="${render.fillColor}" stroke="${render.strokeColor}" stroke-width="1.5" stroke-linejoin="round"/>`);
+        return elements.join('');
+    }
+
+    const { geomType, coordinates, projectFn } = render;
+
+    if (render.isPolygon) {
+        // One path per polygon so that even-odd filling cuts holes only within that polygon
+        const polygons = geomType === 'Polygon' ? [[coordinates]] : coordinates;
+        polygons.forEach(polygon => {
+            const d = polygon.map(ring => coordsToPathData(ring, projectFn, true)).join('');
+            elements.push(`<path d="${d}" fill="${render.fillColor}" fill-rule="evenodd" stroke="${render.strokeColor}" stroke-width="2"/>`);
+        });
+    } else if (render.isLinestring) {
+        const lines = geomType === 'LineString' ? [coordinates] : coordinates;
+        const d = lines.map(line => coordsToPathData(line, projectFn, false)).join('');
+        elements.push(`<path d="${d}" fill="none" stroke="${render.fillColor}" stroke-width="4" stroke-linecap="round" stroke-linejoin="round"/>`);
+    }
+
+    return elements.join('');
+}
+
+/**
+ * Render a single geometry as a standalone SVG document
+ * @param {Object} geometry - GeometryObject to render
+ * @param {Object} options - Rendering options (same as renderGeometry) plus {size}
+ * @returns {string} SVG document
+ */
+export function renderGeometrySvg(geometry, options = {}) {
+    const { size = 600 } = options;
+    const title = escapeXml(getGeometryLabel(geometry));
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 ${size} ${size}">
+<title>${title}</title>
+${geometryToSvgElements(geometry, size, size, options)}
+</svg>
+`;
+}
+
+/**
+ * Render every geometry as one tiled SVG document
+ * Uses the same layout as the PNG poster (see calculatePosterLayout)
+ * @param {Array} geometries - Array of GeometryObject, already sorted
+ * @param {Object} options - Poster options {columns, cellSize, margin, title, showLabels, attribution, renderOptions}
+ * @returns {string} SVG document
+ */
+export function renderGridSvg(geometries, options = {}) {
+    if (!geometries || geometries.length === 0) {
+        throw new Error('Nothing to export: there are no geometries');
+    }
+
+    const { title = '', attribution = '', renderOptions = {} } = options;
+    // SVG units are CSS pixels, so lay out at 96 DPI (scale 1)
+    const layout = calculatePosterLayout(geometries.length, { ...options, dpi: 96 });
+    const parts = [];
+
+    parts.push(`<rect width="${layout.width}" height="${layout.height}" fill="#ffffff"/>`);
+
+    if (title) {
+        parts.push(`<text x="${fmt(layout.width / 2)}" y="${fmt(layout.margin + layout.titleHeight / 2)}" text-anchor="middle" dominant-baseline="middle" font-family="${FONT_FAMILY}" font-size="36" font-weight="bold" fill="#2c3e50">${escapeXml(title)}</text>`);
+    }
+
+    const gridTop = layout.margin + layout.titleHeight;
+
+    geometries.forEach((geom, index) => {
+        const col = index % layout.cols;
+        const row = Math.floor(index / layout.cols);
+        const x = layout.margin + col * (layout.cellSize + layout.gap);
+        const y = gridTop + row * (layout.cellSize + layout.labelHeight + layout.gap);
+
+        parts.push(`<g transform="translate(${fmt(x)} ${fmt(y)})">`);
+        parts.push(`<rect width="${layout.cellSize}" height="${layout.cellSize}" fill="#fafafa" stroke="#e0e0e0"/>`);
+        parts.push(geometryToSvgElements(geom, layout.cellSize, layout.cellSize, renderOptions));
+        if (layout.labelHeight > 0) {
+            parts.push(`<text x="${fmt(layout.cellSize / 2)}" y="${fmt(layout.cellSize + layout.labelHeight / 2)}" text-anchor="middle" dominant-baseline="middle" font-family="${FONT_FAMILY}" font-size="12" fill="#333333">${escapeXml(truncateLabel(getGeometryLabel(geom), layout.cellSize))}</text>`);
+        }
+        parts.push('</g>');
+    });
+
+    if (attribution) {
+        parts.push(`<text x="${fmt(layout.width - layout.margin)}" y="${fmt(layout.height - layout.margin - layout.footerHeight / 2)}" text-anchor="end" dominant-baseline="middle" font-family="${FONT_FAMILY}" font-size="12" fill="#7f8c8d">${escapeXml(attribution)}</text>`);
+    }
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${layout.width}" height="${layout.height}" viewBox="0 0 ${layout.width} ${layout.height}">
+${title ? `<title>${escapeXml(title)}</title>\n` : ''}${parts.join('\n')}
+</svg>
+`;
+}
@@ -0,0 +1,140 @@
+/**
+ * zipWriter.js
+ * Minimal client-side ZIP archive writer
+ * Files are stored uncompressed: the bundled PNGs are already compressed
+ */
+
+/**
+ * CRC-32 lookup table (polynomial 0xEDB88320)
+ */
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+/**
+ * Calculate the CRC-32 checksum of some data
+ * @param {Uint8Array} data - Data to checksum
+ * @returns {number} Unsigned 32-bit checksum
+ */
+function crc32(data) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < data.length; i++) {
+        crc = CRC_TABLE[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Convert a date to MS-DOS time and date fields
+ * @param {Date} date - Date to convert
+ * @returns {Object} {time, date} as 16-bit values
+ */
+function toDosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/**
+ * Create a ZIP archive
+ * @returns {Object} Archive with addFile() and toBlob()
+ */
+export function createZipArchive() {
+    const encoder = new TextEncoder();
+    const entries = [];
+    const names = new Set();
+
+    return {
+        /**
+         * Add a file to the archive
+         * @param {string} name - Path inside the archive (must be unique)
+         * @param {Uint8Array|string} data - File contents (strings are stored as UTF-8)
+         */
+        addFile(name, data) {
+            if (names.has(name)) {
+                throw new Error(`Duplicate file name in ZIP archive: ${name}`);
+            }
+            names.add(name);
+
+            const bytes = typeof data === 'string' ? encoder.encode(data) : data;
+            entries.push({
+                name: encoder.encode(name),
+                data: bytes,
+                crc: crc32(bytes),
+                modified: toDosDateTime(new Date())
+            });
+        },
+
+        /**
+         * Serialise the archive
+         * @returns {Blob} The ZIP file
+         */
+        toBlob() {
+            const chunks = [];
+            const centralDirectory = [];
+            let offset = 0;
+
+            entries.forEach(entry => {
+                // Local file header
+                const header = new DataView(new ArrayBuffer(30));
+                header.setUint32(0, 0x04034B50, true);
+                header.setUint16(4, 20, true); // Version needed to extract
+                header.setUint16(6, 0x0800, true); // Flags: file name is UTF-8
+                header.setUint16(8, 0, true); // Compression: stored
+                header.setUint16(10, entry.modified.time, true);
+                header.setUint16(12, entry.modified.date, true);
+                header.setUint32(14, entry.crc, true);
+                header.setUint32(18, entry.data.length, true);
+                header.setUint32(22, entry.data.length, true);
+                header.setUint16(26, entry.name.length, true);
+                header.setUint16(28, 0, true); // Extra field length
+
+                // Central directory record
+                const record = new DataView(new ArrayBuffer(46));
+                record.setUint32(0, 0x02014B50, true);
+                record.setUint16(4, 20, true); // Version made by
+                record.setUint16(6, 20, true); // Version needed to extract
+                record.setUint16(8, 0x0800, true);
+                record.setUint16(10, 0, true);
+                record.setUint16(12, entry.modified.time, true);
+                record.setUint16(14, entry.modified.date, true);
+                record.setUint32(16, entry.crc, true);
+                record.setUint32(20, entry.data.length, true);
+                record.setUint32(24, entry.data.length, true);
+                record.setUint16(28, entry.name.length, true);
+                // Extra field, comment, disk number, attributes: all zero
+                record.setUint32(42, offset, true);
+
+                chunks.push(header, entry.name, entry.data);
+                centralDirectory.push(record, entry.name);
+                offset += 30 + entry.name.length + entry.data.length;
+            });
+
+            const centralSize = centralDirectory.reduce((sum, part) => sum + part.byteLength, 0);
+
+            // Without ZIP64 extensions the archive is limited to 65535 files and 4 GB
+            if (entries.length > 0xFFFF || offset + centralSize > 0xFFFFFFFF) {
+                throw new Error('Too many or too large files for a ZIP archive');
+            }
+
+            // End of central directory record
+            const end = new DataView(new ArrayBuffer(22));
+            end.setUint32(0, 0x06054B50, true);
+            end.setUint16(8, entries.length, true);
+            end.setUint16(10, entries.length, true);
+            end.setUint32(12, centralSize, true);
+            end.setUint32(16, offset, true);
+
+            return new Blob([...chunks, ...centralDirectory, end], { type: 'application/zip' });
+        }
+    };
+}
@@ -0,0 +1,64 @@
+/**
+ * exportUtils.test.js
+ * File names and openstreetmap.org links for exported geometries, including ones imported from GeoJSON
+ * Run with: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseElements } from '../docs/js/geometryParser.js';
+import { getGeometryFileStem, makeUniqueFileName, getOsmUrl } from '../docs/js/exportUtils.js';
+
+/**
+ * Build a way element as convertGeoJsonToElements does for a MultiLineString part
+ * @param {string} id - Element ID, e.g. "1000000_0"
+ * @param {Array<Array>} coords - [lon, lat] coordinates
+ * @returns {Object} Way element
+ */
+function importedWay(id, coords) {
+    return {
+        type: 'way',
+        id,
+        tags: { name: 'Imported' },
+        geometry: coords.map(([lon, lat]) => ({ lon, lat }))
+    };
+}
+
+test('names OSM components after their smallest way ID and way count', () => {
+    const geom = { type: 'component', id: 'component_30_12_45', sourceWayIds: [30, 12, 45] };
+    assert.equal(getGeometryFileStem(geom, 0), 'component-12-3');
+});
+
+test('names imported components by result position', () => {
+    const { geometries } = parseElements([
+        importedWay('1000000_0', [[0, 0], [1, 0]]),
+        importedWay('1000000_1', [[1, 0], [2, 0]]),
+        importedWay('1000001_0', [[5, 5], [6, 5]]),
+        importedWay('1000001_1', [[6, 5], [7, 5]])
+    ]);
+    assert.equal(geometries.length, 2);
+    assert.ok(geometries.every(geom => geom.type === 'component'));
+
+    const stems = geometries.map((geom, index) => getGeometryFileStem(geom, index));
+    assert.deepEqual(stems, ['component-item-1-2', 'component-item-2-2']);
+});
+
+test('keeps re-imported IDs free of path separators', () => {
+    assert.equal(getGeometryFileStem({ type: 'way', id: 'way/123' }, 0), 'way-123');
+    assert.equal(getGeometryFileStem({ type: 'relation', id: 'a/b c' }, 0), 'relation-a_b_c');
+    assert.equal(getGeometryFileStem({ type: 'way', id: 1000004 }, 4), 'way-1000004');
+});
+
+test('numbers repeated file names', () => {
+    const usedNames = new Set();
+    assert.equal(makeUniqueFileName('way-1.png', usedNames), 'way-1.png');
+    assert.equal(makeUniqueFileName('way-1.png', usedNames), 'way-1-2.png');
+    assert.equal(makeUniqueFileName('way-1.png', usedNames), 'way-1-3.png');
+});
+
+test('links only real OSM objects to openstreetmap.org', () => {
+    assert.equal(getOsmUrl({ type: 'way', id: 123 }), 'https://www.openstreetmap.org/way/123');
+    assert.equal(getOsmUrl({ type: 'way', id: 1000000 }, true), null);
+    assert.equal(getOsmUrl({ type: 'way', id: '1000000_0' }), null);
+    assert.equal(getOsmUrl({ type: 'component', id: 'component_1_2', sourceWayIds: [1, 2] }), null);
+});